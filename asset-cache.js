@@ -0,0 +1,342 @@
+import { getAssetMetadata } from './assets.js';
+import { collectSceneAssets } from './assets-config.js';
+import { downloadAsset } from './download.js';
+
+// Cache Storage bucket for downloaded assets. public/asset-cache-sw.js reads the same bucket,
+// so keep the two names in sync.
+const CACHE_NAME = 'spark-assets-v1';
+
+// Index of cached assets (url -> { size, sha256, lastAccess }), used for size limits and eviction
+const INDEX_STORAGE_KEY = 'spark-asset-cache-index';
+
+const DEFAULT_CACHE_CONFIG = {
+  enabled: true,
+  maxBytes: 2 * 1024 * 1024 * 1024, // 2 GB
+  serviceWorker: true,
+};
+
+let cacheConfig = { ...DEFAULT_CACHE_CONFIG };
+let cachePromise = null;
+let cacheIndex = null;
+
+/**
+ * Configure the asset cache (usually from the scene's ASSETS_CONFIG.offlineCache)
+ * @param {object} config - Cache configuration
+ * @param {boolean} config.enabled - Store downloaded assets in Cache Storage (default: true)
+ * @param {number} config.maxBytes - Maximum total size of cached assets (default: 2 GB)
+ * @param {boolean} config.serviceWorker - Serve cached assets to every loader through a service worker (default: true)
+ */
+export function configureAssetCache(config = {}) {
+  cacheConfig = { ...DEFAULT_CACHE_CONFIG, ...config };
+  // Only splats are read from the cache directly; models, audio, config files and the
+  // collision mesh are loaded by URL and need the worker to load offline
+  if (cacheConfig.serviceWorker && isAssetCacheAvailable()) {
+    registerAssetCacheWorker();
+  }
+}
+
+/**
+ * Check whether assets can be cached. Cache Storage only exists in secure contexts
+ * (https or localhost), so headsets loading the dev server over a LAN address have no cache.
+ * @returns {boolean}
+ */
+export function isAssetCacheAvailable() {
+  return cacheConfig.enabled && typeof caches !== 'undefined';
+}
+
+/**
+ * Register the service worker that answers requests for cached assets from the cache,
+ * so GLTF/FBX models and audio loaded by URL also work offline
+ */
+async function registerAssetCacheWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    await navigator.serviceWorker.register('/asset-cache-sw.js');
+    console.log('✓ Asset cache service worker registered');
+  } catch (error) {
+    console.warn('Failed to register asset cache service worker:', error);
+  }
+}
+
+/**
+ * Open the cache and load the index, dropping cache entries the index does not know about
+ * @returns {Promise<Cache>}
+ */
+function openCache() {
+  if (!cachePromise) {
+    cachePromise = (async () => {
+      const cache = await caches.open(CACHE_NAME);
+      cacheIndex = loadIndex();
+      for (const request of await cache.keys()) {
+        if (!cacheIndex[request.url]) {
+          await cache.delete(request);
+        }
+      }
+      return cache;
+    })();
+  }
+  return cachePromise;
+}
+
+function loadIndex() {
+  try {
+    return JSON.parse(localStorage.getItem(INDEX_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveIndex() {
+  try {
+    localStorage.setItem(INDEX_STORAGE_KEY, JSON.stringify(cacheIndex));
+  } catch (error) {
+    console.warn('Failed to save asset cache index:', error);
+  }
+}
+
+/**
+ * Cache Storage keys are absolute URLs
+ * @param {string} url - Asset URL, possibly relative
+ * @returns {string}
+ */
+function cacheKey(url) {
+  return new URL(url, window.location.href).href;
+}
+
+/**
+ * Compute the hex SHA-256 of a buffer
+ * @param {ArrayBuffer} buffer - Data to hash
+ * @returns {Promise<string>}
+ */
+async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Look up the cached response for an asset. Entries whose hash differs from the asset
+ * manifest are stale and removed.
+ * @param {string} url - Asset URL
+ * @returns {Promise<Response|null>} - Cached response or null if not cached
+ */
+async function matchCachedAsset(url) {
+  if (!isAssetCacheAvailable()) return null;
+
+  const cache = await openCache();
+  const key = cacheKey(url);
+  const entry = cacheIndex[key];
+  if (!entry) return null;
+
+  const expectedHash = getAssetMetadata(url)?.sha256;
+  if (expectedHash && entry.sha256 && expectedHash.toLowerCase() !== entry.sha256) {
+    console.log('- Cached asset is out of date:', url);
+    await deleteCachedAsset(url);
+    return null;
+  }
+
+  const response = await cache.match(key);
+  if (!response) {
+    delete cacheIndex[key];
+    saveIndex();
+    return null;
+  }
+
+  entry.lastAccess = Date.now();
+  saveIndex();
+  return response;
+}
+
+/**
+ * Check whether an up-to-date copy of an asset is cached
+ * @param {string} url - Asset URL
+ * @returns {Promise<boolean>}
+ */
+export async function hasCachedAsset(url) {
+  try {
+    return Boolean(await matchCachedAsset(url));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get a cached asset
+ * @param {string} url - Asset URL
+ * @returns {Promise<ArrayBuffer|null>} - Asset bytes or null if not cached
+ */
+export async function getCachedAsset(url) {
+  try {
+    const response = await matchCachedAsset(url);
+    return response ? await response.arrayBuffer() : null;
+  } catch (error) {
+    console.warn('Failed to read cached asset:', url, error);
+    return null;
+  }
+}
+
+/**
+ * Store an asset in the cache, evicting the least recently used assets to stay under maxBytes.
+ * If the asset manifest lists a hash for the URL, data that does not match it is not stored.
+ * @param {string} url - Asset URL
+ * @param {ArrayBuffer} buffer - Asset bytes
+ * @param {string} contentType - Content type to serve the asset with (optional)
+ * @returns {Promise<boolean>} - True if the asset was stored
+ */
+export async function putCachedAsset(url, buffer, contentType = 'application/octet-stream') {
+  if (!isAssetCacheAvailable()) return false;
+
+  const size = buffer.byteLength;
+  if (size > cacheConfig.maxBytes) {
+    console.log(`- Asset too large to cache (${size} bytes):`, url);
+    return false;
+  }
+
+  try {
+    const cache = await openCache();
+    const key = cacheKey(url);
+
+    const sha256 = await sha256Hex(buffer);
+    const expectedHash = getAssetMetadata(url)?.sha256;
+    if (expectedHash && expectedHash.toLowerCase() !== sha256) {
+      console.warn('Asset hash does not match the asset manifest, not caching:', url);
+      return false;
+    }
+
+    await evictAssets(size, key);
+    await cache.put(key, new Response(buffer, {
+      headers: { 'Content-Type': contentType, 'Content-Length': String(size) },
+    }));
+    cacheIndex[key] = { size, sha256, lastAccess: Date.now() };
+    saveIndex();
+    return true;
+  } catch (error) {
+    // Most likely the storage quota is exhausted
+    console.warn('Failed to cache asset:', url, error);
+    return false;
+  }
+}
+
+/**
+ * Evict least recently used assets until there is room for another asset
+ * @param {number} size - Size of the asset to make room for
+ * @param {string} replacingKey - Key of the asset being stored (its old entry does not count)
+ */
+async function evictAssets(size, replacingKey) {
+  const cache = await openCache();
+  const entries = Object.entries(cacheIndex).filter(([key]) => key !== replacingKey);
+  let totalBytes = entries.reduce((sum, [, entry]) => sum + entry.size, 0);
+
+  entries.sort(([, a], [, b]) => a.lastAccess - b.lastAccess);
+  for (const [key, entry] of entries) {
+    if (totalBytes + size <= cacheConfig.maxBytes) break;
+    await cache.delete(key);
+    delete cacheIndex[key];
+    totalBytes -= entry.size;
+    console.log('- Evicted cached asset:', key);
+  }
+}
+
+/**
+ * Remove an asset from the cache
+ * @param {string} url - Asset URL
+ */
+export async function deleteCachedAsset(url) {
+  if (!isAssetCacheAvailable()) return;
+  const cache = await openCache();
+  const key = cacheKey(url);
+  await cache.delete(key);
+  delete cacheIndex[key];
+  saveIndex();
+}
+
+/**
+ * Remove all cached assets
+ */
+export async function clearAssetCache() {
+  if (typeof caches === 'undefined') return;
+  await caches.delete(CACHE_NAME);
+  cachePromise = null;
+  cacheIndex = {};
+  saveIndex();
+}
+
+/**
+ * Get the number and total size of cached assets
+ * @returns {Promise<{count: number, bytes: number, maxBytes: number}>}
+ */
+export async function getAssetCacheStats() {
+  if (!isAssetCacheAvailable()) return { count: 0, bytes: 0, maxBytes: cacheConfig.maxBytes };
+  await openCache();
+  const entries = Object.values(cacheIndex);
+  return {
+    count: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    maxBytes: cacheConfig.maxBytes,
+  };
+}
+
+/**
+ * Fetch an asset, from the cache if possible, otherwise from the network (and cache it)
+ * @param {string} url - URL to fetch
+ * @param {object} options - Options
+ * @param {function} options.onProgress - Callback (progress, loadedBytes, totalBytes)
+ * @param {AbortSignal} options.signal - Cancels the download (optional)
+ * @returns {Promise<ArrayBuffer>} - File bytes
+ */
+export async function fetchAsset(url, options = {}) {
+  const { onProgress, signal } = options;
+  const cached = await getCachedAsset(url);
+  if (cached) {
+    console.log('Using cached asset:', url);
+    onProgress?.(1, cached.byteLength, cached.byteLength);
+    return cached;
+  }
+
+  const { buffer, contentType } = await downloadAsset(url, { onProgress, signal });
+  // Caching is best effort; the scene can load either way
+  await putCachedAsset(url, buffer, contentType);
+  return buffer;
+}
+
+/**
+ * Download every asset of a scene into the cache, so the scene loads without network access
+ * @param {string} sceneName - Name of the scene in the scene registry
+ * @param {object} options - Options
+ * @param {function} options.onProgress - Callback (completedAssets, totalAssets, url)
+ * @param {AbortSignal} options.signal - Cancels the prefetch (optional)
+ * @returns {Promise<{cached: string[], failed: string[]}>} - URLs that were cached or failed
+ */
+export async function prefetchScene(sceneName, options = {}) {
+  const { onProgress, signal } = options;
+  if (!isAssetCacheAvailable()) {
+    throw new Error('Asset cache is not available (requires https or localhost)');
+  }
+
+  // Ask the browser not to evict our storage under pressure
+  await navigator.storage?.persist?.();
+
+  const urls = await collectSceneAssets(sceneName);
+  const cached = [];
+  const failed = [];
+
+  // One at a time: splats are hundreds of MB
+  for (const url of urls) {
+    try {
+      if (!(await hasCachedAsset(url))) {
+        const { buffer, contentType } = await downloadAsset(url, { signal });
+        if (!(await putCachedAsset(url, buffer, contentType))) {
+          throw new Error('could not store asset');
+        }
+      }
+      cached.push(url);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn('Failed to prefetch asset:', url, error);
+      failed.push(url);
+    }
+    onProgress?.(cached.length + failed.length, urls.length, url);
+  }
+
+  console.log(`✓ Prefetched scene "${sceneName}": ${cached.length} cached, ${failed.length} failed`);
+  return { cached, failed };
+}
@@ -1,33 +1,155 @@
-import { checkAssets } from './assets.js';
+import { checkAssets, assetExists, setAssetMetadata } from './assets.js';
+import { validateConfig, formatProblem } from './config-validation.js';
+import { getSceneEntry } from './scenes/index.js';
+
+/**
+ * Load a scene's asset manifest
+ * The manifest maps logical asset names to URLs, so assets listed there are never probed:
+ * {
+ *   "assets": {
+ *     "cozy_ship-lod.spz": { "cdn": "https://.../cozy_ship-lod.spz", "size": 123456789, "sha256": "..." },
+ *     "beach-ball.mp3": { "local": "/scenes/cozyship/assets/beach-ball.mp3" }
+ *   }
+ * }
+ * @param {string} sceneName - Name of the scene
+ * @param {string} manifestFile - Manifest file name in the scene directory
+ * @returns {Promise<object>} - Map of asset name to manifest entry (empty if the manifest could not be loaded)
+ */
+async function loadAssetManifest(sceneName, manifestFile) {
+  const manifestPath = `/scenes/${sceneName}/${manifestFile}`;
+  try {
+    const response = await fetch(manifestPath);
+    if (!response.ok) {
+      throw new Error(`HTTP status ${response.status}`);
+    }
+    const manifest = await response.json();
+
+    validateConfig('assetManifest', manifest, manifestFile).forEach((problem) => {
+      console.warn(`Asset manifest ${problem.severity}: ${formatProblem(problem)}`);
+    });
+
+    console.log(`Loaded asset manifest ${manifestPath} (${Object.keys(manifest.assets || {}).length} assets)`);
+    return manifest.assets || {};
+  } catch (error) {
+    console.warn(`Failed to load asset manifest ${manifestPath}, probing assets instead:`, error);
+    return {};
+  }
+}
 
 /**
  * Create a scene-specific asset resolver that checks scene directory first, then falls back to regular asset resolution
+ * Assets listed in the scene's asset manifest (assetsConfig.manifestFile) resolve straight to their
+ * manifest URL. Other assets are probed with HEAD requests. Each asset is resolved at most once.
  * @param {string} sceneName - Name of the scene
  * @param {object} assetsConfig - Asset configuration
+ * @param {string} assetsConfig.manifestFile - Asset manifest in the scene directory (optional)
  * @returns {function} - Scene-specific asset resolver function
  */
-export function createCheckSceneAssets(sceneName, assetsConfig) {
-  return async function checkSceneAssets(filename) {
+export function createCheckSceneAssets(sceneName, assetsConfig = {}) {
+  const manifestPromise = assetsConfig.manifestFile
+    ? loadAssetManifest(sceneName, assetsConfig.manifestFile)
+    : Promise.resolve({});
+  const resolved = new Map(); // filename -> Promise<url>
+
+  async function resolveAsset(filename) {
+    // Use the manifest entry if there is one
+    const manifest = await manifestPromise;
+    const entry = Object.hasOwn(manifest, filename) ? manifest[filename] : null;
+    if (entry && (entry.local || entry.cdn)) {
+      const url = entry.local || entry.cdn;
+      setAssetMetadata(url, { size: entry.size, sha256: entry.sha256 });
+      console.log('Using manifest asset:', url);
+      return url;
+    }
+
     // First, try to load from the scene directory
     const scenePath = `/scenes/${sceneName}/${filename}`;
-    try {
-      const response = await fetch(scenePath);
-      if (response.ok) {
-        const contentType = response.headers.get('content-type') || '';
-        if (!contentType.includes('text/html')) {
-          console.log('Using scene asset:', scenePath);
-          return scenePath;
-        }
-      }
-    } catch (error) {
-      // Scene file doesn't exist, fall through to regular checkAssets
+    if (await assetExists(scenePath)) {
+      console.log('Using scene asset:', scenePath);
+      return scenePath;
     }
-    
+
     // Fall back to regular asset resolution (checks /assets/ then CDN)
     return checkAssets(filename, assetsConfig);
+  }
+
+  return function checkSceneAssets(filename) {
+    if (!resolved.has(filename)) {
+      resolved.set(filename, resolveAsset(filename));
+    }
+    return resolved.get(filename);
   };
 }
 
+/**
+ * Fetch a JSON config file, returning null if it cannot be loaded
+ * @param {string} url - Config URL
+ * @returns {Promise<*>}
+ */
+async function fetchJSON(url) {
+  try {
+    const response = await fetch(url);
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List the URLs of every asset a scene loads: splats, proxy mesh, config files and the
+ * audio files and models they reference. Used to prefetch a scene for offline use.
+ * Textures referenced from inside model files are not included.
+ * @param {string} sceneName - Name of the scene in the scene registry
+ * @returns {Promise<string[]>} - Resolved asset URLs
+ */
+export async function collectSceneAssets(sceneName) {
+  const sceneEntry = getSceneEntry(sceneName);
+  if (!sceneEntry) {
+    throw new Error(`Unknown scene "${sceneName}"`);
+  }
+
+  const { SCENE_CONFIG, ASSETS_CONFIG } = await sceneEntry.loadConfig();
+  const checkSceneAssets = createCheckSceneAssets(sceneName, ASSETS_CONFIG);
+  const { flags, configFiles } = SCENE_CONFIG;
+  const filenames = [SCENE_CONFIG.sceneSpzFileName];
+
+  if (flags.enablePhysics && SCENE_CONFIG.proxyMeshFileName) {
+    filenames.push(SCENE_CONFIG.proxyMeshFileName);
+  }
+  if (flags.enableRobot) {
+    filenames.push('robot.fbx', 'droid-hum.mp3');
+  }
+
+  const urls = [];
+  for (const [key, file] of Object.entries(configFiles)) {
+    const url = await checkSceneAssets(file);
+    urls.push(url);
+
+    const data = await fetchJSON(url);
+    if (!data) continue;
+
+    if (key === 'audioConfig') {
+      const background = data.BACKGROUND_AUDIO_CONFIG?.backgroundMusicFileName;
+      if (background) filenames.push(background);
+      const sources = Array.isArray(data) ? data : (data.spatialAudioSources || []);
+      sources.forEach((source) => filenames.push(source.audio_url));
+    } else if (key === 'objectsConfig' && flags.enableDynamicObjects && Array.isArray(data)) {
+      data.filter((object) => object.model).forEach((object) => filenames.push(object.model));
+    }
+  }
+
+  for (const filename of filenames) {
+    urls.push(await checkSceneAssets(filename));
+  }
+
+  // The kick/throw sound is resolved without the scene config (see object-actions.js)
+  if (flags.enableDynamicObjects) {
+    urls.push(await checkAssets('beach-ball.mp3'));
+  }
+
+  return [...new Set(urls)];
+}
+
 /**
  * @deprecated Use createCheckSceneAssets instead. This function is kept for backwards compatibility.
  * Create a bound version of checkAssets with scene-specific ASSETS_CONFIG
@@ -37,4 +159,3 @@ export function createCheckSceneAssets(sceneName, assetsConfig) {
 export function createCheckAssetsWithConfig(assetsConfig) {
   return (filename) => checkAssets(filename, assetsConfig);
 }
-
@@ -1,3 +1,74 @@
+import { hasCachedAsset } from './asset-cache.js';
+
+// Probe results keyed by URL, so each URL is checked at most once per session
+const probeCache = new Map();
+
+// Size and hash of resolved assets (from the scene's asset manifest), keyed by URL
+const assetMetadata = new Map();
+
+/**
+ * Check whether a file exists in the offline cache or on the server (HEAD request)
+ * Results are memoized per URL for the rest of the session. Cached files count as existing
+ * without a request, so offline loads resolve to the URL an asset was cached under.
+ * Dev servers answer unknown paths with the index.html page, so HTML responses count as missing.
+ * @param {string} url - URL to probe
+ * @returns {Promise<boolean>} - True if the file exists
+ */
+export function assetExists(url) {
+  if (!probeCache.has(url)) {
+    probeCache.set(url, probeAsset(url));
+  }
+  return probeCache.get(url);
+}
+
+/**
+ * Probe a URL without downloading it
+ * @param {string} url - URL to probe
+ * @returns {Promise<boolean>} - True if the file exists
+ */
+async function probeAsset(url) {
+  if (await hasCachedAsset(url)) return true;
+
+  try {
+    let response = await fetch(url, { method: 'HEAD' });
+
+    // Some static hosts do not implement HEAD. Fall back to GET but stop after the headers
+    if (response.status === 405 || response.status === 501) {
+      response = await fetch(url);
+      response.body?.cancel();
+    }
+
+    if (!response.ok) return false;
+
+    // If it's HTML, it's likely a 404 page, not the actual file
+    const contentType = response.headers.get('content-type') || '';
+    return !contentType.includes('text/html');
+  } catch (error) {
+    // File doesn't exist or failed to fetch
+    return false;
+  }
+}
+
+/**
+ * Record the size and hash of an asset URL (e.g. from an asset manifest)
+ * @param {string} url - Asset URL
+ * @param {object} metadata - Asset metadata
+ * @param {number} metadata.size - File size in bytes (optional)
+ * @param {string} metadata.sha256 - Hex SHA-256 of the file (optional)
+ */
+export function setAssetMetadata(url, metadata) {
+  assetMetadata.set(url, { ...assetMetadata.get(url), ...metadata });
+}
+
+/**
+ * Get the size and hash recorded for an asset URL
+ * @param {string} url - Asset URL
+ * @returns {{size?: number, sha256?: string}|null} - Metadata or null if none is known
+ */
+export function getAssetMetadata(url) {
+  return assetMetadata.get(url) || null;
+}
+
 /**
  * Asset resolution function
  * @param {string} filename - Name of the asset file
@@ -17,28 +88,13 @@ export async function checkAssets(filename, assetsConfig = {}) {
   const localPathFull = `${normalizedLocalPath}/${filename}`;
   const cdnPath = `${cdnBaseUrl}/${filename}`;
 
-
-  
-  try {
-    console.log('checking localPathFull', localPathFull);
-    // Try to fetch the local file with GET to verify it actually exists
-    const response = await fetch(localPathFull);
-    
-    // Check if response is OK and not an HTML page (which would indicate a 404)
-    if (response.ok) {
-      const contentType = response.headers.get('content-type') || '';
-      // If it's HTML, it's likely a 404 page, not the actual file
-      if (!contentType.includes('text/html')) {
-        console.log('using localPath', localPathFull);
-        return localPathFull;
-      }
-    }
-  } catch (error) {
-    // Local file doesn't exist or failed to fetch
+  // Check that the local file actually exists (HEAD request, memoized)
+  if (await assetExists(localPathFull)) {
+    console.log('using localPath', localPathFull);
+    return localPathFull;
   }
   
   // Fall back to CDN
   console.log('falling back to CDN', cdnPath);
   return cdnPath;
 }
-
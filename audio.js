@@ -1,24 +1,12 @@
+import { emit, EVENTS } from "./events.js";
+
 // Audio setup
 export let bgAudio = null;
 let audioEnabled = false;
 
-// Listeners that get called when audio is toggled
-const audioToggleListeners = new Set();
-
-// Register a listener to be called when audio is toggled
-// Callback receives (isEnabled: boolean)
-export function onAudioToggle(callback) {
-  audioToggleListeners.add(callback);
-}
-
-// Unregister an audio toggle listener
-export function offAudioToggle(callback) {
-  audioToggleListeners.delete(callback);
-}
-
-// Notify all listeners of audio toggle
-function notifyAudioToggleListeners() {
-  audioToggleListeners.forEach(callback => callback(audioEnabled));
+// Notify listeners (e.g. spatial audio) that audio was turned on or off
+function emitAudioToggle() {
+  emit(EVENTS.AUDIO_TOGGLE, { enabled: audioEnabled });
 }
 
 // Get audio enabled state
@@ -26,13 +14,20 @@ export function isAudioEnabled() {
   return audioEnabled;
 }
 
+// Audio toggle button the click handler is attached to
+let audioToggleButtonRef = null;
+
+// Click handler for the audio toggle button
+async function onAudioToggleClick() {
+  await toggleAudio();
+}
+
 // Setup audio toggle button
 function setupAudioToggleButton() {
   const audioToggleButton = document.getElementById("audio-toggle");
   if (audioToggleButton) {
-    audioToggleButton.addEventListener("click", async () => {
-      await toggleAudio();
-    });
+    audioToggleButton.addEventListener("click", onAudioToggleClick);
+    audioToggleButtonRef = audioToggleButton;
     syncAudioToggle();
   }
 }
@@ -106,7 +101,7 @@ export async function toggleAudio() {
     if (!audioEnabled) {
       const success = await startBgAudio();
       syncAudioToggle();
-      notifyAudioToggleListeners();
+      emitAudioToggle();
       return success;
     } else {
       // Only pause background audio if it was initialized
@@ -115,7 +110,7 @@ export async function toggleAudio() {
       }
       audioEnabled = false;
       syncAudioToggle();
-      notifyAudioToggleListeners();
+      emitAudioToggle();
       return true;
     }
   } catch (error) {
@@ -153,3 +148,22 @@ export function syncAudioToggle() {
   }
 }
 
+// Stop background audio and release it. Audio is turned off so the next scene
+// can turn it back on with turnMusicOn()
+export function disposeBackgroundAudio() {
+  if (bgAudio) {
+    bgAudio.pause();
+    bgAudio.removeAttribute('src');
+    bgAudio.load();
+    bgAudio = null;
+  }
+  if (audioToggleButtonRef) {
+    audioToggleButtonRef.removeEventListener("click", onAudioToggleClick);
+    audioToggleButtonRef = null;
+  }
+  if (audioEnabled) {
+    audioEnabled = false;
+    syncAudioToggle();
+    emitAudioToggle();
+  }
+}
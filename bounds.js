@@ -0,0 +1,160 @@
+// Out of Bounds
+// Recovers the player and dynamic objects that leave the playable space, e.g. by falling
+// through a gap in the collision mesh or a ball kicked out of the world. A scene sets a
+// minimum height and/or kill volumes (boxes) in SCENE_CONFIG.bounds:
+//
+//   bounds: {
+//     minY: -5,
+//     killVolumes: [{ name: 'Hull gap', min: { x: 2, y: 0, z: -4 }, max: { x: 3, y: 2, z: -2 } }],
+//   },
+//
+// The player is checked at the player position (the HUD X/Y/Z, at eye level), objects at
+// their center. Without minY the limit is 5m below the bottom of the collision mesh.
+//
+// In walk mode a player out of bounds respawns where they last stood on the ground inside
+// the bounds (or at playerStartPosition); objects return to their spawn position from
+// objects-config.json, at rest. Objects held in a hand are left alone until they are let go.
+
+import * as THREE from "three";
+import { emit, EVENTS } from "./events.js";
+import { fadeThrough } from "./fade.js";
+import { isPhysicsEnabled, isCharacterGrounded, teleportCharacter } from "./character-physics.js";
+import { snapInterpolatedBody } from "./collisions.js";
+
+const DEFAULT_MIN_Y_MARGIN = 5; // Meters below the collision mesh when the scene sets no minY
+
+let minY = null; // Lowest allowed height, or null for no limit
+let killVolumes = []; // { name, box: THREE.Box3 }
+let startPosition = null; // SCENE_CONFIG.playerStartPosition
+let lastSafePosition = null; // Last player position on the ground inside the bounds
+let respawning = false; // The player respawns when the fade is black
+
+/**
+ * Check whether a position is out of bounds
+ * @param {THREE.Vector3|{x: number, y: number, z: number}} position - World position
+ * @returns {string|null} - Why ('below minY' or the kill volume's name), or null if in bounds
+ */
+export function getOutOfBoundsReason(position) {
+  if (minY !== null && position.y < minY) {
+    return 'below minY';
+  }
+  const point = new THREE.Vector3(position.x, position.y, position.z);
+  const volume = killVolumes.find(({ box }) => box.containsPoint(point));
+  return volume ? volume.name : null;
+}
+
+/**
+ * Get the position the player respawns at
+ * @returns {THREE.Vector3|null} - Last safe position, or the scene's start position
+ */
+export function getRespawnPosition() {
+  return (lastSafePosition ?? startPosition)?.clone() ?? null;
+}
+
+/**
+ * Fade out, move the player to the respawn position and fade back in
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {string} reason - Why the player respawns (see getOutOfBoundsReason)
+ */
+export function respawnPlayer(sparkScene, reason = 'respawn') {
+  const position = getRespawnPosition();
+  if (!position || respawning) return;
+
+  respawning = true;
+  fadeThrough(() => {
+    respawning = false;
+    if (!sparkScene.localFrame) return; // Scene unloaded during the fade
+
+    sparkScene.localFrame.position.copy(position);
+    teleportCharacter(position);
+    console.log(`- Player out of bounds (${reason}), respawned at (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})`);
+    emit(EVENTS.PLAYER_RESPAWNED, { position: position.clone(), reason });
+  });
+}
+
+/**
+ * Return a dynamic object to its spawn position, at rest
+ * @param {string} name - Object name
+ * @param {object} object - Entry of sparkScene.dynamicObjects
+ * @param {string} reason - Why the object respawns
+ */
+function respawnObject(name, object, reason) {
+  const { body, spawnPosition } = object;
+  body.setTranslation({ x: spawnPosition.x, y: spawnPosition.y, z: spawnPosition.z }, true);
+  body.setRotation({ x: 0, y: 0, z: 0, w: 1 }, true);
+  body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+  body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+  snapInterpolatedBody(body);
+
+  console.log(`- Object "${name}" out of bounds (${reason}), returned to its spawn`);
+  emit(EVENTS.OBJECT_RESPAWNED, { name, position: spawnPosition.clone() });
+}
+
+/**
+ * Respawn the player and objects that left the bounds, and remember where the player last
+ * stood safely. Call after the physics and character updates.
+ * @param {SparkScene} sparkScene - The spark scene
+ */
+export function updateBounds(sparkScene) {
+  if (isPhysicsEnabled() && !respawning) {
+    const position = sparkScene.localFrame.position;
+    const reason = getOutOfBoundsReason(position);
+    if (reason) {
+      respawnPlayer(sparkScene, reason);
+    } else if (isCharacterGrounded()) {
+      (lastSafePosition ??= new THREE.Vector3()).copy(position);
+    }
+  }
+
+  sparkScene.dynamicObjects.forEach((object, name) => {
+    // Held objects are kinematic; they are checked again once thrown
+    if (!object.spawnPosition || !object.body.isDynamic()) return;
+    const reason = getOutOfBoundsReason(object.body.translation());
+    if (reason) {
+      respawnObject(name, object, reason);
+    }
+  });
+}
+
+/**
+ * Initialize the bounds of a scene
+ * @param {SparkScene} sparkScene - The spark scene (the collision mesh sets the default minY)
+ * @param {object} sceneConfig - SCENE_CONFIG (bounds, playerStartPosition)
+ */
+export function initializeBounds(sparkScene, sceneConfig) {
+  const { bounds = {}, playerStartPosition } = sceneConfig;
+
+  minY = bounds.minY ?? null;
+  if (minY === null && sparkScene.collisionmesh) {
+    sparkScene.collisionmesh.updateMatrixWorld(true);
+    const meshBounds = new THREE.Box3().setFromObject(sparkScene.collisionmesh);
+    if (!meshBounds.isEmpty()) {
+      minY = meshBounds.min.y - DEFAULT_MIN_Y_MARGIN;
+    }
+  }
+  killVolumes = (bounds.killVolumes ?? []).map((volume, index) => ({
+    name: volume.name ?? `kill volume ${index + 1}`,
+    box: new THREE.Box3(
+      new THREE.Vector3(volume.min.x, volume.min.y, volume.min.z),
+      new THREE.Vector3(volume.max.x, volume.max.y, volume.max.z)
+    ),
+  }));
+  startPosition = playerStartPosition
+    ? new THREE.Vector3(playerStartPosition.x, playerStartPosition.y, playerStartPosition.z)
+    : null;
+  lastSafePosition = null;
+
+  const limits = [minY !== null && `below y = ${minY.toFixed(2)}`, killVolumes.length && `${killVolumes.length} kill volume(s)`].filter(Boolean);
+  console.log(`- Out of bounds: ${limits.length ? limits.join(', ') : 'no limits'}`);
+}
+
+/**
+ * Forget the scene's bounds
+ */
+export function disposeBounds() {
+  minY = null;
+  killVolumes = [];
+  startPosition = null;
+  lastSafePosition = null;
+  respawning = false;
+}
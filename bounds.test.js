@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { setupHeadlessTests, createSimulation, createFloor, characterPhysicsSubsystem } from './headless-fixtures.js';
+import { addDynamicObject } from './collisions.js';
+import {
+  togglePhysics,
+  teleportCharacter,
+  setAnalogMovement,
+  getCharacterEyeHeight,
+} from './character-physics.js';
+import { initializeBounds, updateBounds, disposeBounds, getOutOfBoundsReason } from './bounds.js';
+import { EVENTS } from './events.js';
+
+// 10 x 10m floor with a ball near its +X edge and a kill volume (a pit, up to above the
+// player's eyes) on its -X side
+function createFloorScene() {
+  const sceneConfig = {
+    playerStartPosition: { x: 0, y: 3, z: 0 },
+    bounds: { killVolumes: [{ name: 'Pit', min: { x: -5, y: -1, z: -5 }, max: { x: -3, y: 4, z: 5 } }] },
+  };
+  return createSimulation({
+    collisionMesh: createFloor(10),
+    sceneConfig,
+    subsystems: [{
+      name: 'ball',
+      requires: ['collisions'],
+      init: ({ sparkScene }) => addDynamicObject(sparkScene, new THREE.Mesh(), 'ball', 0.2, new THREE.Vector3(4, 0.2, 0)),
+    }, characterPhysicsSubsystem, {
+      name: 'bounds',
+      requires: ['collisions'],
+      init: ({ sparkScene }) => initializeBounds(sparkScene, sceneConfig),
+      update: ({ sparkScene }) => updateBounds(sparkScene),
+      dispose: () => disposeBounds(),
+    }],
+  });
+}
+
+describe('bounds', () => {
+  let simulation = null;
+  setupHeadlessTests();
+
+  beforeEach(async () => {
+    simulation = await createFloorScene();
+  });
+
+  it('limits the scene 5m below the collision mesh and at the kill volumes', () => {
+    expect(getOutOfBoundsReason({ x: 0, y: -5, z: 0 })).toBe(null);
+    expect(getOutOfBoundsReason({ x: 0, y: -5.3, z: 0 })).toBe('below minY');
+    expect(getOutOfBoundsReason({ x: -4, y: 0, z: 2 })).toBe('Pit');
+  });
+
+  it('respawns the player where they last stood, or at the start position', () => {
+    simulation.step(); // Fills the query pipeline used by the character controller
+    togglePhysics();
+
+    // Walk into the pit before having stood anywhere
+    teleportCharacter(new THREE.Vector3(-2, getCharacterEyeHeight() + 1, 0));
+    setAnalogMovement(-1, 0);
+    simulation.run(0.5);
+    setAnalogMovement(0, 0);
+    expect(simulation.eventsOf(EVENTS.PLAYER_RESPAWNED)).toEqual([
+      { position: new THREE.Vector3(0, 3, 0), reason: 'Pit' },
+    ]);
+
+    // Stand on the floor, then walk off its +Z edge
+    teleportCharacter(new THREE.Vector3(0, getCharacterEyeHeight(), 3));
+    simulation.run(0.5);
+    setAnalogMovement(0, -1);
+    simulation.run(1);
+    setAnalogMovement(0, 0);
+    simulation.run(2);
+
+    const [, fall] = simulation.eventsOf(EVENTS.PLAYER_RESPAWNED);
+    expect(fall.reason).toBe('below minY');
+    expect(fall.position.z).toBeGreaterThan(4);
+    expect(fall.position.z).toBeLessThan(5.5);
+    expect(fall.position.y).toBeCloseTo(getCharacterEyeHeight(), 1);
+  });
+
+  it('returns fallen objects to their spawn at rest', () => {
+    const { body } = simulation.sparkScene.dynamicObjects.get('ball');
+    body.setLinvel({ x: 4, y: 0, z: 0 }, true); // Off the +X edge
+    simulation.run(2.5);
+
+    expect(simulation.eventsOf(EVENTS.OBJECT_RESPAWNED)).toEqual([
+      { name: 'ball', position: new THREE.Vector3(4, 0.2, 0) },
+    ]);
+    expect(simulation.getObjectPosition('ball').distanceTo(new THREE.Vector3(4, 0.2, 0))).toBeLessThan(0.05);
+    expect(body.linvel().x).toBeCloseTo(0);
+  });
+});
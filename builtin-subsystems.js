@@ -0,0 +1,234 @@
+// Built-in Subsystems
+// Registers the systems that ship with the starter. Gameplay modules can add their own
+// with registerSubsystem() (see subsystems.js) without touching the scene loader.
+
+import { registerSubsystem } from "./subsystems.js";
+import { initializeBackgroundAudio, disposeBackgroundAudio } from "./audio.js";
+import { initializeSpatialAudio, checkProximityTriggers, disposeSpatialAudio } from "./spatial-audio.js";
+import { initializePath, updatePath, disposePath } from "./path.js";
+import { initializeLighting, disposeLighting } from "./lighting.js";
+import { initializeCollisions, initializePhysicsWorld, setCollisionMesh, configurePhysics, updateCollisions, updateDynamicObjects, createCollisionPhysicsBodies, disposeCollisions } from "./collisions.js";
+import { loadSplatProxy } from "./splat-proxy.js";
+import { initializeObjects, disposeObjects } from "./objects.js";
+import { initializeRobot, updateRobot, disposeRobot } from "./robot.js";
+import { initializeHUD, updateHUD, disposeHUD } from "./hud.js";
+import { initializeSDFHands, updateSDFHands, disposeSDFHands } from "./sdf-hand.js";
+import { initializeThrowHands, updateThrowHands, disposeThrowHands } from "./throw-hand.js";
+import { initializeKickThrowSound, initializeObjectActionKeyHandlers, disposeObjectActionKeyHandlers } from "./object-actions.js";
+import { initializeFade, updateFade, disposeFade } from "./fade.js";
+import { initializeBounds, updateBounds, disposeBounds } from "./bounds.js";
+import { initializeViewpoints, disposeViewpoints } from "./viewpoints.js";
+import { initializeDeepLinks, disposeDeepLinks } from "./deep-link.js";
+import { initializeTeleport, updateTeleport, disposeTeleport } from "./teleport.js";
+import { initializeTurning, updateTurning, disposeTurning } from "./turning.js";
+import { initializeGamepad, updateGamepad, disposeGamepad } from "./gamepad.js";
+import { configureCharacter, initializeCharacterPhysics, updateCharacterPhysics, initializeJumpKeyHandler, disposeCharacterPhysics } from "./character-physics.js";
+
+/**
+ * Register all built-in subsystems, in the order they are initialized when no
+ * dependency says otherwise
+ */
+export function registerBuiltinSubsystems() {
+  // Background audio is played at a constant volume throughout the scene
+  registerSubsystem({
+    name: 'backgroundAudio',
+    optional: true,
+    init: ({ sceneName, sceneConfig, checkSceneAssets }) =>
+      initializeBackgroundAudio(sceneName, sceneConfig, checkSceneAssets),
+    dispose: () => disposeBackgroundAudio(),
+  });
+
+  registerSubsystem({
+    name: 'lighting',
+    optional: true,
+    enabled: ({ sceneConfig }) => sceneConfig.flags.enableLighting,
+    init: ({ sparkScene, sceneConfig, checkSceneAssets }) =>
+      initializeLighting(sparkScene, sceneConfig.configFiles.lightingConfig, checkSceneAssets),
+    dispose: () => disposeLighting(),
+  });
+
+  // Physics world and collision mesh. Physics bodies are created after the scene rotation
+  // is applied to the collision mesh. Scenes without a proxy mesh collide with a proxy built
+  // from their splats. Without a collision mesh the scene can still be explored (without
+  // physics, objects and character collisions)
+  registerSubsystem({
+    name: 'collisions',
+    optional: true,
+    enabled: ({ sceneConfig }) => sceneConfig.flags.enablePhysics,
+    init: async ({ sparkScene, sceneConfig, config, checkSceneAssets, splatsLoaded }) => {
+      configurePhysics(config.PHYSICS_CONFIG);
+      if (sceneConfig.proxyMeshFileName) {
+        console.log('Initializing collisions with proxy mesh', sceneConfig.proxyMeshFileName);
+        await initializeCollisions(sparkScene, sceneConfig.proxyMeshFileName, checkSceneAssets);
+      } else {
+        console.log('Initializing collisions with a proxy built from the splats');
+        await initializePhysicsWorld(sparkScene);
+        setCollisionMesh(sparkScene, await loadSplatProxy(sceneConfig, checkSceneAssets, splatsLoaded));
+      }
+      if (sparkScene.collisionmesh) {
+        sparkScene.collisionmesh.rotation.set(
+          sceneConfig.sceneRotation.x,
+          sceneConfig.sceneRotation.y,
+          sceneConfig.sceneRotation.z
+        );
+        createCollisionPhysicsBodies(sparkScene);
+      }
+    },
+    update: ({ sparkScene }, deltaTime) => updateCollisions(sparkScene, deltaTime),
+    dispose: () => disposeCollisions(),
+  });
+
+  // Dynamic objects need the physics world
+  registerSubsystem({
+    name: 'objects',
+    optional: true,
+    requires: ['collisions'],
+    enabled: ({ sceneConfig }) => sceneConfig.flags.enableDynamicObjects,
+    init: ({ sparkScene, sceneConfig, checkSceneAssets }) =>
+      initializeObjects(sparkScene, sceneConfig.configFiles.objectsConfig, checkSceneAssets),
+    update: ({ sparkScene }) => updateDynamicObjects(sparkScene), // Sync visual meshes with physics bodies
+    dispose: () => disposeObjects(),
+  });
+
+  // Gamepad walking, looking, jumping, kicking, throwing and toggles (before the character
+  // physics, which walks with the stick input of the same frame)
+  registerSubsystem({
+    name: 'gamepad',
+    init: ({ sparkScene, sceneConfig, config }) => initializeGamepad(sparkScene, sceneConfig, config.CONTROLS_CONFIG),
+    update: ({ sparkScene }, deltaTime) => updateGamepad(sparkScene, deltaTime),
+    dispose: () => disposeGamepad(),
+  });
+
+  // Character collisions and movement (toggle to enable walking with collisions)
+  registerSubsystem({
+    name: 'characterPhysics',
+    requires: ['collisions'],
+    enabled: ({ sceneConfig }) => sceneConfig.flags.enablePhysics,
+    init: ({ sparkScene, sceneConfig, config }) => {
+      configureCharacter(config.CHARACTER_CONFIG);
+      initializeCharacterPhysics(sparkScene);
+      initializeJumpKeyHandler(sparkScene, sceneConfig);
+    },
+    update: ({ sparkScene }, deltaTime) => updateCharacterPhysics(sparkScene, deltaTime),
+    dispose: () => disposeCharacterPhysics(),
+  });
+
+  // Droid that roams the ship
+  registerSubsystem({
+    name: 'robot',
+    optional: true,
+    enabled: ({ sceneConfig }) => Boolean(sceneConfig.flags.enableRobot),
+    init: ({ sparkScene, sceneConfig, checkSceneAssets }) =>
+      initializeRobot(sparkScene, sceneConfig.configFiles.robotConfig, checkSceneAssets),
+    update: (context, deltaTime, time) => updateRobot(time),
+    dispose: () => disposeRobot(),
+  });
+
+  // SDF Hands uses SDF edits to allow "touching" of the scene in VR
+  registerSubsystem({
+    name: 'sdfHands',
+    enabled: ({ sceneConfig }) => sceneConfig.flags.enableHands,
+    init: ({ sparkScene }) => initializeSDFHands(sparkScene),
+    update: ({ sparkScene }, deltaTime, time) => updateSDFHands(sparkScene, time),
+    dispose: () => disposeSDFHands(),
+  });
+
+  // VR ball grabbing/throwing
+  registerSubsystem({
+    name: 'throwHands',
+    requires: ['objects'],
+    init: async ({ sparkScene }) => {
+      initializeThrowHands(sparkScene);
+      await initializeKickThrowSound();
+    },
+    update: ({ sparkScene }, deltaTime, time) => updateThrowHands(sparkScene, time),
+    dispose: () => disposeThrowHands(),
+  });
+
+  // Keyboard handlers for object actions (kick and throw). Always registered, also without
+  // objects; without a physics world the actions warn instead
+  registerSubsystem({
+    name: 'objectActions',
+    init: ({ sparkScene, sceneConfig }) => initializeObjectActionKeyHandlers(sparkScene, sceneConfig),
+    dispose: () => disposeObjectActionKeyHandlers(),
+  });
+
+  registerSubsystem({
+    name: 'hud',
+    enabled: ({ sceneConfig }) => sceneConfig.flags.enableHUD,
+    init: () => initializeHUD(),
+    update: ({ sparkScene }) => updateHUD(sparkScene.localFrame.position),
+    dispose: () => disposeHUD(),
+  });
+
+  registerSubsystem({
+    name: 'spatialAudio',
+    optional: true,
+    init: ({ sparkScene, sceneConfig, checkSceneAssets }) =>
+      initializeSpatialAudio(sparkScene, sceneConfig.configFiles.audioConfig, checkSceneAssets),
+    update: ({ sparkScene }) => checkProximityTriggers(sparkScene.localFrame.position),
+    dispose: () => disposeSpatialAudio(),
+  });
+
+  // Path waypoints (only for scenes with a path config)
+  registerSubsystem({
+    name: 'path',
+    optional: true,
+    enabled: ({ sceneConfig }) => Boolean(sceneConfig.configFiles.pathConfig),
+    init: ({ sparkScene, sceneConfig, checkSceneAssets }) =>
+      initializePath(sparkScene, sceneConfig.configFiles.pathConfig, checkSceneAssets),
+    update: ({ sparkScene }, deltaTime, time) => updatePath(sparkScene.localFrame.position, time),
+    dispose: () => disposePath(),
+  });
+
+  // Fade to black and back, to hide jumps of the player position
+  registerSubsystem({
+    name: 'fade',
+    init: ({ sparkScene }) => initializeFade(sparkScene),
+    update: (context, deltaTime) => updateFade(deltaTime),
+    dispose: () => disposeFade(),
+  });
+
+  // Respawn the player and objects that fall out of the scene (SCENE_CONFIG.bounds)
+  registerSubsystem({
+    name: 'bounds',
+    requires: ['collisions', 'fade'],
+    init: ({ sparkScene, sceneConfig }) => initializeBounds(sparkScene, sceneConfig),
+    update: ({ sparkScene }) => updateBounds(sparkScene),
+    dispose: () => disposeBounds(),
+  });
+
+  // VR teleport locomotion (when CONTROLS_CONFIG.vrLocomotion is 'teleport')
+  registerSubsystem({
+    name: 'teleport',
+    requires: ['fade'],
+    enabled: ({ sceneConfig }) => sceneConfig.flags.enableVR,
+    init: ({ sparkScene, config }) => initializeTeleport(sparkScene, config.CONTROLS_CONFIG),
+    update: ({ sparkScene }) => updateTeleport(sparkScene),
+    dispose: () => disposeTeleport(),
+  });
+
+  // VR snap/smooth turning for seated players
+  registerSubsystem({
+    name: 'turning',
+    enabled: ({ sceneConfig }) => sceneConfig.flags.enableVR,
+    init: ({ sparkScene, config }) => initializeTurning(sparkScene, config.CONTROLS_CONFIG),
+    update: ({ sparkScene }, deltaTime) => updateTurning(sparkScene, deltaTime),
+    dispose: () => disposeTurning(),
+  });
+
+  // Camera bookmarks: SCENE_CONFIG.viewpoints and views saved in the browser
+  registerSubsystem({
+    name: 'viewpoints',
+    requires: ['fade'],
+    init: ({ sparkScene, sceneName, sceneConfig }) => initializeViewpoints(sparkScene, sceneName, sceneConfig),
+    dispose: () => disposeViewpoints(),
+  });
+
+  // Copy link button for links to the current view (see deep-link.js)
+  registerSubsystem({
+    name: 'deepLinks',
+    init: ({ sparkScene, sceneName }) => initializeDeepLinks(sparkScene, sceneName),
+    dispose: () => disposeDeepLinks(),
+  });
+}
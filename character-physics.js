@@ -1,47 +1,194 @@
 import * as THREE from "three";
 import * as RAPIER from "@dimforge/rapier3d-compat";
+import { trackInterpolatedBody, untrackInterpolatedBody, snapInterpolatedBody, offsetInterpolatedBody, getInterpolatedTransform, onPhysicsStep } from "./collisions.js";
+import { emit, EVENTS } from "./events.js";
+import { isReplaying, recordPolledInput, getReplayedInput } from "./session-recorder.js";
 
 // Character physics state
 let characterBody = null;
 let characterCollider = null;
+let characterController = null;
+let removeStepCallback = null;
 let physicsEnabled = false;
 let isGrounded = false;
+let verticalVelocity = 0; // Jumping and falling speed in m/s, up is positive
+const desiredVelocity = new THREE.Vector3(); // Horizontal walking velocity from the input, m/s
 let sparkSceneRef = null;
+let jumpKeyHandler = null;
+const analogMovement = { x: 0, z: 0 }; // Analog stick input (see setAnalogMovement)
+let sprintRequested = false; // Sprint/crouch held on another input than the keyboard
+let crouchRequested = false;
 
-// Character configuration
-const CHARACTER_CONFIG = {
+// Default character configuration. Scenes can override it with CHARACTER_CONFIG in their config.js
+export const CHARACTER_DEFAULTS = {
   height: 2.7,        // Total height in meters
+  eyeHeight: 2.43,    // Height of the eyes above the feet
   radius: 0.3,        // Capsule radius
-  mass: 70,           // Mass in kg
-  jumpForce: 7.0,     // Jump impulse
-  groundCheckDist: 0.1, // Distance to check for ground
-  maxSlopeAngle: 45,  // Maximum walkable slope in degrees
+  mass: 70,           // Mass in kg, for pushing dynamic objects
+  jumpSpeed: 7.0,     // Upward speed at takeoff in m/s
+  maxSlopeAngle: 45,  // Maximum walkable slope in degrees, steeper slopes are slid down
+  stepHeight: 0.35,   // Highest step climbed without jumping
+  snapDistance: 0.3,  // Stick to the ground when walking down steps and slopes up to this drop
+  skinWidth: 0.02,    // Gap kept between the capsule and the collision mesh
+  sprintMultiplier: 1.8,      // Walking speed multiplier while sprinting (Shift)
+  crouchHeight: 1.5,          // Total height while crouching (C)
+  crouchSpeedMultiplier: 0.5, // Walking speed multiplier while crouching
 };
 
-// Listeners for physics toggle
-const physicsToggleListeners = new Set();
+const MIN_CALIBRATION_HEIGHT = 0.5; // Lower tracked head heights are not a calibration (e.g. no pose yet)
+
+let characterConfig = { ...CHARACTER_DEFAULTS };
+let standingHeight = CHARACTER_DEFAULTS.height; // Scene height, or derived from the calibrated eye height
+let standingEyeHeight = CHARACTER_DEFAULTS.eyeHeight;
+let currentHeight = CHARACTER_DEFAULTS.height; // Height of the capsule now (lower while crouching)
+let calibratedHeadHeight = 0; // Floor-relative head height the headset tracks in VR, 0 if not calibrated
+
+/**
+ * Configure the character of the scene
+ * @param {object} config - CHARACTER_CONFIG of the scene (missing fields keep their defaults, see CHARACTER_DEFAULTS)
+ */
+export function configureCharacter(config = {}) {
+  characterConfig = { ...CHARACTER_DEFAULTS, ...config };
+  if (config.height !== undefined && config.eyeHeight === undefined) {
+    characterConfig.eyeHeight = characterConfig.height * CHARACTER_DEFAULTS.eyeHeight / CHARACTER_DEFAULTS.height;
+  }
+  if (!(characterConfig.eyeHeight > 0 && characterConfig.eyeHeight <= characterConfig.height)) {
+    throw new Error(`Character eye height must be between 0 and the height (${characterConfig.height}m), got ${characterConfig.eyeHeight}`);
+  }
+  if (!(characterConfig.height > 2 * characterConfig.radius && characterConfig.crouchHeight > 2 * characterConfig.radius)) {
+    throw new Error(`Character height and crouch height must be more than twice the radius (${characterConfig.radius}m)`);
+  }
+  standingHeight = characterConfig.height;
+  standingEyeHeight = characterConfig.eyeHeight;
+  currentHeight = standingHeight;
+  calibratedHeadHeight = 0;
+}
+
+/**
+ * Height of the eyes above the character's feet, lower while crouching
+ * @returns {number} - Meters
+ */
+export function getCharacterEyeHeight() {
+  return currentHeight * standingEyeHeight / standingHeight;
+}
+
+/**
+ * Height of the localFrame above the character's feet in walk mode. On a screen it is the eye
+ * height. In VR the headset adds the head height it tracks above the real floor, so after
+ * the eye height calibration the localFrame is at the feet (and below them while crouching).
+ * @returns {number} - Meters
+ */
+export function getCharacterFrameHeight() {
+  return getCharacterEyeHeight() - calibratedHeadHeight;
+}
+
+/**
+ * Derive the eye height from the headset's floor-relative height, and the character height
+ * from it in the proportions of the scene's character. Runs when entering VR; call again to
+ * recalibrate (e.g. after sitting down or standing up).
+ * @param {SparkScene} sparkScene - The spark scene
+ * @returns {boolean} - True if calibrated, false if the headset reports no usable height
+ */
+export function calibrateEyeHeight(sparkScene) {
+  const headHeight = sparkScene.camera.position.y; // Tracked pose relative to the floor
+  if (!sparkScene.renderer?.xr.isPresenting || !(headHeight >= MIN_CALIBRATION_HEIGHT)) {
+    console.warn("Cannot calibrate the eye height: no tracked headset height");
+    return false;
+  }
+  applyCalibration(headHeight);
+  return true;
+}
+
+/**
+ * Use a tracked head height as the character's eye height
+ * @param {number} headHeight - Head height above the real floor in meters
+ */
+function applyCalibration(headHeight) {
+  calibratedHeadHeight = headHeight;
+  standingEyeHeight = headHeight;
+  standingHeight = headHeight * characterConfig.height / characterConfig.eyeHeight;
+  console.log(`- Calibrated eye height ${headHeight.toFixed(2)}m (character height ${standingHeight.toFixed(2)}m)`);
+}
+
+/**
+ * Calibrate when entering VR and return to the scene's eye height when leaving. The
+ * calibration is recorded with the session, so a replay without headset walks the same.
+ * @param {SparkScene} sparkScene - The spark scene
+ */
+function updateCalibration(sparkScene) {
+  if (isReplaying()) {
+    const headHeight = getReplayedInput('eyeCalibration')?.headHeight ?? 0;
+    if (headHeight !== calibratedHeadHeight) {
+      headHeight ? applyCalibration(headHeight) : resetCalibration();
+    }
+    return;
+  }
+
+  const presenting = Boolean(sparkScene.renderer?.xr.isPresenting);
+  if (presenting && !calibratedHeadHeight && sparkScene.camera.position.y >= MIN_CALIBRATION_HEIGHT) {
+    calibrateEyeHeight(sparkScene);
+  } else if (!presenting && calibratedHeadHeight) {
+    resetCalibration();
+  }
+  recordPolledInput({ type: 'eyeCalibration', headHeight: calibratedHeadHeight });
+}
+
+/**
+ * Return to the scene's eye height and character height, e.g. when leaving VR
+ */
+function resetCalibration() {
+  calibratedHeadHeight = 0;
+  standingEyeHeight = characterConfig.eyeHeight;
+  standingHeight = characterConfig.height;
+}
 
 /**
- * Register a listener for physics toggle events
- * @param {function} callback - Callback receives (isEnabled: boolean)
+ * Half height of the cylinder part of a capsule
+ * @param {number} height - Total capsule height
+ * @returns {number}
  */
-export function onPhysicsToggle(callback) {
-  physicsToggleListeners.add(callback);
+function capsuleHalfHeight(height) {
+  return (height - 2 * characterConfig.radius) / 2;
 }
 
 /**
- * Unregister a physics toggle listener
- * @param {function} callback
+ * Sprint while held, e.g. from a gamepad button (Shift works without this)
+ * @param {boolean} held
  */
-export function offPhysicsToggle(callback) {
-  physicsToggleListeners.delete(callback);
+export function setSprinting(held) {
+  sprintRequested = held;
 }
 
 /**
- * Notify all listeners of physics toggle
+ * Crouch while held, e.g. from a gamepad button (C works without this)
+ * @param {boolean} held
  */
-function notifyPhysicsToggleListeners() {
-  physicsToggleListeners.forEach(callback => callback(physicsEnabled));
+export function setCrouching(held) {
+  crouchRequested = held;
+}
+
+/**
+ * Check if the character crouches (it may stay crouched after the crouch input is released
+ * until there is room to stand up)
+ * @returns {boolean}
+ */
+export function isCrouching() {
+  return currentHeight < standingHeight;
+}
+
+/**
+ * Notify listeners that physics (walk mode) was turned on or off
+ */
+function emitPhysicsToggle() {
+  emit(EVENTS.PHYSICS_TOGGLE, { enabled: physicsEnabled });
+}
+
+/**
+ * Check if the walking character stands on the ground
+ * @returns {boolean}
+ */
+export function isCharacterGrounded() {
+  return physicsEnabled && isGrounded;
 }
 
 /**
@@ -97,7 +244,8 @@ export function togglePhysics() {
       { x: cameraWorldPos.x, y: cameraWorldPos.y, z: cameraWorldPos.z },
       true
     );
-    characterBody.setLinvel({ x: 0, y: 0, z: 0 }, true); // Reset velocity
+    verticalVelocity = 0;
+    snapInterpolatedBody(characterBody);
     
     console.log("- Character physics enabled");
   } else {
@@ -105,11 +253,44 @@ export function togglePhysics() {
   }
   
   syncPhysicsToggle();
-  notifyPhysicsToggleListeners();
+  emitPhysicsToggle();
+}
+
+/**
+ * Move the character body so the eyes are at a new localFrame position
+ * Call when the player is moved by code (e.g. a viewpoint jump) so walk mode does not
+ * pull the camera back to the old body position. Does nothing in fly mode.
+ * @param {THREE.Vector3} position - New localFrame position (eye height)
+ */
+export function teleportCharacter(position) {
+  if (!physicsEnabled || !characterBody) return;
+
+  // Inverse of the eye placement in updateCharacterPhysics: the body center is half the
+  // character height above its feet
+  const centerY = position.y - getCharacterFrameHeight() + currentHeight / 2;
+
+  characterBody.setTranslation({ x: position.x, y: centerY, z: position.z }, true);
+  verticalVelocity = 0; // Don't carry a fall into the new spot
+  snapInterpolatedBody(characterBody);
+  isGrounded = false;
+}
+
+/**
+ * Move the character body by an offset, keeping its fall and ground state
+ * Call when code shifts the localFrame by a small amount every frame (e.g. turning around
+ * the head), which teleportCharacter would turn into a hover. Does nothing in fly mode.
+ * @param {THREE.Vector3} offset - How far the localFrame moved
+ */
+export function offsetCharacter(offset) {
+  if (!physicsEnabled || !characterBody) return;
+
+  const translation = characterBody.translation();
+  characterBody.setTranslation({ x: translation.x + offset.x, y: translation.y + offset.y, z: translation.z + offset.z }, true);
+  offsetInterpolatedBody(characterBody, offset);
 }
 
 /**
- * Create the character physics body
+ * Create the character physics body and its character controller
  * @param {SparkScene} sparkScene
  */
 function createCharacterBody(sparkScene) {
@@ -122,76 +303,129 @@ function createCharacterBody(sparkScene) {
   const cameraWorldPos = new THREE.Vector3();
   sparkScene.camera.getWorldPosition(cameraWorldPos);
   
-  // Create dynamic rigid body for character
-  // Use a capsule shape (cylinder with hemispherical caps)
-  const halfHeight = (CHARACTER_CONFIG.height - 2 * CHARACTER_CONFIG.radius) / 2;
+  // Kinematic capsule (cylinder with hemispherical caps), moved by the character controller
+  // so it doesn't slide down slopes or bounce on stairs like a dynamic body would
+  currentHeight = standingHeight;
+  const halfHeight = capsuleHalfHeight(currentHeight);
   
-  const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
-    .setTranslation(cameraWorldPos.x, cameraWorldPos.y, cameraWorldPos.z)
-    .lockRotations() // Prevent character from tipping over
-    .setLinearDamping(0.5) // Some air resistance
-    .setCcdEnabled(true); // Continuous collision detection for fast movement
+  const bodyDesc = RAPIER.RigidBodyDesc.kinematicPositionBased()
+    .setTranslation(cameraWorldPos.x, cameraWorldPos.y, cameraWorldPos.z);
   
   characterBody = sparkScene.physicsWorld.createRigidBody(bodyDesc);
   
-  // Create capsule collider
-  const colliderDesc = RAPIER.ColliderDesc.capsule(halfHeight, CHARACTER_CONFIG.radius)
-    .setMass(CHARACTER_CONFIG.mass)
-    .setFriction(0.0) // Low friction to prevent sticking to walls
-    .setRestitution(0.0); // No bounce
-  
+  const colliderDesc = RAPIER.ColliderDesc.capsule(halfHeight, characterConfig.radius);
   characterCollider = sparkScene.physicsWorld.createCollider(colliderDesc, characterBody);
-  
-  console.log(`- Created character physics body (height: ${CHARACTER_CONFIG.height}m, radius: ${CHARACTER_CONFIG.radius}m)`);
+  trackInterpolatedBody(characterBody);
+  
+  // Walk up to the max slope (and slide down steeper ones), climb steps, stick to the ground
+  // going down and slide along walls
+  const maxSlope = THREE.MathUtils.degToRad(characterConfig.maxSlopeAngle);
+  characterController = sparkScene.physicsWorld.createCharacterController(characterConfig.skinWidth);
+  characterController.setMaxSlopeClimbAngle(maxSlope);
+  characterController.setMinSlopeSlideAngle(maxSlope);
+  characterController.enableAutostep(characterConfig.stepHeight, characterConfig.radius, false);
+  characterController.enableSnapToGround(characterConfig.snapDistance);
+  characterController.setSlideEnabled(true);
+  characterController.setApplyImpulsesToDynamicBodies(true); // Walk balls along
+  characterController.setCharacterMass(characterConfig.mass);
+  
+  removeStepCallback = onPhysicsStep(stepCharacter);
+  
+  console.log(`- Created character physics body (height: ${currentHeight.toFixed(2)}m, radius: ${characterConfig.radius}m)`);
 }
 
 /**
- * Check if character is on the ground
- * @param {SparkScene} sparkScene
- * @returns {boolean}
+ * Move the character by one physics step: walk with the desired velocity, fall with gravity
+ * and let the controller resolve slopes, steps and walls
+ * @param {number} timeStep - Physics step in seconds
  */
-function checkGrounded(sparkScene) {
-  if (!characterBody || !sparkScene.physicsWorld) return false;
-  
-  // Check vertical velocity - if moving up significantly, not grounded
-  const velocity = characterBody.linvel();
-  if (velocity.y > 0.5) {
-    return false;
-  }
-  
-  const translation = characterBody.translation();
-  
-  // Cast a ray downward from slightly below character center
-  const halfHeight = (CHARACTER_CONFIG.height - 2 * CHARACTER_CONFIG.radius) / 2;
-  
-  // Start ray from bottom of capsule
-  const rayOrigin = { 
-    x: translation.x, 
-    y: translation.y - halfHeight - CHARACTER_CONFIG.radius + 0.05, // Just inside bottom of capsule
-    z: translation.z 
+function stepCharacter(timeStep) {
+  if (!physicsEnabled || !characterBody || !sparkSceneRef?.physicsWorld) return;
+  
+  verticalVelocity += sparkSceneRef.physicsWorld.gravity.y * timeStep;
+  const movement = {
+    x: desiredVelocity.x * timeStep,
+    y: verticalVelocity * timeStep,
+    z: desiredVelocity.z * timeStep,
   };
-  const rayDir = { x: 0, y: -1, z: 0 };
   
-  // Short ray to check for ground just below feet
-  const rayLength = CHARACTER_CONFIG.groundCheckDist + 0.1;
+  characterController.computeColliderMovement(characterCollider, movement);
+  const corrected = characterController.computedMovement();
   
-  const ray = new RAPIER.Ray(rayOrigin, rayDir);
-  
-  // Use a filter to exclude the character's own collider
-  const filterFlags = undefined;
-  const filterGroups = undefined;
-  const filterExcludeCollider = characterCollider;
+  // Landing or bumping the head ends the vertical motion
+  isGrounded = characterController.computedGrounded();
+  if ((isGrounded && verticalVelocity < 0) || (verticalVelocity > 0 && corrected.y < movement.y - 1e-4)) {
+    verticalVelocity = 0;
+  }
   
-  const hit = sparkScene.physicsWorld.castRay(
-    ray,
-    rayLength,
-    true, // solid
-    filterFlags,
-    filterGroups,
-    filterExcludeCollider
+  const translation = characterBody.translation();
+  characterBody.setNextKinematicTranslation({
+    x: translation.x + corrected.x,
+    y: translation.y + corrected.y,
+    z: translation.z + corrected.z,
+  });
+}
+
+/**
+ * Check if the capsule fits at a height without hitting the collision mesh above it
+ * @param {number} height - Total capsule height, with the feet where they are now
+ * @returns {boolean}
+ */
+function hasRoomFor(height) {
+  const translation = characterBody.translation();
+  const feet = translation.y - currentHeight / 2;
+  const { radius, skinWidth } = characterConfig;
+  // Slightly thinner and raised off the ground, so touching the floor and walls doesn't count
+  const shape = new RAPIER.Capsule(capsuleHalfHeight(height), radius - skinWidth);
+  const blocker = sparkSceneRef.physicsWorld.intersectionWithShape(
+    { x: translation.x, y: feet + height / 2 + skinWidth, z: translation.z },
+    { x: 0, y: 0, z: 0, w: 1 },
+    shape,
+    RAPIER.QueryFilterFlags.EXCLUDE_DYNAMIC, // Balls are pushed away, they don't keep you crouched
+    undefined,
+    characterCollider
   );
-  
-  return hit !== null;
+  return blocker === null;
+}
+
+/**
+ * Resize the capsule, keeping the feet in place
+ * @param {number} height - New total capsule height
+ */
+function resizeCharacter(height) {
+  const translation = characterBody.translation();
+  const feet = translation.y - currentHeight / 2;
+  characterCollider.setHalfHeight(capsuleHalfHeight(height));
+  characterBody.setTranslation({ x: translation.x, y: feet + height / 2, z: translation.z }, true);
+  snapInterpolatedBody(characterBody);
+  currentHeight = height;
+}
+
+/**
+ * Crouch or stand up to the height the input asks for. Standing up waits until there is
+ * headroom, so the capsule never grows into a ceiling.
+ * @param {boolean} crouching - Whether the crouch input is held
+ */
+function updateCharacterHeight(crouching) {
+  const targetHeight = crouching
+    ? standingHeight * characterConfig.crouchHeight / characterConfig.height
+    : standingHeight;
+  if (targetHeight === currentHeight) return;
+  if (targetHeight > currentHeight && !hasRoomFor(targetHeight)) return;
+  resizeCharacter(targetHeight);
+}
+
+/**
+ * Set the walking input of an analog stick, used while no movement key is pressed
+ * @param {number} x - Sideways, -1 (left) to 1 (right)
+ * @param {number} z - Forward, -1 (backward) to 1 (forward)
+ */
+export function setAnalogMovement(x, z) {
+  // Pushing the stick diagonally does not walk faster than straight
+  const length = Math.hypot(x, z);
+  const scale = length > 1 ? 1 / length : 1;
+  analogMovement.x = x * scale;
+  analogMovement.z = z * scale;
 }
 
 /**
@@ -203,9 +437,8 @@ export function jump() {
   console.log("Jump!", isGrounded);
   
   if (isGrounded) {
-    // Apply upward impulse
-    const impulse = { x: 0, y: CHARACTER_CONFIG.jumpForce * CHARACTER_CONFIG.mass, z: 0 };
-    characterBody.applyImpulse(impulse, true);
+    // The next physics steps carry the character up until gravity brings it down
+    verticalVelocity = characterConfig.jumpSpeed;
     isGrounded = false;
     console.log("Jump!");
   }
@@ -221,13 +454,14 @@ export function initializeJumpKeyHandler(sparkScene, sceneConfig) {
     return; // Skip if physics is not enabled
   }
 
-  window.addEventListener('keydown', (event) => {
+  jumpKeyHandler = (event) => {
     // Press Space to jump (when physics enabled)
     if (event.code === 'Space' && isPhysicsEnabled()) {
       event.preventDefault(); // Prevent page scroll
       jump();
     }
-  });
+  };
+  window.addEventListener('keydown', jumpKeyHandler);
 }
 
 /**
@@ -240,9 +474,7 @@ export function initializeCharacterPhysics(sparkScene) {
   // Setup toggle button
   const button = document.getElementById("physics-toggle");
   if (button) {
-    button.addEventListener("click", () => {
-      togglePhysics();
-    });
+    button.addEventListener("click", togglePhysics);
     syncPhysicsToggle();
   }
   
@@ -251,22 +483,23 @@ export function initializeCharacterPhysics(sparkScene) {
 
 /**
  * Update character physics
- * Call this in the animation loop after updateCollisions()
+ * Call this in the animation loop after updateCollisions(). The walking input read here
+ * moves the character in the next physics steps.
  * @param {SparkScene} sparkScene
  * @param {number} deltaTime - Time since last frame in seconds
  */
 export function updateCharacterPhysics(sparkScene, deltaTime) {
+  updateCalibration(sparkScene);
   if (!physicsEnabled || !characterBody) return;
   
-  // Check if grounded
-  isGrounded = checkGrounded(sparkScene);
-  
-  // Get current velocity
-  const velocity = characterBody.linvel();
+  // Hold C to crouch, Shift to sprint
+  const crouching = crouchRequested || keysPressed.has('KeyC');
+  const sprinting = sprintRequested || keysPressed.has('ShiftLeft') || keysPressed.has('ShiftRight');
+  updateCharacterHeight(crouching);
   
   // Get movement input from controls
   // SparkControls uses WASD/arrows and stores movement in localFrame
-  // We need to intercept the movement and apply it as physics forces instead
+  // We need to intercept the movement and move the character controller instead
   
   // Get camera forward and right directions (horizontal only)
   const cameraWorldQuat = new THREE.Quaternion();
@@ -283,7 +516,12 @@ export function updateCharacterPhysics(sparkScene, deltaTime) {
   right.normalize();
   
   // Check keyboard input directly for movement
-  const moveSpeed = sparkScene.controls.fpsMovement.moveSpeed || 5.0;
+  let moveSpeed = sparkScene.controls?.fpsMovement.moveSpeed || 5.0;
+  if (isCrouching()) {
+    moveSpeed *= characterConfig.crouchSpeedMultiplier;
+  } else if (sprinting) {
+    moveSpeed *= characterConfig.sprintMultiplier;
+  }
   let moveX = 0;
   let moveZ = 0;
   
@@ -292,34 +530,73 @@ export function updateCharacterPhysics(sparkScene, deltaTime) {
   if (keysPressed.has('KeyS') || keysPressed.has('ArrowDown')) moveZ -= 1;
   if (keysPressed.has('KeyA') || keysPressed.has('ArrowLeft')) moveX -= 1;
   if (keysPressed.has('KeyD') || keysPressed.has('ArrowRight')) moveX += 1;
+
+  // Analog stick input scales the speed with the stick deflection
+  if (moveX === 0 && moveZ === 0) {
+    moveX = analogMovement.x;
+    moveZ = analogMovement.z;
+  }
   
-  // Calculate desired velocity
-  const desiredVel = new THREE.Vector3();
-  desiredVel.addScaledVector(forward, moveZ * moveSpeed);
-  desiredVel.addScaledVector(right, moveX * moveSpeed);
-  
-  // Apply movement (preserve vertical velocity for gravity/jumping)
-  characterBody.setLinvel(
-    { x: desiredVel.x, y: velocity.y, z: desiredVel.z },
-    true
-  );
+  // Calculate desired velocity, applied by the physics steps (see stepCharacter)
+  desiredVelocity.set(0, 0, 0);
+  desiredVelocity.addScaledVector(forward, moveZ * moveSpeed);
+  desiredVelocity.addScaledVector(right, moveX * moveSpeed);
   
   // Update camera/localFrame position to follow character
-  const translation = characterBody.translation();
+  // (interpolated between physics steps so the camera moves smoothly at any refresh rate)
+  const translation = new THREE.Vector3();
+  getInterpolatedTransform(characterBody, translation);
   
   // Position the localFrame so camera is at character's eye level
-  // Camera is at localFrame position, so we offset by eye height
-  const eyeHeight = CHARACTER_CONFIG.height * 0.9; // Eyes at 90% of height
-  const halfHeight = (CHARACTER_CONFIG.height - 2 * CHARACTER_CONFIG.radius) / 2;
-  const characterBottom = translation.y - halfHeight - CHARACTER_CONFIG.radius;
+  // Camera is at localFrame position (plus the tracked head height in VR)
+  const characterBottom = translation.y - currentHeight / 2;
   
   sparkScene.localFrame.position.set(
     translation.x,
-    characterBottom + eyeHeight,
+    characterBottom + getCharacterFrameHeight(),
     translation.z
   );
 }
 
+/**
+ * Disable character physics and release the character body and input handlers
+ * Call before the physics world is freed
+ */
+export function disposeCharacterPhysics() {
+  const button = document.getElementById("physics-toggle");
+  if (button) {
+    button.removeEventListener("click", togglePhysics);
+  }
+  if (jumpKeyHandler) {
+    window.removeEventListener('keydown', jumpKeyHandler);
+    jumpKeyHandler = null;
+  }
+  removeStepCallback?.();
+  removeStepCallback = null;
+  if (characterBody && sparkSceneRef?.physicsWorld) {
+    untrackInterpolatedBody(characterBody);
+    sparkSceneRef.physicsWorld.removeCharacterController(characterController);
+    sparkSceneRef.physicsWorld.removeRigidBody(characterBody);
+  }
+  characterBody = null;
+  characterCollider = null;
+  characterController = null;
+  isGrounded = false;
+  verticalVelocity = 0;
+  desiredVelocity.set(0, 0, 0);
+  sparkSceneRef = null;
+  setAnalogMovement(0, 0);
+  setSprinting(false);
+  setCrouching(false);
+  configureCharacter(); // Back to the defaults for the next scene
+
+  if (physicsEnabled) {
+    physicsEnabled = false;
+    syncPhysicsToggle();
+    emitPhysicsToggle();
+  }
+}
+
 // Track pressed keys for movement
 const keysPressed = new Set();
 
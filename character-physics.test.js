@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { setupHeadlessTests, createSimulation, createFloor, characterPhysicsSubsystem } from './headless-fixtures.js';
+import {
+  togglePhysics,
+  teleportCharacter,
+  setAnalogMovement,
+  setSprinting,
+  setCrouching,
+  isCrouching,
+  configureCharacter,
+  getCharacterEyeHeight,
+  getCharacterFrameHeight,
+  jump,
+} from './character-physics.js';
+
+// Floor with a stair step, a walkable 30° ramp, a 60° ramp and a low beam (2m above the
+// floor, 4m deep) side by side along -Z
+function createCourse() {
+  const course = new THREE.Group();
+  const floor = createFloor(40);
+  const step = new THREE.Mesh(new THREE.BoxGeometry(3, 0.3, 10));
+  step.position.set(0, 0.15, -8);
+  course.add(floor, step);
+  for (const [x, angle] of [[6, 30], [12, 60]]) {
+    const ramp = new THREE.Mesh(new THREE.BoxGeometry(3, 0.2, 12));
+    ramp.position.set(x, 0, -9);
+    ramp.rotation.x = THREE.MathUtils.degToRad(angle);
+    course.add(ramp);
+  }
+  const beam = new THREE.Mesh(new THREE.BoxGeometry(3, 0.4, 4));
+  beam.position.set(-12, 2.2, -8);
+  course.add(beam);
+  return course;
+}
+
+// Height of the character's feet
+function feetHeight(simulation) {
+  return simulation.playerPosition.y - getCharacterEyeHeight();
+}
+
+describe('character physics', () => {
+  let simulation = null;
+
+  // Simulation on the course in walk mode, with a scene CHARACTER_CONFIG
+  async function createCourseSimulation(characterConfig = {}) {
+    simulation = await createSimulation({
+      collisionMesh: createCourse(),
+      config: { CHARACTER_CONFIG: characterConfig },
+      subsystems: [characterPhysicsSubsystem],
+    });
+    simulation.step(); // Fills the query pipeline used by the character controller
+    togglePhysics();
+  }
+
+  setupHeadlessTests();
+
+  beforeEach(async () => {
+    await createCourseSimulation();
+  });
+
+  // Start on the floor at x and walk forward (-Z) for a while
+  function walkForward(x, seconds) {
+    teleportCharacter(new THREE.Vector3(x, getCharacterEyeHeight(), 0));
+    simulation.run(0.5);
+    setAnalogMovement(0, 1);
+    simulation.run(seconds);
+    setAnalogMovement(0, 0);
+  }
+
+  it('stands still on the floor without sliding or bouncing', () => {
+    teleportCharacter(new THREE.Vector3(-6, getCharacterEyeHeight() + 1, 0));
+    simulation.run(2);
+    const settled = simulation.playerPosition.clone();
+    simulation.run(1);
+
+    expect(feetHeight(simulation)).toBeCloseTo(0, 1);
+    expect(simulation.playerPosition.distanceTo(settled)).toBeLessThan(0.001);
+  });
+
+  it('climbs a step and walkable slopes but not steep ones', () => {
+    walkForward(0, 1);
+    expect(feetHeight(simulation)).toBeCloseTo(0.3, 1); // On the step
+
+    walkForward(6, 2.5);
+    expect(feetHeight(simulation)).toBeGreaterThan(1); // Up the 30° ramp, which starts at z = -9
+
+    walkForward(12, 2.5);
+    expect(feetHeight(simulation)).toBeLessThan(0.5); // Stopped at the 60° ramp
+    expect(simulation.playerPosition.z).toBeGreaterThan(-10);
+  });
+
+  it('jumps only from the ground', () => {
+    teleportCharacter(new THREE.Vector3(-6, getCharacterEyeHeight(), 0));
+    simulation.run(0.5);
+
+    jump();
+    simulation.run(0.3);
+    const airborne = feetHeight(simulation);
+    jump(); // Ignored in the air
+    simulation.run(2);
+
+    expect(airborne).toBeGreaterThan(1);
+    expect(feetHeight(simulation)).toBeCloseTo(0, 1);
+  });
+
+  it('sprints faster and crouches under a beam, standing up only in the open', () => {
+    setSprinting(true);
+    walkForward(-6, 1);
+    setSprinting(false);
+    expect(simulation.playerPosition.z).toBeLessThan(-8); // 1.8 times the 5 m/s walking speed
+
+    walkForward(-12, 2);
+    expect(simulation.playerPosition.z).toBeGreaterThan(-6.5); // Standing, stopped by the beam
+
+    setCrouching(true);
+    walkForward(-12, 3); // Crouching speed is half the walking speed
+    setCrouching(false);
+    simulation.run(0.2);
+    expect(simulation.playerPosition.z).toBeLessThan(-6.5);
+    expect(isCrouching()).toBe(true); // No room to stand up under the beam
+    expect(getCharacterEyeHeight()).toBeCloseTo(1.5 * 0.9);
+
+    setAnalogMovement(0, 1);
+    simulation.run(1.5);
+    setAnalogMovement(0, 0);
+    simulation.run(0.2);
+    expect(isCrouching()).toBe(false); // Out from under the beam
+    expect(feetHeight(simulation)).toBeCloseTo(0, 1);
+  });
+
+  it('takes the character size from the scene and calibrates the eye height in VR', async () => {
+    await simulation.dispose();
+    await createCourseSimulation({ height: 1.8 });
+    expect(getCharacterEyeHeight()).toBeCloseTo(1.62); // Same proportion as the default
+
+    const { sparkScene } = simulation;
+    teleportCharacter(new THREE.Vector3(-6, getCharacterEyeHeight(), 0));
+    simulation.run(0.5);
+    sparkScene.renderer = { xr: { isPresenting: true } };
+    sparkScene.camera.position.y = 1.7; // Headset height above the real floor
+    simulation.run(0.5);
+
+    expect(getCharacterEyeHeight()).toBeCloseTo(1.7);
+    expect(getCharacterFrameHeight()).toBeCloseTo(0);
+    expect(sparkScene.camera.getWorldPosition(new THREE.Vector3()).y).toBeCloseTo(1.7, 1);
+
+    sparkScene.renderer.xr.isPresenting = false;
+    sparkScene.camera.position.y = 0;
+    simulation.step();
+    expect(getCharacterEyeHeight()).toBeCloseTo(1.62);
+    expect(() => configureCharacter({ height: 0.5 })).toThrow('more than twice the radius');
+  });
+});
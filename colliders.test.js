@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { setupHeadlessTests, createSimulation, createFloor, createBox, createObjectsSubsystem } from './headless-fixtures.js';
+import { addDynamicBody, createObjectColliderDesc } from './collisions.js';
+import { isHudEnabled, toggleHUD } from './hud.js';
+
+// Floor with objects created by addObjects(sparkScene)
+function createFloorScene(addObjects) {
+  return createSimulation({ collisionMesh: createFloor(), subsystems: [createObjectsSubsystem(addObjects)] });
+}
+
+function addObject(sparkScene, name, mesh, physics) {
+  return addDynamicBody(sparkScene, mesh, name, createObjectColliderDesc(mesh, physics.collider), mesh.position.clone(), physics);
+}
+
+describe('object colliders', () => {
+  setupHeadlessTests();
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {}); // ConvexGeometry loads from the CDN
+  });
+
+  afterEach(() => {
+    if (isHudEnabled()) toggleHUD();
+  });
+
+  it('fits the collider shape to the mesh', async () => {
+    const simulation = await createFloorScene((sparkScene) => {
+      addObject(sparkScene, 'crate', createBox(1, 0.5, 2, new THREE.Vector3(0, 2, 0)), { collider: 'cuboid' });
+      addObject(sparkScene, 'barrel', createBox(0.6, 1.6, 0.6, new THREE.Vector3(3, 2, 0)), { collider: 'capsule' });
+      addObject(sparkScene, 'hull', createBox(0.5, 0.5, 0.5, new THREE.Vector3(-3, 2, 0)), { collider: 'convexHull', density: 8 });
+      addObject(sparkScene, 'shell', createBox(0.5, 0.5, 0.5, new THREE.Vector3(-6, 2, 0)), { collider: 'trimesh', mass: 2 });
+    });
+    simulation.run(3);
+
+    const { dynamicObjects } = simulation.sparkScene;
+    const barrel = dynamicObjects.get('barrel').collider.shape;
+    expect(barrel.radius).toBeCloseTo(0.3);
+    expect(barrel.halfHeight).toBeCloseTo(0.5);
+    expect(dynamicObjects.get('hull').body.mass()).toBeCloseTo(1); // 0.125 m³ at 8 kg/m³
+    expect(dynamicObjects.get('shell').body.mass()).toBeCloseTo(2);
+
+    // Resting on the floor: origins at the bottom of the meshes
+    for (const name of ['crate', 'hull', 'shell']) {
+      expect(simulation.getObjectPosition(name).y).toBeCloseTo(0, 1);
+    }
+    expect(() => createObjectColliderDesc(new THREE.Mesh(), 'ball')).toThrow('has no geometry');
+    expect(() => createObjectColliderDesc(createBox(1, 1, 1, new THREE.Vector3()), 'cylinder')).toThrow('Unknown collider type');
+  });
+
+  it('applies damping and CCD', async () => {
+    const simulation = await createFloorScene((sparkScene) => {
+      const ball = (x) => new THREE.Mesh(new THREE.SphereGeometry(0.2)).translateX(x).translateY(0.2);
+      addObject(sparkScene, 'free', ball(0), { collider: 'ball' });
+      addObject(sparkScene, 'damped', ball(2), { collider: 'ball', linearDamping: 2, ccd: true });
+    });
+    const { dynamicObjects } = simulation.sparkScene;
+    dynamicObjects.get('free').body.setLinvel({ x: 0, y: 0, z: -5 }, true);
+    dynamicObjects.get('damped').body.setLinvel({ x: 0, y: 0, z: -5 }, true);
+    simulation.run(1);
+
+    expect(simulation.getObjectPosition('damped').z).toBeGreaterThan(simulation.getObjectPosition('free').z + 1);
+    expect(dynamicObjects.get('damped').body.isCcdEnabled()).toBe(true);
+    expect(dynamicObjects.get('free').body.isCcdEnabled()).toBe(false);
+  });
+
+  it('shows the colliders with the HUD, following their bodies', async () => {
+    const simulation = await createFloorScene((sparkScene) => {
+      addObject(sparkScene, 'crate', createBox(1, 0.5, 2, new THREE.Vector3(0, 2, 0)), { collider: 'cuboid' });
+    });
+    const { colliderMesh } = simulation.sparkScene.dynamicObjects.get('crate');
+    expect(colliderMesh.visible).toBe(false);
+
+    toggleHUD();
+    simulation.run(2);
+
+    expect(colliderMesh.visible).toBe(true);
+    expect(colliderMesh.geometry.type).toBe('BoxGeometry');
+    expect(colliderMesh.position.y).toBeCloseTo(0, 1);
+    colliderMesh.geometry.computeBoundingBox();
+    expect(colliderMesh.geometry.boundingBox.min.y).toBeCloseTo(0); // Offset to the mesh's center
+  });
+});
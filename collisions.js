@@ -1,14 +1,34 @@
 import * as THREE from "three";
 import * as RAPIER from "@dimforge/rapier3d-compat";
 import { checkAssets } from "./assets.js";
-import { onHudToggle, isHudEnabled } from "./hud.js";
+import { trackAsset } from "./loading-manager.js";
+import { isHudEnabled } from "./hud.js";
+import { on, off, EVENTS } from "./events.js";
 
-// Import GLTFLoader from CDN (matches three.js version)
-const { GLTFLoader } = await import("https://cdn.jsdelivr.net/npm/three@0.179.0/examples/jsm/loaders/GLTFLoader.js");
-
-const gltfLoader = new GLTFLoader();
+let gltfLoaderPromise = null;
+let convexGeometryPromise = null;
 let sparkSceneRef = null; // Reference to sparkScene for HUD toggle callback
 
+// Default physics timing. Scenes can override it with PHYSICS_CONFIG in their config.js
+const DEFAULT_PHYSICS_CONFIG = {
+  fixedTimeStep: 1 / 60, // Simulation step in seconds, independent of the display refresh rate
+  maxSubSteps: 5,        // Maximum steps per frame; time beyond that is dropped to avoid a spiral of death
+};
+
+let physicsConfig = { ...DEFAULT_PHYSICS_CONFIG };
+let stepAccumulator = 0; // Simulated time owed to the physics world, in seconds
+let interpolationAlpha = 1; // How far the render time is between the previous and current physics state
+
+// Bodies whose visual transform is interpolated between physics states, keyed by body handle
+// Each entry keeps the state from before the last step: { previousTranslation, previousRotation }
+const interpolatedBodies = new Map();
+
+// Callbacks run before every physics step (see onPhysicsStep)
+const stepCallbacks = new Set();
+
+// Collider shapes of dynamic objects (see createObjectColliderDesc)
+export const COLLIDER_TYPES = ['ball', 'cuboid', 'capsule', 'convexHull', 'trimesh'];
+
 /**
  * Initialize Rapier physics world
  * @returns {Promise<RAPIER.World>} - The physics world
@@ -25,6 +45,70 @@ async function initPhysicsWorld() {
   return world;
 }
 
+/**
+ * Get the GLTFLoader, imported from the CDN (matches three.js version) on first use.
+ * Headless runs build their collision mesh in code and never need it.
+ * @returns {Promise<GLTFLoader>}
+ */
+function getGLTFLoader() {
+  gltfLoaderPromise ??= import("https://cdn.jsdelivr.net/npm/three@0.179.0/examples/jsm/loaders/GLTFLoader.js")
+    .then(({ GLTFLoader }) => new GLTFLoader())
+    .catch((error) => {
+      gltfLoaderPromise = null; // Let the next scene load try again
+      throw error;
+    });
+  return gltfLoaderPromise;
+}
+
+/**
+ * Get ConvexGeometry, imported from the CDN (matches three.js version) on first use.
+ * Only the debug wireframes of convex hull colliders need it.
+ * @returns {Promise<typeof ConvexGeometry>}
+ */
+function getConvexGeometry() {
+  convexGeometryPromise ??= import("https://cdn.jsdelivr.net/npm/three@0.179.0/examples/jsm/geometries/ConvexGeometry.js")
+    .then(({ ConvexGeometry }) => ConvexGeometry)
+    .catch((error) => {
+      convexGeometryPromise = null; // Let the next collider try again
+      throw error;
+    });
+  return convexGeometryPromise;
+}
+
+/**
+ * Create the physics world of a scene, stepped with the configured fixed timestep
+ * @param {SparkScene} sparkScene - The spark scene, receives physicsWorld
+ * @returns {Promise<RAPIER.World>} - The physics world
+ */
+export async function initializePhysicsWorld(sparkScene) {
+  sparkScene.physicsWorld = await initPhysicsWorld();
+  sparkScene.physicsWorld.timestep = physicsConfig.fixedTimeStep;
+  stepAccumulator = 0;
+  sparkSceneRef = sparkScene;
+  return sparkScene.physicsWorld;
+}
+
+/**
+ * Use an object as the scene's collision mesh. It is only visible while the HUD is shown.
+ * Call createCollisionPhysicsBodies() once it is rotated/positioned.
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {THREE.Object3D} collisionMesh - The collision mesh (e.g. a loaded GLB scene)
+ */
+export function setCollisionMesh(sparkScene, collisionMesh) {
+  sparkScene.collisionmesh = collisionMesh; // Store in SparkScene
+  sparkSceneRef = sparkScene; // Store reference for HUD toggle callback
+
+  // Initially hide the collision mesh (will be shown when HUD is enabled)
+  collisionMesh.visible = false;
+  sparkScene.scene.add(collisionMesh);
+
+  // Register for HUD toggle to show/hide collision mesh
+  on(EVENTS.HUD_TOGGLE, onHudToggle);
+
+  // Set initial visibility state
+  updateCollisionMeshVisibility(isHudEnabled());
+}
+
 /**
  * Create collision bodies from mesh geometry
  * @param {SparkScene} sparkScene - The spark scene
@@ -46,7 +130,7 @@ function createCollisionFromMesh(sparkScene, mesh, world, position = null, rotat
   const rot = rotation || mesh.quaternion;
   
   // Create collision body based on geometry type
-  if (geometry.type === 'BufferGeometry') {
+  if (geometry.isBufferGeometry) {
     const vertices = geometry.attributes.position.array;
     const indices = geometry.index ? geometry.index.array : null;
     
@@ -110,31 +194,28 @@ function createCollisionFromMesh(sparkScene, mesh, world, position = null, rotat
  */
 export async function initializeCollisions(sparkScene, meshPath, assetUrlFn = checkAssets) {
   // Initialize physics world
-  sparkScene.physicsWorld = await initPhysicsWorld();
+  await initializePhysicsWorld(sparkScene);
   
   // Load collision mesh
   const meshURL = await assetUrlFn(meshPath);
   
   console.log(`Loading collision mesh from: ${meshURL}`);
+  const tracker = trackAsset('collision mesh', meshURL);
+  let gltfLoader;
+  try {
+    gltfLoader = await getGLTFLoader();
+  } catch (error) {
+    tracker.fail(error);
+    throw error;
+  }
 
   return new Promise((resolve, reject) => {
     // Load the GLB directly without setting path (GLB is self-contained)
     gltfLoader.load(
       meshURL,
       (gltf) => {
-        const scene = gltf.scene;
-        sparkScene.collisionmesh = scene; // Store in SparkScene
-        sparkSceneRef = sparkScene; // Store reference for HUD toggle callback
-        
-        // Initially hide the collision mesh (will be shown when HUD is enabled)
-        scene.visible = false;
-        sparkScene.scene.add(scene);
-        
-        // Register for HUD toggle to show/hide collision mesh
-        onHudToggle(updateCollisionMeshVisibility);
-        
-        // Set initial visibility state
-        updateCollisionMeshVisibility(isHudEnabled());
+        tracker.done();
+        setCollisionMesh(sparkScene, gltf.scene);
         
         console.log(`✓ Loaded collision mesh: ${meshPath}`);
         
@@ -144,11 +225,13 @@ export async function initializeCollisions(sparkScene, meshPath, assetUrlFn = ch
         resolve(sparkScene.physicsWorld);
       },
       (progress) => {
+        tracker.progress(progress.loaded, progress.total);
         if (progress.total) {
           console.log(`Loading collision mesh: ${(progress.loaded / progress.total * 100).toFixed(0)}%`);
         }
       },
       (error) => {
+        tracker.fail(error);
         console.error(`Error loading collision mesh ${meshPath}:`, error);
         reject(error);
       }
@@ -156,72 +239,503 @@ export async function initializeCollisions(sparkScene, meshPath, assetUrlFn = ch
   });
 }
 
+/**
+ * Configure the fixed physics timestep
+ * @param {object} config - Physics configuration (missing fields keep their defaults)
+ * @param {number} config.fixedTimeStep - Simulation step in seconds (default: 1/60)
+ * @param {number} config.maxSubSteps - Maximum simulation steps per frame (default: 5)
+ */
+export function configurePhysics(config = {}) {
+  physicsConfig = { ...DEFAULT_PHYSICS_CONFIG, ...config };
+  stepAccumulator = 0;
+  if (sparkSceneRef && sparkSceneRef.physicsWorld) {
+    sparkSceneRef.physicsWorld.timestep = physicsConfig.fixedTimeStep;
+  }
+}
+
 /**
  * Update physics world (call this in your animation loop)
+ * Steps the world in fixed increments so the simulation runs at the same speed on
+ * every refresh rate. Leftover time is carried to the next frame and used to
+ * interpolate visual transforms (see getInterpolatedTransform).
  * @param {SparkScene} sparkScene - The spark scene
- * @param {number} deltaTime - Time step in seconds
+ * @param {number} deltaTime - Time since the last frame in seconds
  */
 export function updateCollisions(sparkScene, deltaTime) {
-  if (sparkScene.physicsWorld) {
+  if (!sparkScene.physicsWorld) return;
+
+  const { fixedTimeStep, maxSubSteps } = physicsConfig;
+  stepAccumulator += Math.max(0, deltaTime);
+
+  let steps = 0;
+  while (stepAccumulator >= fixedTimeStep && steps < maxSubSteps) {
+    // Remember the state before the step so rendering can blend towards the new one
+    interpolatedBodies.forEach((state) => {
+      const translation = state.body.translation();
+      const rotation = state.body.rotation();
+      state.previousTranslation.set(translation.x, translation.y, translation.z);
+      state.previousRotation.set(rotation.x, rotation.y, rotation.z, rotation.w);
+    });
+
+    moveKinematicObjects(sparkScene, fixedTimeStep);
+    stepCallbacks.forEach((callback) => callback(fixedTimeStep));
     sparkScene.physicsWorld.step();
+    stepAccumulator -= fixedTimeStep;
+    steps++;
   }
+
+  // Too far behind (e.g. tab was in the background): drop the time we could not simulate
+  if (stepAccumulator >= fixedTimeStep) {
+    stepAccumulator %= fixedTimeStep;
+  }
+
+  interpolationAlpha = stepAccumulator / fixedTimeStep;
 }
 
 /**
- * Create a dynamic physics body for a ball/sphere object
+ * Run a callback before every fixed physics step, e.g. to move a kinematic body by the
+ * same amount per step instead of per rendered frame
+ * @param {function} callback - Called with (fixedTimeStep) in seconds
+ * @returns {function} - Call to remove the callback
+ */
+export function onPhysicsStep(callback) {
+  stepCallbacks.add(callback);
+  return () => stepCallbacks.delete(callback);
+}
+
+/**
+ * Interpolate a body's visual transform between its last two physics states
+ * @param {RAPIER.RigidBody} body - A body registered with trackInterpolatedBody()
+ * @param {THREE.Vector3} position - Receives the interpolated position
+ * @param {THREE.Quaternion} quaternion - Receives the interpolated rotation (optional)
+ */
+export function getInterpolatedTransform(body, position, quaternion = null) {
+  const translation = body.translation();
+  position.set(translation.x, translation.y, translation.z);
+  if (quaternion) {
+    const rotation = body.rotation();
+    quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+  }
+
+  const state = interpolatedBodies.get(body.handle);
+  if (!state) return;
+
+  position.lerpVectors(state.previousTranslation, position, interpolationAlpha);
+  if (quaternion) {
+    quaternion.slerpQuaternions(state.previousRotation, quaternion, interpolationAlpha);
+  }
+}
+
+/**
+ * Register a body whose visual transform should be interpolated between physics states
+ * @param {RAPIER.RigidBody} body - The body to track
+ */
+export function trackInterpolatedBody(body) {
+  const state = {
+    body,
+    previousTranslation: new THREE.Vector3(),
+    previousRotation: new THREE.Quaternion(),
+  };
+  interpolatedBodies.set(body.handle, state);
+  snapInterpolatedBody(body);
+}
+
+/**
+ * Stop interpolating a body (call before removing it from the world)
+ * @param {RAPIER.RigidBody} body - The body to untrack
+ */
+export function untrackInterpolatedBody(body) {
+  interpolatedBodies.delete(body.handle);
+}
+
+/**
+ * Make the interpolated transform jump to the body's current state
+ * Call after teleporting a body with setTranslation so it does not visibly slide there
+ * @param {RAPIER.RigidBody} body - The body that was moved
+ */
+export function snapInterpolatedBody(body) {
+  const state = interpolatedBodies.get(body.handle);
+  if (!state) return;
+  const translation = body.translation();
+  const rotation = body.rotation();
+  state.previousTranslation.set(translation.x, translation.y, translation.z);
+  state.previousRotation.set(rotation.x, rotation.y, rotation.z, rotation.w);
+}
+
+/**
+ * Move the interpolated transform of a body along with the body
+ * Call after shifting a body with setTranslation, so the shift applies at once without
+ * dropping the motion of the current step (unlike snapInterpolatedBody)
+ * @param {RAPIER.RigidBody} body - The body that was moved
+ * @param {THREE.Vector3} offset - How far it was moved
+ */
+export function offsetInterpolatedBody(body, offset) {
+  interpolatedBodies.get(body.handle)?.previousTranslation.add(offset);
+}
+
+/**
+ * Collect the triangles of every mesh in an object, relative to the object's position
+ * @param {THREE.Object3D} object - The object, with up to date world matrices
+ * @returns {{vertices: Float32Array, indices: Uint32Array}}
+ */
+function collectObjectGeometry(object) {
+  const vertices = [];
+  const indices = [];
+  const vertex = new THREE.Vector3();
+  object.traverse((child) => {
+    const position = child.isMesh ? child.geometry?.attributes.position : null;
+    if (!position) return;
+    const offset = vertices.length / 3;
+    for (let i = 0; i < position.count; i++) {
+      vertex.fromBufferAttribute(position, i).applyMatrix4(child.matrixWorld).sub(object.position);
+      vertices.push(vertex.x, vertex.y, vertex.z);
+    }
+    const index = child.geometry.index;
+    for (let i = 0; i < (index ? index.count : position.count); i++) {
+      indices.push(offset + (index ? index.getX(i) : i));
+    }
+  });
+  return { vertices: new Float32Array(vertices), indices: new Uint32Array(indices) };
+}
+
+/**
+ * Create the collider of an object from its mesh. Balls, cuboids and capsules (standing
+ * along Y) fit the bounding box; convex hulls and trimeshes use the mesh triangles, which
+ * is exact but slower (trimeshes are hollow, so give them a mass rather than a density).
+ * @param {THREE.Object3D} mesh - The object at its spawn position, without rotation
+ * @param {string} type - One of COLLIDER_TYPES (default: 'ball')
+ * @returns {RAPIER.ColliderDesc}
+ */
+export function createObjectColliderDesc(mesh, type = 'ball') {
+  mesh.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(mesh);
+  if (box.isEmpty()) {
+    throw new Error(`Object "${mesh.name || 'unnamed'}" has no geometry for a collider`);
+  }
+  const size = box.getSize(new THREE.Vector3());
+  const center = box.getCenter(new THREE.Vector3()).sub(mesh.position);
+
+  switch (type) {
+    case 'ball':
+      return RAPIER.ColliderDesc.ball(Math.max(size.x, size.y, size.z) / 2)
+        .setTranslation(center.x, center.y, center.z);
+    case 'cuboid':
+      return RAPIER.ColliderDesc.cuboid(size.x / 2, size.y / 2, size.z / 2)
+        .setTranslation(center.x, center.y, center.z);
+    case 'capsule': {
+      const radius = Math.max(size.x, size.z) / 2;
+      return RAPIER.ColliderDesc.capsule(Math.max(0, size.y / 2 - radius), radius)
+        .setTranslation(center.x, center.y, center.z);
+    }
+    case 'convexHull': {
+      const colliderDesc = RAPIER.ColliderDesc.convexHull(collectObjectGeometry(mesh).vertices);
+      if (!colliderDesc) {
+        throw new Error(`Cannot build a convex hull for object "${mesh.name || 'unnamed'}" (flat or degenerate mesh)`);
+      }
+      return colliderDesc;
+    }
+    case 'trimesh': {
+      const { vertices, indices } = collectObjectGeometry(mesh);
+      return RAPIER.ColliderDesc.trimesh(vertices, indices);
+    }
+    default:
+      throw new Error(`Unknown collider type "${type}" (expected one of ${COLLIDER_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Create a wireframe of a collider for the debug view (shown with the HUD)
+ * @param {RAPIER.ColliderDesc} colliderDesc - The collider
+ * @returns {THREE.Mesh} - Wireframe in the body's coordinates
+ */
+function createColliderDebugMesh(colliderDesc) {
+  const { shape } = colliderDesc;
+  let geometry;
+  let hullPoints = null;
+  switch (shape.type) {
+    case RAPIER.ShapeType.Ball:
+      geometry = new THREE.SphereGeometry(shape.radius, 16, 12);
+      break;
+    case RAPIER.ShapeType.Cuboid:
+      geometry = new THREE.BoxGeometry(shape.halfExtents.x * 2, shape.halfExtents.y * 2, shape.halfExtents.z * 2);
+      break;
+    case RAPIER.ShapeType.Capsule:
+      geometry = new THREE.CapsuleGeometry(shape.radius, shape.halfHeight * 2, 4, 12);
+      break;
+    case RAPIER.ShapeType.ConvexPolyhedron: {
+      hullPoints = [];
+      for (let i = 0; i < shape.vertices.length; i += 3) {
+        hullPoints.push(new THREE.Vector3(shape.vertices[i], shape.vertices[i + 1], shape.vertices[i + 2]));
+      }
+      geometry = new THREE.BufferGeometry(); // Replaced by the hull once ConvexGeometry is loaded
+      break;
+    }
+    case RAPIER.ShapeType.TriMesh:
+      geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(shape.vertices, 3));
+      geometry.setIndex(new THREE.BufferAttribute(shape.indices, 1));
+      break;
+    default:
+      geometry = new THREE.BufferGeometry();
+  }
+  const { x, y, z } = colliderDesc.translation;
+  geometry.translate(x, y, z);
+
+  const colliderMesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+    color: 0xff8800, // Orange, unlike the green collision mesh
+    wireframe: true,
+    transparent: true,
+    opacity: 0.6,
+  }));
+  colliderMesh.name = 'collider';
+  colliderMesh.visible = isHudEnabled();
+
+  if (hullPoints) {
+    getConvexGeometry()
+      .then((ConvexGeometry) => {
+        colliderMesh.geometry.dispose();
+        colliderMesh.geometry = new ConvexGeometry(hullPoints).translate(x, y, z);
+      })
+      .catch((error) => console.warn("Could not load ConvexGeometry, convex hull colliders are not drawn:", error));
+  }
+  return colliderMesh;
+}
+
+/**
+ * Create a body with one collider for an object, with its wireframe for the debug view
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {RAPIER.RigidBodyDesc} bodyDesc - The body, at its initial position
+ * @param {RAPIER.ColliderDesc} colliderDesc - Collider shape, with its mass if the body is dynamic
+ * @param {object} physics - Physics properties (restitution and friction)
+ * @returns {{body: RAPIER.RigidBody, collider: RAPIER.Collider, colliderMesh: THREE.Mesh}}
+ */
+function createObjectBody(sparkScene, bodyDesc, colliderDesc, { restitution = 0.7, friction = 0.5 }) {
+  const body = sparkScene.physicsWorld.createRigidBody(bodyDesc);
+
+  colliderDesc
+    .setRestitution(restitution)
+    .setFriction(friction);
+  const collider = sparkScene.physicsWorld.createCollider(colliderDesc, body);
+
+  // Wireframe of the collider for the debug view, moved with the body
+  const colliderMesh = createColliderDebugMesh(colliderDesc);
+  colliderMesh.position.copy(body.translation());
+  sparkScene.scene.add(colliderMesh);
+
+  return { body, collider, colliderMesh };
+}
+
+/**
+ * Create a dynamic physics body for an object
  * @param {SparkScene} sparkScene - The spark scene
  * @param {THREE.Object3D} mesh - The mesh object
  * @param {string} name - Name of the object
- * @param {number} radius - Radius of the sphere collider
+ * @param {RAPIER.ColliderDesc} colliderDesc - Collider shape (e.g. from createObjectColliderDesc())
  * @param {THREE.Vector3} position - Initial position
- * @param {number} mass - Mass of the object (default: 1.0)
- * @param {number} restitution - Bounciness (0-1, default: 0.7)
- * @param {number} friction - Friction coefficient (default: 0.5)
+ * @param {object} physics - Physics properties
+ * @param {number} physics.mass - Mass in kg (default: 1.0)
+ * @param {number} physics.density - Mass per cubic meter of the collider, instead of mass (optional)
+ * @param {number} physics.restitution - Bounciness (0-1, default: 0.7)
+ * @param {number} physics.friction - Friction coefficient (default: 0.5)
+ * @param {number} physics.linearDamping - Slows the movement down over time (default: 0)
+ * @param {number} physics.angularDamping - Slows the rotation down over time (default: 0)
+ * @param {boolean} physics.ccd - Continuous collision detection, so fast objects do not pass
+ *   through thin walls (default: false)
+ * @returns {{body: RAPIER.RigidBody, collider: RAPIER.Collider}|null}
  */
-export function addDynamicObject(sparkScene, mesh, name, radius, position, mass = 1.0, restitution = 0.7, friction = 0.5) {
+export function addDynamicBody(sparkScene, mesh, name, colliderDesc, position, physics = {}) {
+  const {
+    mass = 1.0,
+    density = null,
+    linearDamping = 0,
+    angularDamping = 0,
+    ccd = false,
+  } = physics;
+
   if (!sparkScene.physicsWorld) {
     console.warn("Physics world not initialized, cannot add dynamic object");
     return null;
   }
-  
+
   // Create dynamic rigid body
   const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
+    .setTranslation(position.x, position.y, position.z)
+    .setLinearDamping(linearDamping)
+    .setAngularDamping(angularDamping)
+    .setCcdEnabled(ccd);
+
+  if (density !== null) {
+    colliderDesc.setDensity(density);
+  } else {
+    colliderDesc.setMass(mass);
+  }
+
+  const { body, collider, colliderMesh } = createObjectBody(sparkScene, bodyDesc, colliderDesc, physics);
+
+  // Store reference (spawnPosition is where the object returns to, see bounds.js)
+  sparkScene.dynamicObjects.set(name, { mesh, body, collider, colliderMesh, bodyType: 'dynamic', spawnPosition: position.clone() });
+  trackInterpolatedBody(body);
+
+  console.log(`- Added dynamic physics body for "${name}" (${RAPIER.ShapeType[colliderDesc.shape.type]}, mass: ${body.mass().toFixed(2)})`);
+
+  return { body, collider };
+}
+
+/**
+ * Create a static physics body for an object that only collides (e.g. set dressing)
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {THREE.Object3D} mesh - The mesh object
+ * @param {string} name - Name of the object
+ * @param {RAPIER.ColliderDesc} colliderDesc - Collider shape (e.g. from createObjectColliderDesc())
+ * @param {THREE.Vector3} position - Position of the object
+ * @param {object} physics - Physics properties (restitution and friction, see addDynamicBody)
+ * @returns {{body: RAPIER.RigidBody, collider: RAPIER.Collider}|null}
+ */
+export function addStaticBody(sparkScene, mesh, name, colliderDesc, position, physics = {}) {
+  if (!sparkScene.physicsWorld) {
+    console.warn("Physics world not initialized, cannot add static object");
+    return null;
+  }
+
+  const bodyDesc = RAPIER.RigidBodyDesc.fixed()
     .setTranslation(position.x, position.y, position.z);
-  
-  const body = sparkScene.physicsWorld.createRigidBody(bodyDesc);
-  
-  // Create sphere collider
-  const colliderDesc = RAPIER.ColliderDesc.ball(radius)
-    .setMass(mass)
-    .setRestitution(restitution)
-    .setFriction(friction);
-  
-  const collider = sparkScene.physicsWorld.createCollider(colliderDesc, body);
-  
-  // Store reference
-  sparkScene.dynamicObjects.set(name, { mesh, body, collider });
-  
-  console.log(`- Added dynamic physics body for "${name}" (radius: ${radius}, mass: ${mass})`);
-  
+  const { body, collider, colliderMesh } = createObjectBody(sparkScene, bodyDesc, colliderDesc, physics);
+
+  sparkScene.dynamicObjects.set(name, { mesh, body, collider, colliderMesh, bodyType: 'static' });
+
+  console.log(`- Added static physics body for "${name}" (${RAPIER.ShapeType[colliderDesc.shape.type]})`);
+
   return { body, collider };
 }
 
+/**
+ * Build a track from its start position and config
+ * Open tracks go back and forth between the start and the last waypoint, loops return to the start.
+ * @param {THREE.Vector3} start - Position the track starts at
+ * @param {object} config - Track config
+ * @param {number[][]} config.waypoints - Positions to visit after the start, as [x, y, z]
+ * @param {number} config.speed - Speed in meters per second (default: 1.0)
+ * @param {boolean} config.loop - Return to the start after the last waypoint (default: false)
+ * @returns {object} - { points, distances, length, speed, loop, distance }
+ */
+function createTrack(start, { waypoints, speed = 1.0, loop = false }) {
+  const points = [start.clone(), ...waypoints.map(([x, y, z]) => new THREE.Vector3(x, y, z))];
+  if (loop) points.push(start.clone());
+
+  // Distance along the track at each point
+  const distances = [0];
+  for (let i = 1; i < points.length; i++) {
+    distances.push(distances[i - 1] + points[i - 1].distanceTo(points[i]));
+  }
+
+  return { points, distances, length: distances[distances.length - 1], speed, loop, distance: 0 };
+}
+
+/**
+ * Get the position on a track after travelling along it
+ * @param {object} track - Track from createTrack()
+ * @param {THREE.Vector3} target - Receives the position
+ * @returns {THREE.Vector3} - target
+ */
+function getTrackPosition(track, target) {
+  const { points, distances, length } = track;
+  if (length === 0) return target.copy(points[0]);
+
+  // Open tracks turn around at the last waypoint
+  let distance = track.distance % (track.loop ? length : 2 * length);
+  if (distance > length) distance = 2 * length - distance;
+
+  let index = 1;
+  while (index < points.length - 1 && distances[index] < distance) index++;
+  const segmentLength = distances[index] - distances[index - 1];
+  const alpha = segmentLength > 0 ? (distance - distances[index - 1]) / segmentLength : 1;
+  return target.lerpVectors(points[index - 1], points[index], alpha);
+}
+
+/**
+ * Create a kinematic physics body for an object that moves along a track
+ * The body is moved, not simulated: it pushes dynamic objects aside and carries the ones
+ * resting on it, but nothing pushes it back.
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {THREE.Object3D} mesh - The mesh object
+ * @param {string} name - Name of the object
+ * @param {RAPIER.ColliderDesc} colliderDesc - Collider shape (e.g. from createObjectColliderDesc())
+ * @param {THREE.Vector3} position - Initial position, where the track starts
+ * @param {object} physics - Physics properties (restitution and friction, see addDynamicBody)
+ * @param {object} track - Track to follow (see createTrack), or null to move the body from code
+ *   with body.setNextKinematicTranslation()
+ * @returns {{body: RAPIER.RigidBody, collider: RAPIER.Collider}|null}
+ */
+export function addKinematicBody(sparkScene, mesh, name, colliderDesc, position, physics = {}, track = null) {
+  if (!sparkScene.physicsWorld) {
+    console.warn("Physics world not initialized, cannot add kinematic object");
+    return null;
+  }
+
+  const bodyDesc = RAPIER.RigidBodyDesc.kinematicPositionBased()
+    .setTranslation(position.x, position.y, position.z);
+  const { body, collider, colliderMesh } = createObjectBody(sparkScene, bodyDesc, colliderDesc, physics);
+
+  sparkScene.dynamicObjects.set(name, {
+    mesh,
+    body,
+    collider,
+    colliderMesh,
+    bodyType: 'kinematic',
+    track: track ? createTrack(position, track) : null,
+  });
+  trackInterpolatedBody(body);
+
+  console.log(`- Added kinematic physics body for "${name}" (${RAPIER.ShapeType[colliderDesc.shape.type]}${track ? `, ${track.waypoints.length} waypoint(s)` : ''})`);
+
+  return { body, collider };
+}
+
+/**
+ * Advance kinematic objects along their tracks by one physics step
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {number} fixedTimeStep - Step duration in seconds
+ */
+function moveKinematicObjects(sparkScene, fixedTimeStep) {
+  const position = new THREE.Vector3();
+  sparkScene.dynamicObjects.forEach(({ body, track }) => {
+    if (!track) return;
+    track.distance += track.speed * fixedTimeStep;
+    body.setNextKinematicTranslation(getTrackPosition(track, position));
+  });
+}
+
+/**
+ * Create a dynamic physics body for a ball/sphere object
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {THREE.Object3D} mesh - The mesh object
+ * @param {string} name - Name of the object
+ * @param {number} radius - Radius of the sphere collider
+ * @param {THREE.Vector3} position - Initial position
+ * @param {number} mass - Mass of the object (default: 1.0)
+ * @param {number} restitution - Bounciness (0-1, default: 0.7)
+ * @param {number} friction - Friction coefficient (default: 0.5)
+ * @returns {{body: RAPIER.RigidBody, collider: RAPIER.Collider}|null}
+ */
+export function addDynamicObject(sparkScene, mesh, name, radius, position, mass = 1.0, restitution = 0.7, friction = 0.5) {
+  return addDynamicBody(sparkScene, mesh, name, RAPIER.ColliderDesc.ball(radius), position, { mass, restitution, friction });
+}
+
 /**
  * Update visual mesh positions from physics bodies
  * Call this after updateCollisions() in your animation loop
+ * Transforms of dynamic and kinematic objects are interpolated between the last two physics
+ * steps. Static objects stay where they were placed (visual objects have no body at all).
  * @param {SparkScene} sparkScene - The spark scene
  */
 export function updateDynamicObjects(sparkScene) {
-  sparkScene.dynamicObjects.forEach(({ mesh, body }) => {
+  sparkScene.dynamicObjects.forEach(({ mesh, body, colliderMesh, bodyType }) => {
+    if (bodyType === 'static') return;
     if (mesh && body) {
-      const translation = body.translation();
-      const rotation = body.rotation();
-      
-      // Update mesh position
-      mesh.position.set(translation.x, translation.y, translation.z);
-      
-      // Update mesh rotation
-      mesh.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+      getInterpolatedTransform(body, mesh.position, mesh.quaternion);
+    }
+    if (colliderMesh?.visible) {
+      getInterpolatedTransform(body, colliderMesh.position, colliderMesh.quaternion);
     }
   });
 }
@@ -271,7 +785,15 @@ export function createCollisionPhysicsBodies(sparkScene) {
 }
 
 /**
- * Update collision mesh visibility based on HUD state
+ * Show the collision mesh while the HUD is visible
+ * @param {object} event - 'hud:toggle' payload
+ */
+function onHudToggle({ visible }) {
+  updateCollisionMeshVisibility(visible);
+}
+
+/**
+ * Update collision mesh and object collider visibility based on HUD state
  * @param {boolean} visible - Whether HUD is visible
  */
 function updateCollisionMeshVisibility(visible) {
@@ -279,6 +801,22 @@ function updateCollisionMeshVisibility(visible) {
     sparkSceneRef.collisionmesh.visible = visible;
     console.log(`Collision mesh visibility: ${visible ? 'visible' : 'hidden'}`);
   }
+  // Object colliders are part of the debug view too
+  sparkSceneRef?.dynamicObjects.forEach(({ colliderMesh }) => {
+    if (colliderMesh) colliderMesh.visible = visible;
+  });
 }
 
-
+/**
+ * Release module state held for the collision system
+ * The physics world itself is freed by disposeSparkScene()
+ */
+export function disposeCollisions() {
+  off(EVENTS.HUD_TOGGLE, onHudToggle);
+  interpolatedBodies.clear();
+  stepCallbacks.clear();
+  physicsConfig = { ...DEFAULT_PHYSICS_CONFIG };
+  stepAccumulator = 0;
+  interpolationAlpha = 1;
+  sparkSceneRef = null;
+}
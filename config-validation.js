@@ -0,0 +1,511 @@
+// Config Validation
+// Schemas for the scene config formats and a validator that reports every problem
+// with file, index and field path. Has no browser dependencies so it runs both at
+// load time in the browser and from Node (scripts/validate-configs.js).
+//
+// Schemas use a small JSON-Schema-like subset:
+//   type                  'string' | 'number' | 'boolean' | 'object' | 'array' | 'null'
+//   properties, required  Object fields and the names of the mandatory ones
+//   additionalProperties  false to report unknown fields (reported as warnings)
+//   values                Schema for every field of an object used as a map (keys are free-form)
+//   items, minItems, maxItems, minimum, maximum, enum, pattern
+//   anyOf                 Value must match one of several schemas
+//   discriminator         { property, mapping } - extra required fields chosen by the value of a field
+//   check                 (value) => { path, message } | null - rules the subset cannot express
+
+const VEC3 = { type: 'array', items: { type: 'number' }, minItems: 3, maxItems: 3 };
+const XYZ = {
+  type: 'object',
+  properties: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } },
+  required: ['x', 'y', 'z'],
+};
+const COLOR = { anyOf: [{ type: 'string', pattern: /^#?[0-9a-fA-F]{6}$/ }, { type: 'number', minimum: 0 }] };
+const NON_NEGATIVE = { type: 'number', minimum: 0 };
+const FILE_NAME = { type: 'string', pattern: /\S/ };
+
+const SPATIAL_AUDIO_SOURCE = {
+  type: 'object',
+  properties: {
+    audio_url: FILE_NAME,
+    audio_position: VEC3,
+    triggerRadius: { anyOf: [{ type: 'number', minimum: 0 }, { type: 'null' }] },
+    falloff: {
+      type: 'object',
+      properties: {
+        refDistance: NON_NEGATIVE,
+        rolloffFactor: NON_NEGATIVE,
+        maxDistance: NON_NEGATIVE,
+        loop: { type: 'boolean' },
+        volume: NON_NEGATIVE, // Gain, may exceed 1 to boost quiet sources
+      },
+      additionalProperties: false,
+    },
+  },
+  required: ['audio_url', 'audio_position'],
+  additionalProperties: false,
+};
+
+const LIGHT = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    type: { enum: ['ambient', 'directional', 'point', 'spot', 'hemisphere'] },
+    color: COLOR,
+    intensity: NON_NEGATIVE,
+    position: VEC3,
+    target: VEC3,
+    castShadow: { type: 'boolean' },
+    shadowMapSize: { type: 'number', minimum: 1 },
+    distance: NON_NEGATIVE,
+    decay: NON_NEGATIVE,
+    angle: { type: 'number', minimum: 0, maximum: Math.PI / 2 },
+    penumbra: { type: 'number', minimum: 0, maximum: 1 },
+    groundColor: COLOR,
+  },
+  required: ['type'],
+  additionalProperties: false,
+  discriminator: {
+    property: 'type',
+    mapping: {
+      point: { required: ['position'] },
+      spot: { required: ['position'] },
+    },
+  },
+};
+
+const PATH_WAYPOINT = {
+  type: 'object',
+  properties: {
+    position: VEC3,
+    triggerRadius: NON_NEGATIVE,
+    radius: NON_NEGATIVE,
+    color: COLOR,
+    highlightOffset: { type: 'number' },
+  },
+  required: ['position'],
+  additionalProperties: false,
+};
+
+export const CONFIG_SCHEMAS = {
+  // audio-config.json: either a list of spatial audio sources (old format) or an object
+  audio: {
+    anyOf: [
+      { type: 'array', items: SPATIAL_AUDIO_SOURCE },
+      {
+        type: 'object',
+        properties: {
+          BACKGROUND_AUDIO_CONFIG: {
+            type: 'object',
+            properties: {
+              backgroundMusicFileName: { anyOf: [FILE_NAME, { type: 'null' }] },
+              volume: { type: 'number', minimum: 0, maximum: 1 },
+            },
+            additionalProperties: false,
+          },
+          spatialAudioSources: { type: 'array', items: SPATIAL_AUDIO_SOURCE },
+        },
+        additionalProperties: false,
+      },
+    ],
+  },
+
+  // lighting-config.json
+  lighting: { type: 'array', items: LIGHT },
+
+  // objects-config.json
+  objects: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', pattern: /\S/ },
+        model: FILE_NAME,
+        position: VEC3,
+        scale: { anyOf: [{ type: 'number', minimum: 0 }, VEC3] },
+        physics: {
+          type: 'object',
+          properties: {
+            collider: { enum: ['ball', 'cuboid', 'capsule', 'convexHull', 'trimesh'] },
+            mass: { type: 'number', minimum: 0 },
+            density: { type: 'number', minimum: 0 },
+            restitution: NON_NEGATIVE,
+            friction: NON_NEGATIVE,
+            linearDamping: NON_NEGATIVE,
+            angularDamping: NON_NEGATIVE,
+            ccd: { type: 'boolean' },
+          },
+          additionalProperties: false,
+          check: (physics) =>
+            physics.mass !== undefined && physics.density !== undefined
+              ? { path: 'density', message: 'use either mass or density' }
+              : null,
+        },
+        body: { enum: ['dynamic', 'static', 'kinematic', 'visual'] },
+        track: {
+          type: 'object',
+          properties: {
+            waypoints: { type: 'array', items: VEC3, minItems: 1 },
+            speed: NON_NEGATIVE,
+            loop: { type: 'boolean' },
+          },
+          required: ['waypoints'],
+          additionalProperties: false,
+        },
+      },
+      required: ['name', 'model', 'position'],
+      additionalProperties: false,
+      check: (object) => {
+        if (object.track && object.body !== 'kinematic') {
+          return { path: 'track', message: 'only kinematic bodies follow a track' };
+        }
+        if (object.physics && object.body === 'visual') {
+          return { path: 'physics', message: 'visual objects have no physics' };
+        }
+        return null;
+      },
+    },
+  },
+
+  // robot-config.json
+  robot: {
+    type: 'object',
+    properties: {
+      waypoints: { type: 'array', items: VEC3, minItems: 1 },
+      movementSpeed: { type: 'number', minimum: 0 },
+      pauseDuration: NON_NEGATIVE,
+      rotationDuration: NON_NEGATIVE,
+    },
+    required: ['waypoints'],
+    additionalProperties: false,
+  },
+
+  // path-config.json: either a list of waypoints or an object with a waypoints list
+  path: {
+    anyOf: [
+      { type: 'array', items: PATH_WAYPOINT },
+      {
+        type: 'object',
+        properties: { waypoints: { type: 'array', items: PATH_WAYPOINT } },
+        required: ['waypoints'],
+        additionalProperties: false,
+      },
+    ],
+  },
+
+  // Asset manifest (ASSETS_CONFIG.manifestFile) mapping asset names to URLs
+  assetManifest: {
+    type: 'object',
+    properties: {
+      assets: {
+        type: 'object',
+        values: {
+          type: 'object',
+          properties: {
+            local: FILE_NAME,
+            cdn: { type: 'string', pattern: /^https?:\/\// },
+            size: { type: 'number', minimum: 0 },
+            sha256: { type: 'string', pattern: /^[0-9a-fA-F]{64}$/ },
+          },
+          additionalProperties: false,
+          check: (entry) => (!entry.local && !entry.cdn ? { path: '', message: 'needs a "local" or "cdn" URL' } : null),
+        },
+      },
+    },
+    required: ['assets'],
+    additionalProperties: false,
+  },
+
+  // SCENE_CONFIG exported by scenes/<scene-name>/config.js
+  scene: {
+    type: 'object',
+    properties: {
+      sceneSpzFileName: FILE_NAME,
+      proxyMeshFileName: FILE_NAME,
+      // Collision proxy built from the splats when there is no proxyMeshFileName (see splat-proxy.js)
+      splatProxy: {
+        type: 'object',
+        properties: {
+          voxelSize: { type: 'number', minimum: 0.01 },
+          minOpacity: { type: 'number', minimum: 0, maximum: 1 },
+          minSplatsPerVoxel: { type: 'number', minimum: 1 },
+          surface: { enum: ['voxels', 'heightfield'] },
+          fileName: FILE_NAME,
+        },
+        additionalProperties: false,
+      },
+      configFiles: {
+        type: 'object',
+        properties: {
+          audioConfig: FILE_NAME,
+          lightingConfig: FILE_NAME,
+          objectsConfig: FILE_NAME,
+          robotConfig: FILE_NAME,
+          pathConfig: FILE_NAME,
+        },
+        required: ['audioConfig'],
+        additionalProperties: false,
+      },
+      sceneRotation: XYZ,
+      playerStartPosition: XYZ,
+      viewpoints: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', pattern: /\S/ },
+            position: XYZ,
+            yaw: { type: 'number' },
+            pitch: { type: 'number', minimum: -90, maximum: 90 },
+          },
+          required: ['name', 'position'],
+          additionalProperties: false,
+        },
+      },
+      bounds: {
+        type: 'object',
+        properties: {
+          minY: { type: 'number' },
+          killVolumes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                min: XYZ,
+                max: XYZ,
+              },
+              required: ['min', 'max'],
+              additionalProperties: false,
+              check: (volume) =>
+                ['x', 'y', 'z'].some((axis) => volume.min?.[axis] > volume.max?.[axis])
+                  ? { path: 'max', message: 'must not be below min on any axis' }
+                  : null,
+            },
+          },
+        },
+        additionalProperties: false,
+      },
+      flags: {
+        type: 'object',
+        properties: {
+          enableVR: { type: 'boolean' },
+          enablePhysics: { type: 'boolean' },
+          enableHands: { type: 'boolean' },
+          enableDynamicObjects: { type: 'boolean' },
+          enableHUD: { type: 'boolean' },
+          enableLighting: { type: 'boolean' },
+          enableRobot: { type: 'boolean' },
+          strictConfigValidation: { type: 'boolean' },
+        },
+        additionalProperties: false,
+      },
+    },
+    required: ['sceneSpzFileName', 'configFiles', 'sceneRotation', 'playerStartPosition', 'flags'],
+    additionalProperties: false,
+  },
+};
+
+// Which schema each SCENE_CONFIG.configFiles entry uses
+export const CONFIG_FILE_KINDS = {
+  audioConfig: 'audio',
+  lightingConfig: 'lighting',
+  objectsConfig: 'objects',
+  robotConfig: 'robot',
+  pathConfig: 'path',
+};
+
+/**
+ * Describe the JSON type of a value for error messages
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Append a property or index to a field path
+ * @param {string} path - Current path ('' for the root)
+ * @param {string|number} key - Property name or array index
+ * @returns {string}
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  if (!key) return path;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema, collecting problems
+ * @param {*} value - Value to validate
+ * @param {object} schema - Schema to validate against
+ * @param {string} path - Field path of the value
+ * @param {Array} problems - Problems found so far ({ path, message, severity })
+ */
+function validateValue(value, schema, path, problems) {
+  const error = (message) => problems.push({ path, message, severity: 'error' });
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map((alternative) => {
+      const found = [];
+      validateValue(value, alternative, path, found);
+      return found;
+    });
+
+    // Valid if any alternative matches (keep its warnings)
+    const match = attempts.find((found) => !hasErrors(found));
+    if (match) {
+      problems.push(...match);
+      return;
+    }
+
+    // If exactly one alternative has the right type, its problems are the useful ones
+    const sameType = schema.anyOf
+      .map((alternative, index) => (alternative.type === typeOf(value) ? index : -1))
+      .filter((index) => index !== -1);
+    if (sameType.length === 1) {
+      problems.push(...attempts[sameType[0]]);
+    } else {
+      const expected = schema.anyOf.map((alternative) => alternative.type || 'value').join(' or ');
+      error(`expected ${expected}, got ${typeOf(value)}`);
+    }
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    error(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+    return;
+  }
+
+  if (schema.type) {
+    const actual = typeOf(value);
+    const matches = schema.type === 'number' ? actual === 'number' && Number.isFinite(value) : actual === schema.type;
+    if (!matches) {
+      error(`expected ${schema.type}, got ${actual === 'number' ? String(value) : actual}`);
+      return;
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) error(`must be >= ${schema.minimum}, got ${value}`);
+    if (schema.maximum !== undefined && value > schema.maximum) error(`must be <= ${schema.maximum}, got ${value}`);
+  }
+
+  if (typeof value === 'string' && schema.pattern && !schema.pattern.test(value)) {
+    error(value.trim() === '' ? 'must not be empty' : `invalid value ${JSON.stringify(value)}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && schema.minItems === schema.maxItems && value.length !== schema.minItems) {
+      error(`expected ${schema.minItems} items, got ${value.length}`);
+    } else {
+      if (schema.minItems !== undefined && value.length < schema.minItems) error(`expected at least ${schema.minItems} items, got ${value.length}`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) error(`expected at most ${schema.maxItems} items, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(item, schema.items, joinPath(path, index), problems));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    let required = schema.required || [];
+
+    if (schema.discriminator) {
+      const variant = schema.discriminator.mapping[value[schema.discriminator.property]];
+      if (variant && variant.required) {
+        required = [...required, ...variant.required];
+      }
+    }
+
+    for (const name of required) {
+      if (value[name] === undefined) {
+        problems.push({ path: joinPath(path, name), message: 'missing required field', severity: 'error' });
+      }
+    }
+
+    for (const [name, fieldValue] of Object.entries(value)) {
+      if (schema.values) {
+        validateValue(fieldValue, schema.values, joinPath(path, name), problems);
+      } else if (properties[name]) {
+        if (fieldValue !== undefined) {
+          validateValue(fieldValue, properties[name], joinPath(path, name), problems);
+        }
+      } else if (schema.additionalProperties === false) {
+        problems.push({ path: joinPath(path, name), message: 'unknown field', severity: 'warning' });
+      }
+    }
+  }
+
+  if (schema.check) {
+    const problem = schema.check(value);
+    if (problem) {
+      problems.push({ path: joinPath(path, problem.path), message: problem.message, severity: 'error' });
+    }
+  }
+}
+
+/**
+ * Validate a parsed config against the schema for its kind
+ * @param {string} kind - Config kind (a key of CONFIG_SCHEMAS: 'audio', 'lighting', ...)
+ * @param {*} data - Parsed config
+ * @param {string} file - File name used in the reported problems
+ * @returns {Array<{file: string, path: string, message: string, severity: string}>} - All problems found
+ */
+export function validateConfig(kind, data, file = kind) {
+  const schema = CONFIG_SCHEMAS[kind];
+  if (!schema) {
+    throw new Error(`Unknown config kind "${kind}"`);
+  }
+  const problems = [];
+  validateValue(data, schema, '', problems);
+  return problems.map((problem) => ({ file, ...problem }));
+}
+
+/**
+ * Format a problem as a single line, e.g. "objects-config.json [1].position: expected 3 items, got 2"
+ * @param {object} problem - Problem returned by validateConfig
+ * @returns {string}
+ */
+export function formatProblem(problem) {
+  const location = problem.path ? `${problem.file} ${problem.path}` : problem.file;
+  return `${location}: ${problem.message}`;
+}
+
+/**
+ * Check whether any problem is an error (warnings, e.g. unknown fields, do not count)
+ * @param {object[]} problems - Problems returned by validateConfig
+ * @returns {boolean}
+ */
+export function hasErrors(problems) {
+  return problems.some((problem) => problem.severity === 'error');
+}
+
+/**
+ * Fetch and validate the SCENE_CONFIG and every JSON config file of a scene
+ * @param {object} sceneConfig - The scene's SCENE_CONFIG
+ * @param {function} assetUrlFn - Function to resolve asset URLs
+ * @returns {Promise<object[]>} - All problems found in all files
+ */
+export async function validateSceneConfigs(sceneConfig, assetUrlFn) {
+  const problems = validateConfig('scene', sceneConfig, 'config.js');
+
+  const files = Object.entries(sceneConfig.configFiles || {})
+    .filter(([key, file]) => CONFIG_FILE_KINDS[key] && typeof file === 'string');
+
+  const results = await Promise.all(files.map(async ([key, file]) => {
+    try {
+      const response = await fetch(await assetUrlFn(file));
+      if (!response.ok) {
+        throw new Error(`HTTP status ${response.status}`);
+      }
+      return validateConfig(CONFIG_FILE_KINDS[key], await response.json(), file);
+    } catch (error) {
+      return [{ file, path: '', message: `could not be loaded (${error.message})`, severity: 'error' }];
+    }
+  }));
+
+  return problems.concat(...results);
+}
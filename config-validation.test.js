@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { validateConfig, formatProblem, hasErrors } from './config-validation.js';
+import { SCENE_CONFIG as COZYSHIP_CONFIG } from './scenes/cozyship/config.js';
+
+const readJSON = (file) => JSON.parse(readFileSync(new URL(file, import.meta.url), 'utf8'));
+
+describe('config validation', () => {
+  it('accepts the bundled scene configs', () => {
+    for (const scene of ['cozyship', 'worldship']) {
+      expect(hasErrors(validateConfig('audio', readJSON(`./scenes/${scene}/audio-config.json`)))).toBe(false);
+      expect(hasErrors(validateConfig('lighting', readJSON(`./scenes/${scene}/lighting-config.json`)))).toBe(false);
+      expect(hasErrors(validateConfig('objects', readJSON(`./scenes/${scene}/objects-config.json`)))).toBe(false);
+      expect(hasErrors(validateConfig('robot', readJSON(`./scenes/${scene}/robot-config.json`)))).toBe(false);
+    }
+    expect(validateConfig('scene', COZYSHIP_CONFIG)).toEqual([]);
+  });
+
+  it('reports every problem with file, index and field path', () => {
+    const problems = validateConfig('objects', [
+      { name: 'ball', model: 'ball.glb', position: [0, 1, 0] },
+      { name: 'box', position: [0, 1] },
+      { name: 'crate', model: 'crate.fbx', position: [0, 0, 0], scale: 'big', colour: 'red' },
+    ], 'objects-config.json');
+
+    expect(problems.map(formatProblem)).toEqual([
+      'objects-config.json [1].model: missing required field',
+      'objects-config.json [1].position: expected 3 items, got 2',
+      'objects-config.json [2].scale: expected number or array, got string',
+      'objects-config.json [2].colour: unknown field',
+    ]);
+    expect(problems[3].severity).toBe('warning');
+  });
+
+  it('rejects unknown light types and applies per-type requirements', () => {
+    const problems = validateConfig('lighting', [
+      { type: 'laser' },
+      { type: 'point', intensity: -1 },
+    ]);
+
+    expect(problems.map((problem) => `${problem.path}: ${problem.message}`)).toEqual([
+      '[0].type: must be one of "ambient", "directional", "point", "spot", "hemisphere", got "laser"',
+      '[1].position: missing required field',
+      '[1].intensity: must be >= 0, got -1',
+    ]);
+  });
+
+  it('validates the object form of the audio config', () => {
+    const problems = validateConfig('audio', {
+      BACKGROUND_AUDIO_CONFIG: { backgroundMusicFileName: 'music.mp3', volume: 2 },
+      spatialAudioSources: [{ audio_url: 'hum.mp3', audio_position: [0, 0, 'x'] }],
+    });
+
+    expect(problems.map((problem) => problem.path)).toEqual([
+      'BACKGROUND_AUDIO_CONFIG.volume',
+      'spatialAudioSources[0].audio_position[2]',
+    ]);
+  });
+
+  it('validates object physics and body types', () => {
+    const problems = validateConfig('objects', [
+      { name: 'crate', model: 'crate.glb', position: [0, 1, 0], physics: { collider: 'cuboid', density: 300, ccd: true } },
+      { name: 'ball', model: 'ball.glb', position: [0, 1, 0], physics: { collider: 'cylinder', mass: 1, density: 2 } },
+      { name: 'lift', model: 'lift.glb', position: [0, 0, 0], body: 'kinematic', track: { waypoints: [[0, 3, 0]], speed: 0.5 } },
+      { name: 'shelf', model: 'shelf.glb', position: [0, 0, 0], body: 'static', track: { waypoints: [[0, 3]] } },
+      { name: 'plant', model: 'plant.glb', position: [0, 0, 0], body: 'ghost' },
+      { name: 'poster', model: 'poster.glb', position: [0, 0, 0], body: 'visual', physics: { friction: 1 } },
+    ]);
+
+    expect(problems.map((problem) => `${problem.path}: ${problem.message}`)).toEqual([
+      '[1].physics.collider: must be one of "ball", "cuboid", "capsule", "convexHull", "trimesh", got "cylinder"',
+      '[1].physics.density: use either mass or density',
+      '[3].track.waypoints[0]: expected 3 items, got 2',
+      '[3].track: only kinematic bodies follow a track',
+      '[4].body: must be one of "dynamic", "static", "kinematic", "visual", got "ghost"',
+      '[5].physics: visual objects have no physics',
+    ]);
+  });
+
+  it('validates scene bounds', () => {
+    const problems = validateConfig('scene', {
+      ...COZYSHIP_CONFIG,
+      bounds: { minY: 'low', killVolumes: [{ min: { x: 0, y: 0, z: 0 }, max: { x: 1, y: -1, z: 1 } }] },
+    });
+
+    expect(problems.map((problem) => `${problem.path}: ${problem.message}`)).toEqual([
+      'bounds.minY: expected number, got string',
+      'bounds.killVolumes[0].max: must not be below min on any axis',
+    ]);
+  });
+
+  it('validates asset manifest entries', () => {
+    const problems = validateConfig('assetManifest', {
+      assets: {
+        'scene.spz': { cdn: 'https://example.com/scene.spz', size: 1024 },
+        'ball.glb': { size: 10 },
+        'hum.mp3': { local: '/scenes/test/hum.mp3', sha256: 'abc' },
+      },
+    });
+
+    expect(problems.map((problem) => `${problem.path}: ${problem.message}`)).toEqual([
+      'assets.ball.glb: needs a "local" or "cdn" URL',
+      'assets.hum.mp3.sha256: invalid value "abc"',
+    ]);
+  });
+});
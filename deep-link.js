@@ -0,0 +1,198 @@
+// Deep Links
+// Shareable links that open a scene at a view. The URL hash encodes the scene, the player
+// position (the HUD X/Y/Z), the view direction and the HUD, path and physics toggles:
+//
+//   #scene=cozyship&pos=-2.00,7.00,-6.13&view=90.0,-10.0&hud=1&path=0&physics=1
+//
+// view is yaw,pitch in degrees (see viewpoints.js). Every field except scene is optional,
+// missing toggles keep their current state. The copy link button writes the link of the
+// current view to the address bar and the clipboard.
+
+import { getPlayerView, setPlayerView } from "./viewpoints.js";
+import { isHudEnabled, toggleHUD } from "./hud.js";
+import { isPathVisible, togglePath, getRemainingWaypoints } from "./path.js";
+import { isPhysicsEnabled, togglePhysics } from "./character-physics.js";
+import { showNotice } from "./progress.js";
+
+const COPIED_ICON_DURATION = 1500; // Milliseconds the check mark shows after copying
+
+let sparkSceneRef = null;
+let sceneNameRef = null;
+let copyLinkButton = null;
+let copiedTimeout = null;
+
+/**
+ * Parse a list of numbers like "1.5,2,-3"
+ * @param {string|null} value
+ * @param {number} count - Expected number of values
+ * @returns {number[]|null} - The numbers, or null if the value is missing or malformed
+ */
+function parseNumbers(value, count) {
+  if (value === null) return null;
+  const numbers = value.split(',').map(Number);
+  return numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+}
+
+/**
+ * Parse a toggle value ("1" or "0")
+ * @param {string|null} value
+ * @returns {boolean|undefined} - undefined if the toggle is not in the link
+ */
+function parseToggle(value) {
+  if (value === null) return undefined;
+  return value === '1' || value === 'true';
+}
+
+/**
+ * Read a deep link from a URL hash
+ * @param {string} hash - URL hash (default: window.location.hash)
+ * @returns {object|null} - { scene, position: {x, y, z}|null, yaw, pitch, hud, path, physics },
+ *   or null if the hash has no scene
+ */
+export function parseDeepLink(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const scene = params.get('scene')?.trim();
+  if (!scene) return null;
+
+  const position = parseNumbers(params.get('pos'), 3);
+  const view = parseNumbers(params.get('view'), 2);
+  if (params.has('pos') && !position) console.warn(`Ignoring invalid link position "${params.get('pos')}"`);
+  if (params.has('view') && !view) console.warn(`Ignoring invalid link view "${params.get('view')}"`);
+
+  return {
+    scene,
+    position: position ? { x: position[0], y: position[1], z: position[2] } : null,
+    yaw: view ? view[0] : 0,
+    pitch: view ? view[1] : 0,
+    hud: parseToggle(params.get('hud')),
+    path: parseToggle(params.get('path')),
+    physics: parseToggle(params.get('physics')),
+  };
+}
+
+/**
+ * Build the hash of the current view
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {string} sceneName - Name of the loaded scene
+ * @returns {string} - Hash including the leading '#'
+ */
+export function createDeepLinkHash(sparkScene, sceneName) {
+  const { position, yaw, pitch } = getPlayerView(sparkScene);
+  const fields = [
+    `scene=${encodeURIComponent(sceneName)}`,
+    `pos=${[position.x, position.y, position.z].map((value) => value.toFixed(2)).join(',')}`,
+    `view=${yaw.toFixed(1)},${pitch.toFixed(1)}`,
+    `hud=${isHudEnabled() ? 1 : 0}`,
+  ];
+  // Toggles that do nothing in this scene are left out
+  if (getRemainingWaypoints() > 0) {
+    fields.push(`path=${isPathVisible() ? 1 : 0}`);
+  }
+  if (sparkScene.physicsWorld) {
+    fields.push(`physics=${isPhysicsEnabled() ? 1 : 0}`);
+  }
+  return `#${fields.join('&')}`;
+}
+
+/**
+ * Put the player at a link's view and set its toggles
+ * Call once the scene's subsystems are initialized
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {object} link - Deep link from parseDeepLink
+ */
+export function applyDeepLink(sparkScene, link) {
+  if (link.hud !== undefined && link.hud !== isHudEnabled()) {
+    toggleHUD();
+  }
+  if (link.path !== undefined && getRemainingWaypoints() > 0 && link.path !== isPathVisible()) {
+    togglePath();
+  }
+  // Physics first, so the character body is moved to the link's position below
+  if (link.physics !== undefined && sparkScene.physicsWorld && link.physics !== isPhysicsEnabled()) {
+    togglePhysics();
+  }
+  if (link.position) {
+    setPlayerView(sparkScene, { position: link.position, yaw: link.yaw, pitch: link.pitch });
+  }
+  console.log(`- Opened link to ${link.position ? 'a view in ' : ''}scene "${link.scene}"`);
+}
+
+/**
+ * Sync copy link button icon
+ * @param {boolean} copied - Show the check mark
+ */
+function syncCopyLinkButton(copied = false) {
+  if (!copyLinkButton) return;
+
+  copyLinkButton.innerHTML = copied ? '<i data-lucide="check"></i>' : '<i data-lucide="link"></i>';
+  copyLinkButton.setAttribute("aria-label", copied ? "Link copied" : "Copy link to this view");
+
+  // Re-initialize icons
+  if (window.lucide) {
+    window.lucide.createIcons();
+  }
+}
+
+/**
+ * Copy the link of the current view to the address bar and the clipboard
+ * @returns {Promise<string|null>} - The link, or null if no scene is loaded
+ */
+export async function copyDeepLink() {
+  if (!sparkSceneRef) return null;
+
+  const url = new URL(window.location.href);
+  url.search = ''; // The hash names the scene
+  url.hash = createDeepLinkHash(sparkSceneRef, sceneNameRef);
+  window.history.replaceState(null, '', url);
+
+  try {
+    await navigator.clipboard.writeText(url.href);
+  } catch (error) {
+    // No clipboard access, e.g. outside a secure context
+    console.warn("Failed to copy link:", error);
+    showNotice("Could not copy the link. It is in the address bar.");
+    return url.href;
+  }
+
+  console.log(`- Copied link ${url.href}`);
+  syncCopyLinkButton(true);
+  clearTimeout(copiedTimeout);
+  copiedTimeout = setTimeout(() => syncCopyLinkButton(false), COPIED_ICON_DURATION);
+  return url.href;
+}
+
+function onCopyLinkClick() {
+  copyDeepLink().catch((error) => console.error("Failed to create link:", error));
+}
+
+/**
+ * Setup the copy link button
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {string} sceneName - Name of the loaded scene
+ */
+export function initializeDeepLinks(sparkScene, sceneName) {
+  sparkSceneRef = sparkScene;
+  sceneNameRef = sceneName;
+
+  const button = document.getElementById("copy-link");
+  if (button) {
+    button.addEventListener("click", onCopyLinkClick);
+    copyLinkButton = button;
+    syncCopyLinkButton();
+  }
+}
+
+/**
+ * Remove the copy link button handler
+ */
+export function disposeDeepLinks() {
+  if (copyLinkButton) {
+    copyLinkButton.removeEventListener("click", onCopyLinkClick);
+    copyLinkButton.innerHTML = "";
+    copyLinkButton = null;
+  }
+  clearTimeout(copiedTimeout);
+  copiedTimeout = null;
+  sparkSceneRef = null;
+  sceneNameRef = null;
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { createHeadlessScene, disposeHeadlessScene } from './headless.js';
+import { parseDeepLink, createDeepLinkHash, applyDeepLink } from './deep-link.js';
+import { isHudEnabled, toggleHUD } from './hud.js';
+
+describe('deep links', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (isHudEnabled()) toggleHUD();
+    vi.restoreAllMocks();
+  });
+
+  it('opens another scene at the linked view', () => {
+    const sparkScene = createHeadlessScene();
+    sparkScene.localFrame.position.set(-2, 7, -6.134);
+    sparkScene.localFrame.rotation.set(THREE.MathUtils.degToRad(-10), THREE.MathUtils.degToRad(90), 0, 'YXZ');
+    toggleHUD();
+
+    const hash = createDeepLinkHash(sparkScene, 'cozyship');
+    disposeHeadlessScene(sparkScene);
+    toggleHUD();
+
+    expect(hash).toBe('#scene=cozyship&pos=-2.00,7.00,-6.13&view=90.0,-10.0&hud=1');
+    const link = parseDeepLink(hash);
+    const linkedScene = createHeadlessScene();
+    applyDeepLink(linkedScene, link);
+
+    expect(link).toMatchObject({ scene: 'cozyship', path: undefined, physics: undefined });
+    expect(isHudEnabled()).toBe(true);
+    expect(linkedScene.localFrame.position.toArray()).toEqual([-2, 7, -6.13]);
+    const view = new THREE.Euler().setFromQuaternion(linkedScene.localFrame.quaternion, 'YXZ');
+    expect(THREE.MathUtils.radToDeg(view.y)).toBeCloseTo(90);
+    expect(THREE.MathUtils.radToDeg(view.x)).toBeCloseTo(-10);
+    disposeHeadlessScene(linkedScene);
+  });
+
+  it('ignores malformed fields and hashes without a scene', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(parseDeepLink('#pos=1,2,3')).toBeNull();
+    expect(parseDeepLink('#scene=worldship&pos=1,2&view=x,0&physics=0')).toEqual({
+      scene: 'worldship', position: null, yaw: 0, pitch: 0, hud: undefined, path: undefined, physics: false,
+    });
+  });
+});
@@ -0,0 +1,169 @@
+// Resumable Downloads
+// Downloads large files (splats are hundreds of MB) with HTTP range requests, so a dropped
+// connection resumes where it stopped instead of starting over. Transient failures are
+// retried with exponential backoff and a download can be cancelled with an AbortSignal.
+
+const DEFAULT_DOWNLOAD_OPTIONS = {
+  maxRetries: 5,
+  retryDelay: 500, // Milliseconds before the first retry, doubled for every retry after that
+  maxRetryDelay: 8000,
+};
+
+// Statuses worth retrying; other HTTP errors (404, 403, ...) will not go away on their own
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Wait before retrying, unless the download is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Abort signal (optional)
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Error for HTTP responses that retrying will not fix
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function fatalError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Download a file with progress tracking. Interrupted downloads are resumed with range
+ * requests and retried with exponential backoff.
+ * When the size is known up front the data is written into one preallocated buffer,
+ * so memory use stays at the file size.
+ * @param {string} url - URL to download
+ * @param {object} options - Options
+ * @param {function} options.onProgress - Callback (progress, loadedBytes, totalBytes)
+ * @param {AbortSignal} options.signal - Cancels the download (optional)
+ * @param {number} options.maxRetries - Retries after failures without progress (default: 5)
+ * @param {number} options.retryDelay - Delay before the first retry in milliseconds (default: 500)
+ * @param {number} options.maxRetryDelay - Upper limit for the retry delay in milliseconds (default: 8000)
+ * @returns {Promise<{buffer: ArrayBuffer, contentType: string}>} - File bytes and content type
+ */
+export async function downloadAsset(url, options = {}) {
+  const { onProgress, signal, maxRetries, retryDelay, maxRetryDelay } = { ...DEFAULT_DOWNLOAD_OPTIONS, ...options };
+
+  let totalBytes = null;
+  let buffer = null; // Preallocated when totalBytes is known
+  let chunks = []; // Used when the size is unknown
+  let loadedBytes = 0;
+  let contentType = 'application/octet-stream';
+  let validator = null; // ETag or Last-Modified, so a resume never mixes two versions of the file
+  let retries = 0;
+
+  const reportProgress = () => {
+    if (onProgress) {
+      const progress = totalBytes ? loadedBytes / totalBytes : loadedBytes / (loadedBytes + 10 * 1024 * 1024);
+      onProgress(progress, loadedBytes, totalBytes);
+    }
+  };
+
+  while (true) {
+    signal?.throwIfAborted();
+    const loadedBefore = loadedBytes;
+
+    try {
+      const headers = {};
+      if (loadedBytes > 0) {
+        headers.Range = `bytes=${loadedBytes}-`;
+        if (validator) headers['If-Range'] = validator;
+      }
+
+      const response = await fetch(url, { headers, signal });
+
+      if (!response.ok) {
+        const message = `HTTP error! status: ${response.status}`;
+        throw RETRYABLE_STATUSES.has(response.status) ? new Error(message) : fatalError(message);
+      }
+
+      const rangeStart = parseInt(/bytes (\d+)-/.exec(response.headers.get('content-range') || '')?.[1], 10);
+      if (loadedBytes > 0 && (response.status !== 206 || rangeStart !== loadedBytes)) {
+        // The server ignored the range (or the file changed), start over
+        console.log('- Server does not support resuming, restarting download:', url);
+        loadedBytes = 0;
+        chunks = [];
+      }
+
+      if (loadedBytes === 0) {
+        contentType = response.headers.get('content-type') || contentType;
+        validator = response.headers.get('etag') || response.headers.get('last-modified');
+
+        // Compressed responses report the encoded length, which is not the size of the data
+        const contentLength = response.headers.get('content-length');
+        const encoded = response.headers.get('content-encoding');
+        totalBytes = contentLength && !encoded ? parseInt(contentLength, 10) : null;
+        if (totalBytes !== null && (!buffer || buffer.length !== totalBytes)) {
+          buffer = new Uint8Array(totalBytes);
+        }
+      }
+
+      const reader = response.body.getReader();
+      while (true) {
+        const { done, value } = await reader.read();
+
+        if (done) break;
+
+        if (buffer) {
+          if (loadedBytes + value.length > totalBytes) {
+            throw fatalError(`Received more data than the announced ${totalBytes} bytes`);
+          }
+          buffer.set(value, loadedBytes);
+        } else {
+          chunks.push(value);
+        }
+        loadedBytes += value.length;
+        reportProgress();
+      }
+
+      if (totalBytes !== null && loadedBytes < totalBytes) {
+        throw new Error(`Connection closed after ${loadedBytes} of ${totalBytes} bytes`);
+      }
+      break;
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+      if (error.retryable === false) throw error;
+
+      // Only failures without progress count against the retry limit
+      retries = loadedBytes > loadedBefore ? 1 : retries + 1;
+      if (retries > maxRetries) throw error;
+
+      const wait = Math.min(retryDelay * 2 ** (retries - 1), maxRetryDelay);
+      console.warn(`Download interrupted at ${loadedBytes} bytes, retrying in ${wait}ms:`, url, error.message);
+      await delay(wait, signal);
+    }
+  }
+
+  if (buffer) {
+    return { buffer: buffer.buffer, contentType };
+  }
+
+  // Combine chunks into single ArrayBuffer
+  const result = new Uint8Array(loadedBytes);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return { buffer: result.buffer, contentType };
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { downloadAsset } from './download.js';
+
+const FILE = Uint8Array.from({ length: 100 }, (_, index) => index);
+
+// Response body that delivers `bytes` in two chunks, then fails if `failAfterFirstChunk` is set
+function bodyStream(bytes, failAfterFirstChunk = false) {
+  const half = Math.ceil(bytes.length / 2);
+  let step = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (step === 0) {
+        controller.enqueue(bytes.slice(0, half));
+      } else if (failAfterFirstChunk) {
+        controller.error(new TypeError('network error'));
+      } else if (step === 1 && half < bytes.length) {
+        controller.enqueue(bytes.slice(half));
+      } else {
+        controller.close();
+      }
+      step++;
+    },
+  });
+}
+
+// Fake server for FILE with range support. `failures` lists what the nth request does.
+function mockServer(failures = []) {
+  const requests = [];
+  const fetchMock = vi.fn(async (url, { headers = {} } = {}) => {
+    const failure = failures[requests.length];
+    requests.push(headers.Range || null);
+    if (failure === 'status') {
+      return new Response('unavailable', { status: 503 });
+    }
+
+    const start = headers.Range ? parseInt(/bytes=(\d+)-/.exec(headers.Range)[1], 10) : 0;
+    const bytes = FILE.slice(start);
+    const responseHeaders = { 'content-length': String(bytes.length), etag: '"v1"' };
+    if (headers.Range) {
+      responseHeaders['content-range'] = `bytes ${start}-${FILE.length - 1}/${FILE.length}`;
+    }
+    return new Response(bodyStream(bytes, failure === 'drop'), {
+      status: headers.Range ? 206 : 200,
+      headers: responseHeaders,
+    });
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return requests;
+}
+
+describe('downloadAsset', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('resumes an interrupted download with a range request', async () => {
+    const requests = mockServer(['drop']);
+    const onProgress = vi.fn();
+
+    const { buffer } = await downloadAsset('/scene.spz', { onProgress, retryDelay: 0 });
+
+    expect(new Uint8Array(buffer)).toEqual(FILE);
+    expect(requests).toEqual([null, 'bytes=50-']);
+    expect(onProgress).toHaveBeenLastCalledWith(1, 100, 100);
+  });
+
+  it('retries server errors with backoff', async () => {
+    const requests = mockServer(['status', 'status']);
+
+    const { buffer } = await downloadAsset('/scene.spz', { retryDelay: 0 });
+
+    expect(new Uint8Array(buffer)).toEqual(FILE);
+    expect(requests).toHaveLength(3);
+  });
+
+  it('gives up after maxRetries failures without progress', async () => {
+    mockServer(['status', 'status', 'status']);
+
+    await expect(downloadAsset('/scene.spz', { retryDelay: 0, maxRetries: 2 })).rejects.toThrow('status: 503');
+  });
+
+  it('does not retry client errors', async () => {
+    const fetchMock = vi.fn(async () => new Response('missing', { status: 404 }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await expect(downloadAsset('/missing.spz', { retryDelay: 0 })).rejects.toThrow('status: 404');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops when aborted', async () => {
+    mockServer(['status']);
+    const controller = new AbortController();
+    const download = downloadAsset('/scene.spz', { signal: controller.signal, retryDelay: 1000 });
+    controller.abort(new Error('cancelled'));
+
+    await expect(download).rejects.toThrow('cancelled');
+  });
+});
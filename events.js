@@ -0,0 +1,124 @@
+// Event Bus
+// Central publish/subscribe channel between systems. Modules emit what happened
+// (a toggle, a waypoint reached, an object thrown) and gameplay or analytics code
+// subscribes without reaching into module internals.
+//
+// Events are declared up front so a typo in an event name fails loudly instead of
+// silently never firing. Built-in events and their payloads:
+//
+//   'hud:toggle'            { visible }                          HUD shown or hidden
+//   'audio:toggle'          { enabled }                          Audio turned on or off
+//   'physics:toggle'        { enabled }                          Character physics (walk mode) on or off
+//   'path:toggle'           { visible }                          Path markers shown or hidden
+//   'path:waypointReached'  { index, position, reached, total }  Player reached a path waypoint
+//   'path:completed'        { total }                            Every path waypoint was reached
+//   'audio:triggered'       { url, position }                    A proximity-triggered sound started
+//   'object:thrown'         { name, velocity, source }           Object thrown ('keyboard' or 'hand')
+//   'object:kicked'         { name, velocity }                   Object kicked with the keyboard
+//   'object:grabbed'        { name, hand }                       Object picked up by a hand ('left' or 'right')
+//   'viewpoint:jumped'      { name, position }                   Player jumped to a viewpoint (see viewpoints.js)
+//   'player:teleported'     { position, hand }                   Player teleported in VR (see teleport.js)
+//   'player:respawned'      { position, reason }                 Player fell out of bounds and respawned (see bounds.js)
+//   'object:respawned'      { name, position }                   Object left the bounds and returned to its spawn
+//   'gamepad:connected'     { id, index }                        A gamepad was connected (see gamepad.js)
+//   'gamepad:disconnected'  { id, index }                        A gamepad was disconnected
+//   'scene:loaded'          { sceneName }                        Scene finished loading and is running
+//   'scene:unloaded'        { sceneName }                        Scene was disposed
+//
+// Gameplay code can declare its own events with defineEvent().
+
+export const EVENTS = {
+  HUD_TOGGLE: 'hud:toggle',
+  AUDIO_TOGGLE: 'audio:toggle',
+  PHYSICS_TOGGLE: 'physics:toggle',
+  PATH_TOGGLE: 'path:toggle',
+  PATH_WAYPOINT_REACHED: 'path:waypointReached',
+  PATH_COMPLETED: 'path:completed',
+  AUDIO_TRIGGERED: 'audio:triggered',
+  OBJECT_THROWN: 'object:thrown',
+  OBJECT_KICKED: 'object:kicked',
+  OBJECT_GRABBED: 'object:grabbed',
+  VIEWPOINT_JUMPED: 'viewpoint:jumped',
+  PLAYER_TELEPORTED: 'player:teleported',
+  PLAYER_RESPAWNED: 'player:respawned',
+  OBJECT_RESPAWNED: 'object:respawned',
+  GAMEPAD_CONNECTED: 'gamepad:connected',
+  GAMEPAD_DISCONNECTED: 'gamepad:disconnected',
+  SCENE_LOADED: 'scene:loaded',
+  SCENE_UNLOADED: 'scene:unloaded',
+};
+
+// Event name -> Set of listeners
+const listeners = new Map(Object.values(EVENTS).map((event) => [event, new Set()]));
+
+/**
+ * Declare a custom event so it can be subscribed to and emitted
+ * @param {string} event - Event name, e.g. 'score:changed'
+ */
+export function defineEvent(event) {
+  if (!listeners.has(event)) {
+    listeners.set(event, new Set());
+  }
+}
+
+/**
+ * Get the listener set of a declared event
+ * @param {string} event - Event name
+ * @returns {Set<function>}
+ */
+function getListeners(event) {
+  const eventListeners = listeners.get(event);
+  if (!eventListeners) {
+    throw new Error(`Unknown event "${event}" (declare custom events with defineEvent)`);
+  }
+  return eventListeners;
+}
+
+/**
+ * Subscribe to an event
+ * @param {string} event - Event name (see EVENTS)
+ * @param {function} callback - Called with the event payload
+ * @returns {function} - Call to unsubscribe
+ */
+export function on(event, callback) {
+  getListeners(event).add(callback);
+  return () => off(event, callback);
+}
+
+/**
+ * Unsubscribe from an event
+ * @param {string} event - Event name
+ * @param {function} callback - Callback passed to on()
+ */
+export function off(event, callback) {
+  getListeners(event).delete(callback);
+}
+
+/**
+ * Subscribe to the next occurrence of an event only
+ * @param {string} event - Event name
+ * @param {function} callback - Called with the event payload
+ * @returns {function} - Call to unsubscribe before the event fires
+ */
+export function once(event, callback) {
+  const unsubscribe = on(event, (payload) => {
+    unsubscribe();
+    callback(payload);
+  });
+  return unsubscribe;
+}
+
+/**
+ * Emit an event. A throwing listener is logged and does not stop the others.
+ * @param {string} event - Event name
+ * @param {object} payload - Event data (see the list at the top of this file)
+ */
+export function emit(event, payload = {}) {
+  for (const callback of [...getListeners(event)]) {
+    try {
+      callback(payload);
+    } catch (error) {
+      console.error(`Error in "${event}" listener:`, error);
+    }
+  }
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect, vi } from 'vitest';
+import { on, off, once, emit, defineEvent, EVENTS } from './events.js';
+
+describe('event bus', () => {
+  it('delivers payloads until the listener unsubscribes', () => {
+    const listener = vi.fn();
+    const unsubscribe = on(EVENTS.HUD_TOGGLE, listener);
+
+    emit(EVENTS.HUD_TOGGLE, { visible: true });
+    unsubscribe();
+    emit(EVENTS.HUD_TOGGLE, { visible: false });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ visible: true });
+  });
+
+  it('calls once() listeners a single time', () => {
+    const listener = vi.fn();
+    once(EVENTS.SCENE_LOADED, listener);
+
+    emit(EVENTS.SCENE_LOADED, { sceneName: 'cozyship' });
+    emit(EVENTS.SCENE_LOADED, { sceneName: 'worldship' });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ sceneName: 'cozyship' });
+  });
+
+  it('keeps notifying other listeners when one throws', () => {
+    const failing = vi.fn(() => { throw new Error('boom'); });
+    const listener = vi.fn();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    on(EVENTS.AUDIO_TOGGLE, failing);
+    on(EVENTS.AUDIO_TOGGLE, listener);
+
+    emit(EVENTS.AUDIO_TOGGLE, { enabled: true });
+
+    expect(listener).toHaveBeenCalledWith({ enabled: true });
+    off(EVENTS.AUDIO_TOGGLE, failing);
+    off(EVENTS.AUDIO_TOGGLE, listener);
+  });
+
+  it('rejects undeclared events and accepts custom events after defineEvent', () => {
+    expect(() => on('hud:toggel', () => {})).toThrow('Unknown event "hud:toggel"');
+
+    const listener = vi.fn();
+    defineEvent('score:changed');
+    on('score:changed', listener);
+    emit('score:changed', { score: 3 });
+
+    expect(listener).toHaveBeenCalledWith({ score: 3 });
+  });
+});
@@ -0,0 +1,107 @@
+// Screen Fade
+// Fades the view to black and back, e.g. to hide a jump of the player position. The fade is
+// a full-screen quad attached to the camera, so it covers both eyes in VR too, where an
+// HTML overlay would not be visible. Advanced by updateFade() every frame, so it follows
+// the scene's clock (and a replayed session's frame times).
+
+import * as THREE from "three";
+
+const DEFAULT_FADE_DURATION = 0.25; // Seconds for each half of a fade
+
+let fadeMesh = null;
+let opacity = 0;
+let phase = null; // 'out' (to black), 'in' (back to the scene) or null
+let fadeOutDuration = DEFAULT_FADE_DURATION;
+let fadeInDuration = DEFAULT_FADE_DURATION;
+let onBlackCallback = null;
+
+/**
+ * Create the fade quad and attach it to the camera
+ * @param {SparkScene} sparkScene - The spark scene
+ */
+export function initializeFade(sparkScene) {
+  // Clip-space quad: covers the whole view whatever the camera projection
+  const material = new THREE.ShaderMaterial({
+    uniforms: { opacity: { value: 0 } },
+    vertexShader: 'void main() { gl_Position = vec4(position.xy, 0.0, 1.0); }',
+    fragmentShader: 'uniform float opacity; void main() { gl_FragColor = vec4(0.0, 0.0, 0.0, opacity); }',
+    transparent: true,
+    depthTest: false,
+    depthWrite: false,
+  });
+  fadeMesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+  fadeMesh.name = 'fade';
+  fadeMesh.frustumCulled = false;
+  fadeMesh.renderOrder = 10000; // Drawn after the splats and meshes
+  fadeMesh.visible = false;
+  sparkScene.camera.add(fadeMesh);
+}
+
+/**
+ * Fade to black, call onBlack while the view is black, then fade back in
+ * Starting a fade while one runs fades to black again from the current opacity, and only the
+ * latest onBlack is called. Without a fade quad (e.g. headless) onBlack is called right away.
+ * @param {function} onBlack - Called once the view is black (e.g. to move the player)
+ * @param {object} options - Options
+ * @param {number} options.fadeOut - Seconds to fade to black (default: 0.25)
+ * @param {number} options.fadeIn - Seconds to fade back in (default: 0.25)
+ */
+export function fadeThrough(onBlack, { fadeOut = DEFAULT_FADE_DURATION, fadeIn = DEFAULT_FADE_DURATION } = {}) {
+  if (!fadeMesh) {
+    onBlack();
+    return;
+  }
+  phase = 'out';
+  fadeOutDuration = fadeOut;
+  fadeInDuration = fadeIn;
+  onBlackCallback = onBlack;
+}
+
+/**
+ * Check if a fade is running
+ * @returns {boolean}
+ */
+export function isFading() {
+  return phase !== null;
+}
+
+/**
+ * Advance the fade
+ * @param {number} deltaTime - Time since last frame in seconds
+ */
+export function updateFade(deltaTime) {
+  if (!fadeMesh || !phase) return;
+
+  if (phase === 'out') {
+    opacity = fadeOutDuration > 0 ? Math.min(1, opacity + deltaTime / fadeOutDuration) : 1;
+    if (opacity === 1) {
+      const callback = onBlackCallback;
+      onBlackCallback = null;
+      phase = 'in';
+      callback?.();
+    }
+  } else {
+    opacity = fadeInDuration > 0 ? Math.max(0, opacity - deltaTime / fadeInDuration) : 0;
+    if (opacity === 0) {
+      phase = null;
+    }
+  }
+
+  fadeMesh.material.uniforms.opacity.value = opacity;
+  fadeMesh.visible = opacity > 0;
+}
+
+/**
+ * Remove the fade quad. A pending onBlack callback is dropped.
+ */
+export function disposeFade() {
+  if (fadeMesh) {
+    fadeMesh.removeFromParent();
+    fadeMesh.geometry.dispose();
+    fadeMesh.material.dispose();
+    fadeMesh = null;
+  }
+  opacity = 0;
+  phase = null;
+  onBlackCallback = null;
+}
@@ -0,0 +1,256 @@
+// Gamepad
+// Play with a gamepad (Gamepad API, "standard" button layout) instead of keyboard and mouse.
+// The left stick walks (in walk mode the deflection scales the character's speed, in fly
+// mode it moves the view), the right stick looks around, the stick buttons sprint and crouch
+// while held, and the face and center buttons jump, kick, throw and switch the toggles.
+// The first connected gamepad is used.
+//
+// The gamepad is polled once per frame. Its state is rounded and recorded whenever it
+// changes, so recorded sessions replay gamepad play like keyboard play (see
+// session-recorder.js). In VR the controllers are gamepads too; they are left to the
+// teleport and turning systems.
+
+import * as THREE from "three";
+import { emit, EVENTS } from "./events.js";
+import { isPhysicsEnabled, togglePhysics, jump, setAnalogMovement, setSprinting, setCrouching } from "./character-physics.js";
+import { kickDynamicObjects, throwDynamicObjects } from "./object-actions.js";
+import { toggleHUD } from "./hud.js";
+import { togglePath, getRemainingWaypoints } from "./path.js";
+import { isReplaying, recordPolledInput, getReplayedInput } from "./session-recorder.js";
+
+export const GAMEPAD_DEFAULTS = {
+  deadzone: 0.15,     // Stick deflection ignored around the center
+  lookSpeed: 120,     // Degrees per second at full right stick deflection
+  invertLook: false,  // Push the right stick up to look down
+  buttons: {          // Action -> button index in the standard layout
+    jump: 0,          // A / Cross
+    kick: 1,          // B / Circle
+    throw: 2,         // X / Square
+    physics: 3,       // Y / Triangle: walk or fly
+    hud: 8,           // Back / Select
+    path: 9,          // Start / Options
+    sprint: 10,       // Left stick press, while held
+    crouch: 11,       // Right stick press, while held
+  },
+};
+
+// Actions that last while their button is held: action -> setter
+const HELD_ACTIONS = {
+  sprint: setSprinting,
+  crouch: setCrouching,
+};
+
+const MAX_PITCH = THREE.MathUtils.degToRad(85);
+const AXIS_PRECISION = 1000; // Axes are rounded to 1/1000 so live play and replay agree
+
+let sparkSceneRef = null;
+let sceneFlags = {};
+let options = { ...GAMEPAD_DEFAULTS };
+let activeIndex = null; // navigator.getGamepads() index of the gamepad in use
+let previousButtons = 0; // Button bitmask of the previous frame
+
+/**
+ * Check if a gamepad is connected and in use
+ * @returns {boolean}
+ */
+export function isGamepadConnected() {
+  return activeIndex !== null;
+}
+
+/**
+ * Read the state of the gamepad in use
+ * @returns {{axes: number[], buttons: number}|null} - Left stick x/y and right stick x/y
+ *   (rounded), and a bitmask of the pressed buttons; null without a gamepad
+ */
+function readGamepad() {
+  const gamepad = activeIndex !== null ? navigator.getGamepads?.()[activeIndex] : null;
+  if (!gamepad?.connected) return null;
+
+  const axes = [0, 1, 2, 3].map((axis) => Math.round((gamepad.axes[axis] ?? 0) * AXIS_PRECISION) / AXIS_PRECISION);
+  const buttons = gamepad.buttons.reduce((mask, button, index) => mask | (button.pressed ? 1 << index : 0), 0);
+  return { axes, buttons };
+}
+
+/**
+ * Remove the deadzone and rescale the rest of the stick range to 0..1
+ * @param {number} value - Axis value, -1 to 1
+ * @returns {number}
+ */
+function applyDeadzone(value) {
+  const magnitude = Math.abs(value);
+  if (magnitude < options.deadzone) return 0;
+  return Math.sign(value) * (magnitude - options.deadzone) / (1 - options.deadzone);
+}
+
+/**
+ * Rotate the view: yaw around the vertical axis, pitch clamped short of straight up/down
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {number} yawDelta - Radians, positive turns left
+ * @param {number} pitchDelta - Radians, positive looks up
+ */
+function look(sparkScene, yawDelta, pitchDelta) {
+  const euler = new THREE.Euler().setFromQuaternion(sparkScene.localFrame.quaternion, 'YXZ');
+  euler.y += yawDelta;
+  euler.x = THREE.MathUtils.clamp(euler.x + pitchDelta, -MAX_PITCH, MAX_PITCH);
+  euler.z = 0;
+  sparkScene.localFrame.quaternion.setFromEuler(euler);
+}
+
+/**
+ * Move the view in fly mode, in the direction the camera looks
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {number} x - Sideways input, -1 to 1
+ * @param {number} z - Forward input, -1 to 1
+ * @param {number} deltaTime - Time since last frame in seconds
+ */
+function fly(sparkScene, x, z, deltaTime) {
+  const moveSpeed = sparkScene.controls?.fpsMovement.moveSpeed || 5.0;
+  const cameraWorldQuat = sparkScene.camera.getWorldQuaternion(new THREE.Quaternion());
+  const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(cameraWorldQuat);
+  const right = new THREE.Vector3(1, 0, 0).applyQuaternion(cameraWorldQuat);
+
+  sparkScene.localFrame.position
+    .addScaledVector(forward, z * moveSpeed * deltaTime)
+    .addScaledVector(right, x * moveSpeed * deltaTime);
+}
+
+/**
+ * Run the action of a button that was just pressed
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {string} action - Action name (see GAMEPAD_DEFAULTS.buttons)
+ */
+function runButtonAction(sparkScene, action) {
+  switch (action) {
+    case 'jump':
+      jump();
+      break;
+    case 'kick':
+      if (sceneFlags.enableDynamicObjects) kickDynamicObjects(sparkScene);
+      break;
+    case 'throw':
+      if (sceneFlags.enableDynamicObjects) throwDynamicObjects(sparkScene);
+      break;
+    case 'physics':
+      if (sparkScene.physicsWorld) togglePhysics();
+      break;
+    case 'hud':
+      if (sceneFlags.enableHUD) toggleHUD();
+      break;
+    case 'path':
+      if (getRemainingWaypoints() > 0) togglePath();
+      break;
+  }
+}
+
+/**
+ * Poll the gamepad and apply its sticks and buttons
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {number} deltaTime - Time since last frame in seconds
+ */
+export function updateGamepad(sparkScene, deltaTime) {
+  if (!sparkSceneRef || sparkScene.renderer?.xr.isPresenting) return;
+
+  let state;
+  if (isReplaying()) {
+    state = getReplayedInput('gamepad');
+  } else {
+    state = readGamepad();
+    if (state) {
+      recordPolledInput({ type: 'gamepad', ...state });
+    }
+  }
+  if (!state) return;
+
+  const [moveX, moveY, lookX, lookY] = state.axes.map(applyDeadzone);
+
+  // Stick up is negative y
+  if (isPhysicsEnabled()) {
+    setAnalogMovement(moveX, -moveY);
+  } else if (moveX || moveY) {
+    fly(sparkScene, moveX, -moveY, deltaTime);
+  }
+
+  if (lookX || lookY) {
+    const lookSpeed = THREE.MathUtils.degToRad(options.lookSpeed) * deltaTime;
+    look(sparkScene, -lookX * lookSpeed, (options.invertLook ? lookY : -lookY) * lookSpeed);
+  }
+
+  // Buttons act once when pressed, not while held (except sprint and crouch)
+  const pressed = state.buttons & ~previousButtons;
+  previousButtons = state.buttons;
+  for (const [action, index] of Object.entries(options.buttons)) {
+    if (HELD_ACTIONS[action]) {
+      HELD_ACTIONS[action](Boolean(state.buttons & (1 << index)));
+    } else if (pressed & (1 << index)) {
+      runButtonAction(sparkScene, action);
+    }
+  }
+}
+
+/**
+ * Release the gamepad in use: stop walking and forget held buttons
+ */
+function releaseGamepad() {
+  activeIndex = null;
+  previousButtons = 0;
+  setAnalogMovement(0, 0);
+  Object.values(HELD_ACTIONS).forEach((setHeld) => setHeld(false));
+}
+
+function onGamepadConnected(event) {
+  const { id, index } = event.gamepad;
+  console.log(`- Gamepad connected: ${id}`);
+  if (activeIndex === null) {
+    activeIndex = index;
+  }
+  emit(EVENTS.GAMEPAD_CONNECTED, { id, index });
+}
+
+function onGamepadDisconnected(event) {
+  const { id, index } = event.gamepad;
+  console.log(`- Gamepad disconnected: ${id}`);
+  if (index === activeIndex) {
+    releaseGamepad();
+    // Continue with another connected gamepad, if any
+    const next = Array.from(navigator.getGamepads?.() ?? []).find((gamepad) => gamepad?.connected);
+    activeIndex = next ? next.index : null;
+  }
+  emit(EVENTS.GAMEPAD_DISCONNECTED, { id, index });
+}
+
+/**
+ * Initialize gamepad input
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {object} sceneConfig - Scene configuration with flags
+ * @param {object} controlsConfig - CONTROLS_CONFIG of the scene (gamepad: GAMEPAD_DEFAULTS overrides)
+ */
+export function initializeGamepad(sparkScene, sceneConfig, controlsConfig = {}) {
+  sparkSceneRef = sparkScene;
+  sceneFlags = sceneConfig.flags ?? {};
+  options = {
+    ...GAMEPAD_DEFAULTS,
+    ...controlsConfig.gamepad,
+    buttons: { ...GAMEPAD_DEFAULTS.buttons, ...controlsConfig.gamepad?.buttons },
+  };
+
+  window.addEventListener('gamepadconnected', onGamepadConnected);
+  window.addEventListener('gamepaddisconnected', onGamepadDisconnected);
+
+  // A gamepad connected before the scene loaded does not fire gamepadconnected again
+  const connected = Array.from(navigator.getGamepads?.() ?? []).find((gamepad) => gamepad?.connected);
+  activeIndex = connected ? connected.index : null;
+  console.log(connected
+    ? `- Gamepad support initialized (${connected.id})`
+    : "- Gamepad support initialized (connect a gamepad and press a button)");
+}
+
+/**
+ * Remove the gamepad listeners
+ */
+export function disposeGamepad() {
+  window.removeEventListener('gamepadconnected', onGamepadConnected);
+  window.removeEventListener('gamepaddisconnected', onGamepadDisconnected);
+  releaseGamepad();
+  sparkSceneRef = null;
+  sceneFlags = {};
+}
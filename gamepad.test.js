@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { setupHeadlessTests, createSimulation, createFloor } from './headless-fixtures.js';
+import { addDynamicObject } from './collisions.js';
+import { startRecording, stopRecording, encodeRecording, decodeRecording } from './session-recorder.js';
+import { initializeGamepad, updateGamepad, disposeGamepad, isGamepadConnected } from './gamepad.js';
+import { isHudEnabled, toggleHUD } from './hud.js';
+import { EVENTS } from './events.js';
+
+// Gamepad in the standard layout: 4 axes, 17 buttons
+function createGamepad(index = 0) {
+  return {
+    id: `Test pad ${index}`,
+    index,
+    connected: true,
+    mapping: 'standard',
+    axes: [0, 0, 0, 0],
+    buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+  };
+}
+
+function dispatchGamepadEvent(type, gamepad) {
+  window.dispatchEvent(Object.assign(new Event(type), { gamepad }));
+}
+
+// Ball in front of the player on a floor, with the gamepad as the only input
+function createBallScene() {
+  const floor = createFloor();
+  const ball = new THREE.Mesh(new THREE.SphereGeometry(0.2));
+  const sceneConfig = { flags: { enableDynamicObjects: true, enableHUD: true } };
+  return createSimulation({
+    collisionMesh: floor,
+    playerPosition: [0, 1.5, 2],
+    sceneConfig,
+    subsystems: [{
+      name: 'ball',
+      requires: ['collisions'],
+      init: ({ sparkScene }) => addDynamicObject(sparkScene, ball, 'ball', 0.2, new THREE.Vector3(0.3, 0.5, -1)),
+    }, {
+      name: 'gamepad',
+      init: ({ sparkScene }) => initializeGamepad(sparkScene, sceneConfig),
+      update: ({ sparkScene }, deltaTime) => updateGamepad(sparkScene, deltaTime),
+      dispose: () => disposeGamepad(),
+    }],
+  });
+}
+
+describe('gamepad', () => {
+  let gamepads = [];
+  let simulation = null;
+  setupHeadlessTests();
+
+  beforeEach(() => {
+    gamepads = [];
+    navigator.getGamepads = () => gamepads;
+  });
+
+  afterEach(() => {
+    delete navigator.getGamepads;
+    if (isHudEnabled()) toggleHUD();
+  });
+
+  it('flies with the left stick and looks with the right stick', async () => {
+    const pad = createGamepad();
+    gamepads = [pad];
+    simulation = await createSimulation({
+      subsystems: [{
+        name: 'gamepad',
+        init: ({ sparkScene }) => initializeGamepad(sparkScene, { flags: {} }),
+        update: ({ sparkScene }, deltaTime) => updateGamepad(sparkScene, deltaTime),
+        dispose: () => disposeGamepad(),
+      }],
+    });
+
+    pad.axes = [0.1, -1, 0, 0]; // Forward, with sideways drift inside the deadzone
+    simulation.run(1);
+    expect(simulation.playerPosition.x).toBeCloseTo(0);
+    expect(simulation.playerPosition.z).toBeCloseTo(-5); // Default fly speed of 5 m/s
+
+    pad.axes = [0, 0, -1, 0]; // Look left for half a second at 120°/s
+    simulation.run(0.5);
+    const view = new THREE.Euler().setFromQuaternion(simulation.sparkScene.localFrame.quaternion, 'YXZ');
+    expect(THREE.MathUtils.radToDeg(view.y)).toBeCloseTo(60);
+  });
+
+  it('acts once per button press and tracks connects and disconnects', async () => {
+    simulation = await createBallScene();
+    expect(isGamepadConnected()).toBe(false);
+
+    const pad = createGamepad(1);
+    gamepads = [null, pad];
+    dispatchGamepadEvent('gamepadconnected', pad);
+    pad.buttons[8].pressed = true; // Back: toggle HUD, held for several frames
+    simulation.run(0.25);
+
+    expect(isHudEnabled()).toBe(true);
+    expect(simulation.eventsOf(EVENTS.HUD_TOGGLE)).toEqual([{ visible: true }]);
+
+    pad.connected = false;
+    gamepads = [null, null];
+    dispatchGamepadEvent('gamepaddisconnected', pad);
+
+    expect(isGamepadConnected()).toBe(false);
+    expect(simulation.eventsOf(EVENTS.GAMEPAD_CONNECTED)).toEqual([{ id: 'Test pad 1', index: 1 }]);
+    expect(simulation.eventsOf(EVENTS.GAMEPAD_DISCONNECTED)).toEqual([{ id: 'Test pad 1', index: 1 }]);
+  });
+
+  it('replays a recorded gamepad kick without a gamepad', async () => {
+    const pad = createGamepad();
+    gamepads = [pad];
+    simulation = await createBallScene();
+    startRecording('headless');
+    pad.axes = [0, -0.6, 0, 0];
+    simulation.run(0.5);
+    pad.axes = [0, 0, 0, 0];
+    pad.buttons[1].pressed = true; // B: kick
+    simulation.run(1);
+    const recording = stopRecording();
+    const recordedPosition = simulation.getObjectPosition('ball');
+    await simulation.dispose();
+
+    gamepads = [];
+    simulation = await createBallScene();
+    const result = simulation.replay(await decodeRecording(await encodeRecording(recording)));
+
+    expect(recording.actions).toEqual([{ frame: expect.any(Number), type: 'kick', name: 'ball' }]);
+    expect(result.matches).toBe(true);
+    expect(simulation.getObjectPosition('ball')).toEqual(recordedPosition);
+  });
+});
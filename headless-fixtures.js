@@ -0,0 +1,94 @@
+// Headless Test Fixtures
+// Scenery and setup shared by the tests that run a headless simulation (see headless.js).
+// Call setupHeadlessTests() at the top of a describe block, then create simulations with
+// createSimulation(): they are disposed after each test.
+
+import { beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { createHeadlessSimulation } from './headless.js';
+import {
+  configureCharacter,
+  initializeCharacterPhysics,
+  updateCharacterPhysics,
+  disposeCharacterPhysics,
+} from './character-physics.js';
+
+// Simulations created by the running test
+const simulations = [];
+
+/**
+ * Silence the scene logs and dispose the simulations of each test when it ends
+ */
+export function setupHeadlessTests() {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    for (const simulation of simulations.splice(0)) {
+      await simulation.dispose();
+    }
+    vi.restoreAllMocks();
+  });
+}
+
+/**
+ * Create a headless simulation that is disposed when the test ends
+ * @param {object} options - See createHeadlessSimulation()
+ * @returns {Promise<object>} - The simulation
+ */
+export async function createSimulation(options) {
+  const simulation = await createHeadlessSimulation(options);
+  simulations.push(simulation);
+  return simulation;
+}
+
+/**
+ * Create a floor slab with its top at y = 0, centered on the origin
+ * @param {number} width - Size along X in meters (default: 30)
+ * @param {number} depth - Size along Z in meters (default: width)
+ * @returns {THREE.Mesh}
+ */
+export function createFloor(width = 30, depth = width) {
+  const floor = new THREE.Mesh(new THREE.BoxGeometry(width, 0.2, depth));
+  floor.position.y = -0.1;
+  return floor;
+}
+
+/**
+ * Create a box mesh with its origin at the bottom (like many exported models)
+ * @param {number} width - Size along X
+ * @param {number} height - Size along Y
+ * @param {number} depth - Size along Z
+ * @param {THREE.Vector3} position - Position of the bottom center
+ * @returns {THREE.Mesh}
+ */
+export function createBox(width, height, depth, position) {
+  const geometry = new THREE.BoxGeometry(width, height, depth);
+  geometry.translate(0, height / 2, 0);
+  const mesh = new THREE.Mesh(geometry);
+  mesh.position.copy(position);
+  return mesh;
+}
+
+/**
+ * Subsystem that adds objects to the physics world
+ * @param {function} addObjects - Called with (sparkScene) once collisions are initialized
+ * @returns {object} - Subsystem (see subsystems.js)
+ */
+export function createObjectsSubsystem(addObjects) {
+  return { name: 'objects', requires: ['collisions'], init: ({ sparkScene }) => addObjects(sparkScene) };
+}
+
+// Character physics as registered in builtin-subsystems.js, configured from
+// config.CHARACTER_CONFIG. Walk mode still has to be turned on with togglePhysics().
+export const characterPhysicsSubsystem = {
+  name: 'characterPhysics',
+  requires: ['collisions'],
+  init: ({ sparkScene, config }) => {
+    configureCharacter(config.CHARACTER_CONFIG);
+    initializeCharacterPhysics(sparkScene);
+  },
+  update: ({ sparkScene }, deltaTime) => updateCharacterPhysics(sparkScene, deltaTime),
+  dispose: () => disposeCharacterPhysics(),
+};
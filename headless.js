@@ -0,0 +1,323 @@
+// Headless Simulation
+// Runs the scene systems without a renderer, splats or GPU, so behavior can be tested on a
+// CI machine (e.g. with vitest). A headless scene is a SparkScene with a three.js scene,
+// camera and player frame, but no WebGL renderer, Spark renderer or SplatMesh. A synthetic
+// clock drives the subsystem updates and scripts move the player instead of the controls.
+//
+//   const simulation = await createHeadlessSimulation({
+//     assets: { 'path-config.json': { waypoints: [...] } },
+//     subsystems: [{ name: 'path', init: ..., update: ... }],
+//   });
+//   simulation.walkTo([0, 0, -6]);
+//   expect(simulation.eventsOf(EVENTS.PATH_WAYPOINT_REACHED)).toHaveLength(3);
+//   await simulation.dispose();
+//
+// Subsystems have the same shape as registered ones (see subsystems.js). Systems that need
+// Spark (splats, SDF hands) or an audio device are not available headless.
+//
+// Frames are recorded and replayed like in startAnimationLoop, so a session recorded in a
+// headset (see session-recorder.js) can be replayed in CI with simulation.replay(recording).
+
+import * as THREE from "three";
+import { SparkScene } from "./spark-scene.js";
+import { initializeSubsystems, updateSubsystems, disposeSubsystems } from "./subsystems.js";
+import {
+  configurePhysics,
+  initializePhysicsWorld,
+  setCollisionMesh,
+  createCollisionPhysicsBodies,
+  updateCollisions,
+  updateDynamicObjects,
+  disposeCollisions,
+} from "./collisions.js";
+import { on, EVENTS } from "./events.js";
+import { recordFrame, replayFrame, startReplay, stopReplay } from "./session-recorder.js";
+
+const DEFAULT_DELTA_TIME = 1 / 60; // Seconds per simulated frame
+const DEFAULT_WALK_SPEED = 1.4; // Meters per second
+
+/**
+ * Create a SparkScene without renderer, Spark renderer or splats
+ * @returns {SparkScene}
+ */
+export function createHeadlessScene() {
+  const sparkScene = new SparkScene();
+  sparkScene.scene = new THREE.Scene();
+  sparkScene.camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+
+  // Local frame is the player position, as in the rendered scene
+  sparkScene.localFrame = new THREE.Group();
+  sparkScene.scene.add(sparkScene.localFrame);
+  sparkScene.localFrame.add(sparkScene.camera);
+  return sparkScene;
+}
+
+/**
+ * Release a headless scene's physics world and scene graph
+ * @param {SparkScene} sparkScene - Scene created by createHeadlessScene
+ */
+export function disposeHeadlessScene(sparkScene) {
+  if (!sparkScene.scene) return; // Already disposed
+
+  sparkScene.scene.traverse((child) => {
+    child.geometry?.dispose();
+  });
+  if (sparkScene.physicsWorld) {
+    sparkScene.physicsWorld.free();
+    sparkScene.physicsWorld = null;
+  }
+  sparkScene.collisionMeshes = [];
+  sparkScene.dynamicObjects.clear();
+  sparkScene.scene.clear();
+
+  sparkScene.scene = null;
+  sparkScene.camera = null;
+  sparkScene.localFrame = null;
+  sparkScene.collisionmesh = null;
+}
+
+/**
+ * Resolve scene assets from an in-memory map instead of the server
+ * @param {object} assets - File name -> URL string, or JSON data served as a data: URL
+ * @returns {function} - Async asset resolver like checkSceneAssets
+ */
+function createHeadlessAssetResolver(assets) {
+  return async (fileName) => {
+    if (!(fileName in assets)) {
+      throw new Error(`Asset "${fileName}" is not available in the headless simulation`);
+    }
+    const asset = assets[fileName];
+    if (typeof asset === 'string') {
+      return asset;
+    }
+    return `data:application/json,${encodeURIComponent(JSON.stringify(asset))}`;
+  };
+}
+
+/**
+ * Subsystem for the physics world and a collision mesh built in code (instead of a proxy mesh GLB)
+ * @param {THREE.Object3D} collisionMesh - Collision mesh, or null for a world without one
+ * @param {object} physicsConfig - PHYSICS_CONFIG overrides (optional)
+ * @returns {object} - Subsystem named 'collisions', so other subsystems can require it
+ */
+function createHeadlessCollisionsSubsystem(collisionMesh, physicsConfig) {
+  return {
+    name: 'collisions',
+    init: async ({ sparkScene }) => {
+      configurePhysics(physicsConfig);
+      await initializePhysicsWorld(sparkScene);
+      if (collisionMesh) {
+        setCollisionMesh(sparkScene, collisionMesh);
+        createCollisionPhysicsBodies(sparkScene);
+      }
+    },
+    update: ({ sparkScene }, deltaTime) => {
+      updateCollisions(sparkScene, deltaTime);
+      updateDynamicObjects(sparkScene);
+    },
+    dispose: () => disposeCollisions(),
+  };
+}
+
+/**
+ * Convert [x, y, z] or a THREE.Vector3 to a new THREE.Vector3
+ * @param {number[]|THREE.Vector3} position
+ * @returns {THREE.Vector3}
+ */
+function toVector3(position) {
+  return Array.isArray(position) ? new THREE.Vector3(...position) : position.clone();
+}
+
+/**
+ * Create a headless simulation and initialize its subsystems
+ * @param {object} options - Options
+ * @param {object[]} options.subsystems - Subsystems to run (see subsystems.js)
+ * @param {object} options.assets - Assets the subsystems can resolve through checkSceneAssets:
+ *   file name -> URL, or an object that is served as JSON (e.g. a path config)
+ * @param {boolean} options.physics - Create a physics world, as subsystem 'collisions' (default: false)
+ * @param {THREE.Object3D} options.collisionMesh - Collision mesh for the physics world (implies physics)
+ * @param {object} options.physicsConfig - PHYSICS_CONFIG overrides (optional)
+ * @param {string} options.sceneName - Scene name in the subsystem context (default: 'headless')
+ * @param {object} options.sceneConfig - SCENE_CONFIG in the subsystem context (optional)
+ * @param {object} options.config - Whole scene config module in the subsystem context (optional)
+ * @param {number[]|THREE.Vector3} options.playerPosition - Initial player position (default: origin)
+ * @param {number} options.deltaTime - Default simulated frame time in seconds (default: 1/60)
+ * @returns {Promise<object>} - The simulation (see the returned object's methods)
+ */
+export async function createHeadlessSimulation(options = {}) {
+  const {
+    subsystems = [],
+    assets = {},
+    physics = false,
+    collisionMesh = null,
+    physicsConfig = {},
+    sceneName = 'headless',
+    sceneConfig = {},
+    config = {},
+    playerPosition = null,
+    deltaTime: defaultDeltaTime = DEFAULT_DELTA_TIME,
+  } = options;
+
+  const sparkScene = createHeadlessScene();
+  if (playerPosition) {
+    sparkScene.localFrame.position.copy(toVector3(playerPosition));
+  }
+
+  let time = 0; // Synthetic clock in milliseconds
+
+  // Record every built-in event with the simulated time it fired at
+  const events = [];
+  const unsubscribes = Object.values(EVENTS).map((event) =>
+    on(event, (payload) => events.push({ event, payload, time }))
+  );
+
+  const context = {
+    sceneName,
+    sparkScene,
+    sceneConfig,
+    config,
+    checkSceneAssets: createHeadlessAssetResolver(assets),
+    subsystems: [],
+    failedSubsystems: [],
+  };
+
+  const allSubsystems = physics || collisionMesh
+    ? [createHeadlessCollisionsSubsystem(collisionMesh, physicsConfig), ...subsystems]
+    : subsystems;
+
+  const dispose = async () => {
+    unsubscribes.splice(0).forEach((unsubscribe) => unsubscribe());
+    await disposeSubsystems(context);
+    disposeHeadlessScene(sparkScene);
+  };
+
+  try {
+    await initializeSubsystems(context, allSubsystems);
+  } catch (error) {
+    await dispose();
+    throw error;
+  }
+
+  const simulation = {
+    sparkScene,
+    context,
+    events,
+
+    /** Simulated time in milliseconds */
+    get time() {
+      return time;
+    },
+
+    /** Player position (the scene's local frame), live */
+    get playerPosition() {
+      return sparkScene.localFrame.position;
+    },
+
+    /**
+     * Advance the clock by one frame and run the subsystem updates
+     * While a recording replays, the frame time and player pose come from the recording.
+     * @param {number} deltaTime - Frame time in seconds (default: the simulation's deltaTime)
+     */
+    step(deltaTime = defaultDeltaTime) {
+      const replayed = replayFrame(sparkScene);
+      if (replayed) {
+        ({ time, deltaTime } = replayed);
+      } else {
+        time += deltaTime * 1000;
+        recordFrame(sparkScene, time, deltaTime);
+      }
+      updateSubsystems(context, deltaTime, time);
+    },
+
+    /**
+     * Replay a session recording to its end. Replay on a fresh simulation with the same
+     * subsystems as the recorded scene.
+     * @param {object} recording - The recording (see session-recorder.js)
+     * @returns {object} - The replay result: { frames, actions, replayedActions, matches }
+     */
+    replay(recording) {
+      startReplay(recording);
+      recording.frames.forEach(() => simulation.step());
+      return stopReplay();
+    },
+
+    /**
+     * Run frames for a duration without moving the player
+     * @param {number} seconds - Simulated duration
+     * @param {number} deltaTime - Frame time in seconds (default: the simulation's deltaTime)
+     */
+    run(seconds, deltaTime = defaultDeltaTime) {
+      const frames = Math.round(seconds / deltaTime);
+      for (let frame = 0; frame < frames; frame++) {
+        simulation.step(deltaTime);
+      }
+    },
+
+    /**
+     * Teleport the player
+     * @param {number[]|THREE.Vector3} position - New player position
+     */
+    setPlayerPosition(position) {
+      sparkScene.localFrame.position.copy(toVector3(position));
+    },
+
+    /**
+     * Walk the player to a position in a straight line, one frame at a time
+     * @param {number[]|THREE.Vector3} target - Position to walk to
+     * @param {object} walkOptions - Options
+     * @param {number} walkOptions.speed - Walking speed in meters per second (default: 1.4)
+     * @param {number} walkOptions.deltaTime - Frame time in seconds (default: the simulation's deltaTime)
+     */
+    walkTo(target, { speed = DEFAULT_WALK_SPEED, deltaTime = defaultDeltaTime } = {}) {
+      if (!(speed > 0)) {
+        throw new Error(`Walking speed must be positive, got ${speed}`);
+      }
+      const destination = toVector3(target);
+      const position = sparkScene.localFrame.position;
+      const stepLength = speed * deltaTime;
+      while (!position.equals(destination)) {
+        if (position.distanceTo(destination) <= stepLength) {
+          position.copy(destination);
+        } else {
+          position.add(destination.clone().sub(position).setLength(stepLength));
+        }
+        simulation.step(deltaTime);
+      }
+    },
+
+    /**
+     * Walk the player through a list of positions
+     * @param {Array<number[]|THREE.Vector3>} route - Positions to walk to, in order
+     * @param {object} walkOptions - Options for walkTo
+     */
+    followRoute(route, walkOptions = {}) {
+      route.forEach((target) => simulation.walkTo(target, walkOptions));
+    },
+
+    /**
+     * Get the position of a dynamic object's physics body
+     * @param {string} name - Object name
+     * @returns {THREE.Vector3|null} - The position, or null if there is no such object
+     */
+    getObjectPosition(name) {
+      const object = sparkScene.dynamicObjects.get(name);
+      return object ? new THREE.Vector3().copy(object.body.translation()) : null;
+    },
+
+    /**
+     * Get the payloads of a recorded event, in the order it fired
+     * @param {string} event - Event name (see EVENTS)
+     * @returns {object[]}
+     */
+    eventsOf(event) {
+      return events.filter((entry) => entry.event === event).map((entry) => entry.payload);
+    },
+
+    /**
+     * Dispose the subsystems and the scene
+     */
+    dispose,
+  };
+
+  return simulation;
+}
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { setupHeadlessTests, createSimulation, createFloor } from './headless-fixtures.js';
+import { initializePath, updatePath, getRemainingWaypoints, disposePath } from './path.js';
+import { addDynamicObject } from './collisions.js';
+import { kickDynamicObjects } from './object-actions.js';
+import { EVENTS } from './events.js';
+
+const pathSubsystem = {
+  name: 'path',
+  init: ({ sparkScene, checkSceneAssets }) => initializePath(sparkScene, 'path-config.json', checkSceneAssets),
+  update: ({ sparkScene }, deltaTime, time) => updatePath(sparkScene.localFrame.position, time),
+  dispose: () => disposePath(),
+};
+
+describe('headless simulation', () => {
+  let simulation = null;
+  setupHeadlessTests();
+
+  it('triggers path waypoints as the player walks past them', async () => {
+    simulation = await createSimulation({
+      assets: {
+        'path-config.json': {
+          waypoints: [
+            { position: [0, 1, -4], triggerRadius: 1 },
+            { position: [0, 1, -8], triggerRadius: 1 },
+            { position: [4, 1, -8], triggerRadius: 1 },
+          ],
+        },
+      },
+      subsystems: [pathSubsystem],
+    });
+
+    simulation.walkTo([0, 1, -8]);
+    expect(simulation.eventsOf(EVENTS.PATH_WAYPOINT_REACHED).map(({ index }) => index)).toEqual([0, 1]);
+    expect(getRemainingWaypoints()).toBe(1);
+
+    simulation.walkTo([4, 1, -8]);
+    const [reached] = simulation.eventsOf(EVENTS.PATH_WAYPOINT_REACHED).slice(-1);
+    expect(reached).toMatchObject({ index: 2, reached: 3, total: 3 });
+    expect(simulation.eventsOf(EVENTS.PATH_COMPLETED)).toEqual([{ total: 3 }]);
+  });
+
+  it('lands a kicked ball on the collision mesh', async () => {
+    const floor = createFloor();
+    const ball = new THREE.Mesh(new THREE.SphereGeometry(0.2));
+
+    simulation = await createSimulation({
+      collisionMesh: floor,
+      playerPosition: [0, 0.5, 0],
+      subsystems: [{
+        name: 'ball',
+        requires: ['collisions'],
+        init: ({ sparkScene }) => addDynamicObject(sparkScene, ball, 'ball', 0.2, new THREE.Vector3(0, 0.5, -1)),
+      }],
+    });
+
+    simulation.run(1);
+    kickDynamicObjects(simulation.sparkScene);
+    simulation.run(1.5);
+
+    const position = simulation.getObjectPosition('ball');
+    expect(simulation.eventsOf(EVENTS.OBJECT_KICKED)).toHaveLength(1);
+    expect(position.z).toBeLessThan(-2);
+    expect(position.y).toBeCloseTo(0.2, 1);
+    expect(new THREE.Box3().setFromObject(floor).containsPoint(position.setY(0))).toBe(true);
+  });
+});
@@ -1,3 +1,5 @@
+import { emit, EVENTS } from "./events.js";
+
 // HUD data structure
 export class HUDData {
   constructor() {
@@ -12,25 +14,6 @@ let hudElement = null;
 let hudVisible = false;
 const hudData = new HUDData();
 
-// Listeners that get called when HUD is toggled
-const hudToggleListeners = new Set();
-
-// Register a listener to be called when HUD is toggled
-// Callback receives (isVisible: boolean)
-export function onHudToggle(callback) {
-  hudToggleListeners.add(callback);
-}
-
-// Unregister a HUD toggle listener
-export function offHudToggle(callback) {
-  hudToggleListeners.delete(callback);
-}
-
-// Notify all listeners of HUD toggle
-function notifyHudToggleListeners() {
-  hudToggleListeners.forEach(callback => callback(hudVisible));
-}
-
 // Check if HUD is enabled/visible
 export function isHudEnabled() {
   return hudVisible;
@@ -93,9 +76,7 @@ export function initializeHUD() {
   // Setup HUD toggle button
   const hudToggleButton = document.getElementById("hud-toggle");
   if (hudToggleButton) {
-    hudToggleButton.addEventListener("click", () => {
-      toggleHUD();
-    });
+    hudToggleButton.addEventListener("click", toggleHUD);
     syncHUDToggle();
   }
   
@@ -139,7 +120,7 @@ export function toggleHUD() {
     hudElement.style.display = hudVisible ? 'block' : 'none';
   }
   syncHUDToggle();
-  notifyHudToggleListeners();
+  emit(EVENTS.HUD_TOGGLE, { visible: hudVisible });
 }
 
 // Get HUD data object for updating values
@@ -147,3 +128,11 @@ export function getHUDData() {
   return hudData;
 }
 
+// Detach the HUD toggle button. The HUD element and its visibility are kept
+// so the next scene opens with the same HUD state
+export function disposeHUD() {
+  const hudToggleButton = document.getElementById("hud-toggle");
+  if (hudToggleButton) {
+    hudToggleButton.removeEventListener("click", toggleHUD);
+  }
+}
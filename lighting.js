@@ -1,5 +1,6 @@
 import * as THREE from "three";
-import { isHudEnabled, onHudToggle } from "./hud.js";
+import { isHudEnabled } from "./hud.js";
+import { on, off, EVENTS } from "./events.js";
 
 const lights = [];
 const lightDebugMeshes = [];
@@ -182,12 +183,20 @@ export async function initializeLighting(sparkScene, configFile, assetUrlFn) {
   }
   
   // Register for HUD toggle events to show/hide debug meshes
-  onHudToggle(setLightDebugVisibility);
+  on(EVENTS.HUD_TOGGLE, onHudToggle);
   
   // Sync initial visibility state
   setLightDebugVisibility(isHudEnabled());
 }
 
+/**
+ * Show light debug meshes while the HUD is visible
+ * @param {object} event - 'hud:toggle' payload
+ */
+function onHudToggle({ visible }) {
+  setLightDebugVisibility(visible);
+}
+
 /**
  * Update debug mesh visibility based on HUD state
  * @param {boolean} visible - Whether HUD is visible
@@ -216,3 +225,19 @@ export function getLightByName(name) {
   return lights.find(light => light.name === name) || null;
 }
 
+/**
+ * Remove lights and debug meshes and release shadow maps
+ */
+export function disposeLighting() {
+  off(EVENTS.HUD_TOGGLE, onHudToggle);
+  for (const light of lights) {
+    light.removeFromParent();
+    light.target?.removeFromParent();
+    light.dispose();
+  }
+  for (const mesh of lightDebugMeshes) {
+    mesh.removeFromParent();
+  }
+  lights.length = 0;
+  lightDebugMeshes.length = 0;
+}
@@ -0,0 +1,106 @@
+// Loading Manager
+// Tracks every asset a scene loads (splats, collision mesh, models, audio) and combines
+// them into one progress value, so the loading screen reflects all pending downloads
+// instead of just the splats. Loaders register their assets with trackAsset(); the
+// scene loader starts and finishes the loading session.
+
+import { getAssetMetadata } from './assets.js';
+
+// Byte estimates for assets whose size is unknown until their download starts
+const ESTIMATED_BYTES = {
+  splats: 100 * 1024 * 1024,
+  'collision mesh': 5 * 1024 * 1024,
+  objects: 2 * 1024 * 1024,
+  robot: 2 * 1024 * 1024,
+  audio: 1024 * 1024,
+};
+
+// The loading session in progress: { assets: Set, failed: Array, onUpdate }, or null
+let activeSession = null;
+
+/**
+ * Start a loading session. Assets tracked from now on count towards its progress.
+ * @param {function} onUpdate - Callback (progress, loadedBytes, totalBytes, label)
+ */
+export function startLoading(onUpdate) {
+  activeSession = { assets: new Set(), failed: [], onUpdate };
+  notifyProgress();
+}
+
+/**
+ * End the loading session. Assets that load later (e.g. on demand) are not tracked.
+ * @returns {Array<{phase: string, url: string, error: Error}>} - Assets that failed to load
+ */
+export function finishLoading() {
+  const failed = activeSession?.failed || [];
+  activeSession = null;
+  return failed;
+}
+
+/**
+ * Register an asset that is about to load
+ * @param {string} phase - What is loading, shown in the progress label (e.g. 'splats', 'audio')
+ * @param {string} url - Asset URL, used to look up its size in the asset manifest (optional)
+ * @param {number} estimatedBytes - Size estimate until the real size is known (default: by phase)
+ * @returns {{progress: function, done: function, fail: function}} - Call progress(loadedBytes, totalBytes)
+ *   while downloading and done() or fail(error) when finished. Without a session the calls do nothing.
+ */
+export function trackAsset(phase, url = null, estimatedBytes = null) {
+  const session = activeSession;
+  if (!session) {
+    return { progress: () => {}, done: () => {}, fail: () => {} };
+  }
+
+  const asset = {
+    phase,
+    loadedBytes: 0,
+    totalBytes: (url && getAssetMetadata(url)?.size) || estimatedBytes || ESTIMATED_BYTES[phase] || 1024 * 1024,
+    finished: false,
+  };
+  session.assets.add(asset);
+  notifyProgress(session);
+
+  const finish = () => {
+    if (asset.finished) return;
+    asset.finished = true;
+    asset.loadedBytes = asset.totalBytes;
+    notifyProgress(session);
+  };
+
+  return {
+    progress: (loadedBytes, totalBytes = null) => {
+      if (asset.finished) return;
+      if (totalBytes) asset.totalBytes = totalBytes;
+      asset.loadedBytes = Math.min(loadedBytes, asset.totalBytes);
+      notifyProgress(session);
+    },
+    done: finish,
+    // A failed asset no longer holds up the progress bar and is reported when loading finishes
+    fail: (error = null) => {
+      if (asset.finished) return;
+      session.failed.push({ phase, url, error });
+      finish();
+    },
+  };
+}
+
+/**
+ * Report aggregate progress and a label naming the phases still loading
+ * @param {object} session - Loading session (default: the active one)
+ */
+function notifyProgress(session = activeSession) {
+  if (!session || session !== activeSession || !session.onUpdate) return;
+
+  let loadedBytes = 0;
+  let totalBytes = 0;
+  const pendingPhases = new Set();
+  for (const asset of session.assets) {
+    loadedBytes += asset.loadedBytes;
+    totalBytes += asset.totalBytes;
+    if (!asset.finished) pendingPhases.add(asset.phase);
+  }
+
+  const progress = totalBytes > 0 ? loadedBytes / totalBytes : 0;
+  const label = pendingPhases.size > 0 ? `Loading ${[...pendingPhases].join(', ')}...` : 'Starting scene...';
+  session.onUpdate(progress, loadedBytes, totalBytes, label);
+}
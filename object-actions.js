@@ -1,11 +1,15 @@
 import * as THREE from "three";
 import * as RAPIER from "@dimforge/rapier3d-compat";
 import { checkAssets } from "./assets.js";
+import { emit, EVENTS } from "./events.js";
 
 // Cache for sound effect audio
 let kickThrowSound = null;
 let soundLoaded = false;
 
+// Keyboard handler registered by initializeObjectActionKeyHandlers
+let objectActionKeyHandler = null;
+
 /**
  * Load the kick/throw sound effect
  */
@@ -57,8 +61,9 @@ export function kickDynamicObjects(sparkScene, kickDistance = 5.0, kickForce = 1
   sparkScene.camera.getWorldPosition(cameraWorldPos);
   
   let kickedCount = 0;
-  sparkScene.dynamicObjects.forEach(({ body, mesh }, name) => {
-    if (body && mesh) {
+  sparkScene.dynamicObjects.forEach(({ body, mesh, bodyType }, name) => {
+    // Static and kinematic objects stay put
+    if (body && mesh && bodyType === 'dynamic') {
       // Get object position
       const objPosition = new THREE.Vector3();
       objPosition.copy(mesh.position);
@@ -92,6 +97,7 @@ export function kickDynamicObjects(sparkScene, kickDistance = 5.0, kickForce = 1
         
         kickedCount++;
         console.log(`- Kicked "${name}" with force ${force.toFixed(2)} (distance: ${distance.toFixed(2)}m)`);
+        emit(EVENTS.OBJECT_KICKED, { name, velocity: new THREE.Vector3().copy(body.linvel()) });
       }
     }
   });
@@ -128,8 +134,8 @@ export function throwDynamicObjects(sparkScene, throwDistance = 5.0, throwForce
   cameraForward.applyQuaternion(cameraWorldQuaternion);
   
   let thrownCount = 0;
-  sparkScene.dynamicObjects.forEach(({ body, mesh }, name) => {
-    if (body && mesh) {
+  sparkScene.dynamicObjects.forEach(({ body, mesh, bodyType }, name) => {
+    if (body && mesh && bodyType === 'dynamic') {
       // Get object position
       const objPosition = new THREE.Vector3();
       objPosition.copy(mesh.position);
@@ -167,6 +173,7 @@ export function throwDynamicObjects(sparkScene, throwDistance = 5.0, throwForce
         
         thrownCount++;
         console.log(`- Threw "${name}" with force ${force.toFixed(2)} (distance: ${distance.toFixed(2)}m)`);
+        emit(EVENTS.OBJECT_THROWN, { name, velocity: new THREE.Vector3().copy(body.linvel()), source: 'keyboard' });
       }
     }
   });
@@ -189,7 +196,7 @@ export function initializeObjectActionKeyHandlers(sparkScene, sceneConfig) {
     return; // Skip if dynamic objects are not enabled
   }
 
-  window.addEventListener('keydown', (event) => {
+  objectActionKeyHandler = (event) => {
     // Press 'k' to kick nearby dynamic objects away from viewer
     if (event.key === 'k' || event.key === 'K') {
       kickDynamicObjects(sparkScene);
@@ -198,6 +205,18 @@ export function initializeObjectActionKeyHandlers(sparkScene, sceneConfig) {
     if (event.key === 't' || event.key === 'T') {
       throwDynamicObjects(sparkScene);
     }
-  });
+  };
+  window.addEventListener('keydown', objectActionKeyHandler);
+}
+
+/**
+ * Remove the keyboard handlers for object actions
+ * The kick/throw sound is kept since it is shared between scenes
+ */
+export function disposeObjectActionKeyHandlers() {
+  if (objectActionKeyHandler) {
+    window.removeEventListener('keydown', objectActionKeyHandler);
+    objectActionKeyHandler = null;
+  }
 }
 
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { setupHeadlessTests, createSimulation, createFloor, createBox, createObjectsSubsystem } from './headless-fixtures.js';
+import { addDynamicBody, addStaticBody, addKinematicBody, createObjectColliderDesc } from './collisions.js';
+import { kickDynamicObjects } from './object-actions.js';
+import { EVENTS } from './events.js';
+
+// Floor with objects created by addObjects(sparkScene)
+function createFloorScene(addObjects, playerPosition = [0, 0, 10]) {
+  return createSimulation({ collisionMesh: createFloor(), playerPosition, subsystems: [createObjectsSubsystem(addObjects)] });
+}
+
+describe('object body types', () => {
+  setupHeadlessTests();
+
+  it('keeps static objects in place, colliding but not kickable', async () => {
+    const table = createBox(2, 1, 2, new THREE.Vector3(0, 0, -1));
+    const simulation = await createFloorScene((sparkScene) => {
+      addStaticBody(sparkScene, table, 'table', createObjectColliderDesc(table, 'cuboid'), table.position.clone(), { friction: 1 });
+      const crate = createBox(0.4, 0.4, 0.4, new THREE.Vector3(0, 2, -1));
+      addDynamicBody(sparkScene, crate, 'crate', createObjectColliderDesc(crate, 'cuboid'), crate.position.clone());
+    }, [0, 0.5, 0]);
+    simulation.run(1.5);
+
+    kickDynamicObjects(simulation.sparkScene);
+    simulation.run(0.1);
+
+    expect(simulation.eventsOf(EVENTS.OBJECT_KICKED).map(({ name }) => name)).toEqual(['crate']);
+    expect(simulation.getObjectPosition('table')).toEqual(new THREE.Vector3(0, 0, -1));
+    expect(table.position).toEqual(new THREE.Vector3(0, 0, -1));
+  });
+
+  it('moves kinematic objects along their track, carrying dynamic objects', async () => {
+    const platform = createBox(3, 0.2, 3, new THREE.Vector3(0, 0.5, 0));
+    const simulation = await createFloorScene((sparkScene) => {
+      const track = { waypoints: [[4, 0.5, 0]], speed: 1 };
+      addKinematicBody(sparkScene, platform, 'platform', createObjectColliderDesc(platform, 'cuboid'), platform.position.clone(), { friction: 1 }, track);
+      const crate = createBox(0.4, 0.4, 0.4, new THREE.Vector3(0, 0.8, 0));
+      addDynamicBody(sparkScene, crate, 'crate', createObjectColliderDesc(crate, 'cuboid'), crate.position.clone(), { friction: 1 });
+    });
+    simulation.run(3);
+
+    expect(simulation.getObjectPosition('platform').x).toBeCloseTo(3, 1);
+    expect(platform.position.x).toBeCloseTo(3, 1); // The mesh follows the body
+    expect(simulation.getObjectPosition('crate').x).toBeCloseTo(3, 0);
+    expect(simulation.getObjectPosition('crate').y).toBeCloseTo(0.7, 1);
+
+    // Open tracks turn around at the last waypoint
+    simulation.run(2);
+    expect(simulation.getObjectPosition('platform').x).toBeCloseTo(3, 1);
+  });
+
+  it('returns to the start of looping tracks', async () => {
+    const simulation = await createFloorScene((sparkScene) => {
+      const lift = createBox(1, 0.2, 1, new THREE.Vector3(5, 0, 0));
+      const track = { waypoints: [[5, 2, 0], [7, 2, 0]], speed: 2, loop: true };
+      addKinematicBody(sparkScene, lift, 'lift', createObjectColliderDesc(lift, 'cuboid'), lift.position.clone(), {}, track);
+    });
+
+    simulation.run(1.5); // 3m: up and 1m across
+    expect(simulation.getObjectPosition('lift').distanceTo(new THREE.Vector3(6, 2, 0))).toBeLessThan(0.05);
+
+    simulation.run(1.9); // 6.8m of 6.83m: back down the diagonal
+    expect(simulation.getObjectPosition('lift').distanceTo(new THREE.Vector3(5, 0, 0))).toBeLessThan(0.1);
+  });
+});
@@ -1,14 +1,30 @@
 import * as THREE from "three";
 import { checkAssets } from "./assets.js";
-import { addDynamicObject } from "./collisions.js";
+import { addDynamicBody, addStaticBody, addKinematicBody, createObjectColliderDesc } from "./collisions.js";
+import { trackAsset } from "./loading-manager.js";
 
 // Import loaders from CDN (matches three.js version)
 const { FBXLoader } = await import("https://cdn.jsdelivr.net/npm/three@0.179.0/examples/jsm/loaders/FBXLoader.js");
 const { GLTFLoader } = await import("https://cdn.jsdelivr.net/npm/three@0.179.0/examples/jsm/loaders/GLTFLoader.js");
 
 const loadedObjects = new Map();
-const fbxLoader = new FBXLoader();
-const gltfLoader = new GLTFLoader();
+
+// How an object takes part in physics, set by its "body" entry in objects-config.json:
+// dynamic objects are simulated (and can be kicked, thrown and grabbed), static ones only
+// collide, kinematic ones follow their "track" and carry dynamic objects, visual ones have no physics
+export const OBJECT_BODY_TYPES = ['dynamic', 'static', 'kinematic', 'visual'];
+
+// Physics of an object, overridden by its "physics" entry in objects-config.json
+// (collider is one of COLLIDER_TYPES in collisions.js; density replaces mass if given)
+export const OBJECT_PHYSICS_DEFAULTS = {
+  collider: 'ball',
+  mass: 1.0,
+  restitution: 0.8,   // Bounciness
+  friction: 0.3,
+  linearDamping: 0,
+  angularDamping: 0,
+  ccd: false,         // Continuous collision detection for fast, small objects
+};
 
 /**
  * Remove embedded lights from a loaded model
@@ -50,15 +66,19 @@ async function loadMeshObject(modelPath, assetUrlFn = checkAssets) {
   
   // Detect file type from extension (trim whitespace)
   const extension = trimmedPath.toLowerCase().substring(trimmedPath.lastIndexOf('.') + 1).trim();
+  const tracker = trackAsset('objects', modelURL);
   
+  // Objects load in parallel, so each load gets its own loader (the resource path is per loader)
   if (extension === 'gltf' || extension === 'glb') {
     // Use GLTFLoader for GLTF/GLB files
+    const gltfLoader = new GLTFLoader();
     gltfLoader.setPath(modelDir);
     
     return new Promise((resolve, reject) => {
       gltfLoader.load(
         modelURL,
         (gltf) => {
+          tracker.done();
           // GLTFLoader returns an object with a 'scene' property
           const scene = gltf.scene;
           
@@ -72,11 +92,13 @@ async function loadMeshObject(modelPath, assetUrlFn = checkAssets) {
           resolve(scene);
         },
         (progress) => {
+          tracker.progress(progress.loaded, progress.total);
           if (progress.total) {
             console.log(`Loading ${trimmedPath}: ${(progress.loaded / progress.total * 100).toFixed(0)}%`);
           }
         },
         (error) => {
+          tracker.fail(error);
           console.error(`Error loading ${trimmedPath}:`, error);
           reject(error);
         }
@@ -84,12 +106,14 @@ async function loadMeshObject(modelPath, assetUrlFn = checkAssets) {
     });
   } else if (extension === 'fbx') {
     // Use FBXLoader for FBX files
+    const fbxLoader = new FBXLoader();
     fbxLoader.setResourcePath(modelDir);
     
     return new Promise((resolve, reject) => {
       fbxLoader.load(
         modelURL,
         (fbx) => {
+          tracker.done();
           // Remove any embedded lights from the FBX file
           const removedCount = removeEmbeddedLights(fbx);
           if (removedCount > 0) {
@@ -98,18 +122,22 @@ async function loadMeshObject(modelPath, assetUrlFn = checkAssets) {
           resolve(fbx);
         },
         (progress) => {
+          tracker.progress(progress.loaded, progress.total);
           if (progress.total) {
             console.log(`Loading ${trimmedPath}: ${(progress.loaded / progress.total * 100).toFixed(0)}%`);
           }
         },
         (error) => {
+          tracker.fail(error);
           console.error(`Error loading ${trimmedPath}:`, error);
           reject(error);
         }
       );
     });
   } else {
-    throw new Error(`Unsupported file format: "${extension}". Supported formats: .fbx, .gltf, .glb`);
+    const error = new Error(`Unsupported file format: "${extension}". Supported formats: .fbx, .gltf, .glb`);
+    tracker.fail(error);
+    throw error;
   }
 }
 
@@ -132,7 +160,17 @@ export async function initializeObjects(sparkScene, configFile = 'objects-config
     return;
   }
   
-  for (const config of objectConfigs) {
+  // Load all meshes in parallel, then add them in config order
+  const meshPromises = objectConfigs.map((config) => {
+    if (!config.name || !config.model || !config.position) {
+      return Promise.resolve(null);
+    }
+    return loadMeshObject(config.model, assetUrlFn);
+  });
+  // Handle rejections here so a failing object does not surface as unhandled
+  meshPromises.forEach((promise) => promise.catch(() => {}));
+  
+  for (const [index, config] of objectConfigs.entries()) {
     try {
       const { name, model, position, scale = 1.0 } = config;
       
@@ -141,8 +179,8 @@ export async function initializeObjects(sparkScene, configFile = 'objects-config
         continue;
       }
       
-      // Load the mesh
-      const mesh = await loadMeshObject(model, assetUrlFn);
+      // Wait for the mesh
+      const mesh = await meshPromises[index];
       
       // Set position
       mesh.position.set(position[0], position[1], position[2]);
@@ -160,25 +198,25 @@ export async function initializeObjects(sparkScene, configFile = 'objects-config
       // Store reference
       loadedObjects.set(name, mesh);
       
-      // Add physics to all objects 
-      // Calculate bounding sphere radius
-      mesh.updateMatrixWorld();
-      const box = new THREE.Box3().setFromObject(mesh);
-      const size = new THREE.Vector3();
-      box.getSize(size);
-      const radius = Math.max(size.x, size.y, size.z) / 2;
-      
-      // Add physics body with bouncy properties
-      addDynamicObject(
-        sparkScene,
-        mesh,
-        name,
-        radius,
-        new THREE.Vector3(position[0], position[1], position[2]),
-        1.0,  // mass
-        0.8,  // restitution (bounciness)
-        0.3   // friction
-      );
+      // Add physics, with a collider fitted to the mesh
+      const { body = 'dynamic', track = null } = config;
+      const physics = { ...OBJECT_PHYSICS_DEFAULTS, ...config.physics };
+      const spawnPosition = new THREE.Vector3(position[0], position[1], position[2]);
+      switch (body) {
+        case 'dynamic':
+          addDynamicBody(sparkScene, mesh, name, createObjectColliderDesc(mesh, physics.collider), spawnPosition, physics);
+          break;
+        case 'static':
+          addStaticBody(sparkScene, mesh, name, createObjectColliderDesc(mesh, physics.collider), spawnPosition, physics);
+          break;
+        case 'kinematic':
+          addKinematicBody(sparkScene, mesh, name, createObjectColliderDesc(mesh, physics.collider), spawnPosition, physics, track);
+          break;
+        case 'visual':
+          break;
+        default:
+          throw new Error(`Unknown body type "${body}" (expected one of ${OBJECT_BODY_TYPES.join(', ')})`);
+      }
       
       console.log(`Added object "${name}" at position [${position[0]}, ${position[1]}, ${position[2]}]`);
     } catch (error) {
@@ -203,3 +241,10 @@ export function getObject(name) {
 export function getAllObjects() {
   return loadedObjects;
 }
+
+/**
+ * Forget all loaded objects (their meshes are disposed with the scene)
+ */
+export function disposeObjects() {
+  loadedObjects.clear();
+}
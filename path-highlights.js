@@ -0,0 +1,31 @@
+// Path Highlights
+// Ground highlights under the path waypoints, drawn as splat edits. Kept out of path.js
+// because they need Spark, which headless runs (see headless.js) do not load.
+
+import { SplatEdit, SplatEditRgbaBlendMode, SplatEditSdf, SplatEditSdfType } from "@sparkjsdev/spark";
+
+/**
+ * Create the SplatEdit layer that holds the ground highlight SDFs
+ * @returns {SplatEdit}
+ */
+export function createHighlightLayer() {
+  return new SplatEdit({
+    rgbaBlendMode: SplatEditRgbaBlendMode.ADD_RGBA,
+    sdfSmooth: 0.05,
+    softEdge: 0.1,
+  });
+}
+
+/**
+ * Create a ground highlight SDF sphere
+ * @param {THREE.Color} color - Highlight color
+ * @returns {SplatEditSdf}
+ */
+export function createHighlight(color) {
+  return new SplatEditSdf({
+    type: SplatEditSdfType.SPHERE,
+    radius: 0.6, // Larger radius for ground highlight
+    color: color,
+    opacity: 0.10, // Subtle highlight
+  });
+}
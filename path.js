@@ -1,11 +1,12 @@
 import * as THREE from "three";
-import { SplatEdit, SplatEditRgbaBlendMode, SplatEditSdf, SplatEditSdfType } from "@sparkjsdev/spark";
+import { emit, EVENTS } from "./events.js";
 
 // Store path waypoints
 const pathWaypoints = [];
 let sparkSceneRef = null;
 let pathVisible = true;
 let pathSplatEdit = null;
+let pathToggleButton = null;
 
 /**
  * Initialize path system by loading path-config.json
@@ -16,13 +17,14 @@ let pathSplatEdit = null;
 export async function initializePath(sparkScene, configURL, assetUrlFn) {
   sparkSceneRef = sparkScene;
   
+  // Ground highlights are splat edits, so they need the Spark renderer (headless scenes have none)
+  const highlights = sparkScene.spark ? await import("./path-highlights.js") : null;
+  
   // Create SplatEdit layer for ground highlight SDFs (in scene space, not localFrame)
-  pathSplatEdit = new SplatEdit({
-    rgbaBlendMode: SplatEditRgbaBlendMode.ADD_RGBA,
-    sdfSmooth: 0.05,
-    softEdge: 0.1,
-  });
-  sparkScene.scene.add(pathSplatEdit);
+  if (highlights) {
+    pathSplatEdit = highlights.createHighlightLayer();
+    sparkScene.scene.add(pathSplatEdit);
+  }
   
   try {
     const pathConfigUrl = await assetUrlFn(configURL);
@@ -62,20 +64,18 @@ export async function initializePath(sparkScene, configURL, assetUrlFn) {
       // Add to scene
       sparkScene.scene.add(sphere);
       
-      // Create SDF sphere below the path sphere to highlight the ground
-      const highlightSdf = new SplatEditSdf({
-        type: SplatEditSdfType.SPHERE,
-        radius: 0.6, // Larger radius for ground highlight
-        color: color,
-        opacity: 0.10, // Subtle highlight
-      });
-      
       // Position highlight below the floating sphere (configurable per waypoint)
       const highlightOffset = waypoint.highlightOffset ?? 1.2; // Distance below the sphere
-      highlightSdf.position.set(position.x, position.y - highlightOffset, position.z);
       
-      // Add SDF to the SplatEdit layer
-      pathSplatEdit.add(highlightSdf);
+      // Create SDF sphere below the path sphere to highlight the ground
+      let highlightSdf = null;
+      if (highlights) {
+        highlightSdf = highlights.createHighlight(color);
+        highlightSdf.position.set(position.x, position.y - highlightOffset, position.z);
+        
+        // Add SDF to the SplatEdit layer
+        pathSplatEdit.add(highlightSdf);
+      }
       
       // Store waypoint info
       pathWaypoints.push({
@@ -129,6 +129,13 @@ export function updatePath(playerPosition, time) {
       console.log(`Path waypoint ${waypoint.index + 1} triggered at distance ${distance.toFixed(2)}m`);
       // Update button count when a waypoint is triggered
       syncPathToggle();
+
+      const total = pathWaypoints.length;
+      const reached = total - getRemainingWaypoints();
+      emit(EVENTS.PATH_WAYPOINT_REACHED, { index: waypoint.index, position: waypoint.position.clone(), reached, total });
+      if (reached === total) {
+        emit(EVENTS.PATH_COMPLETED, { total });
+      }
     } else {
       // Animate floating effect (gentle up and down motion)
       const floatAmount = 0.2; // How much the sphere floats up and down
@@ -195,6 +202,7 @@ export function togglePath() {
   
   syncPathToggle();
   console.log(pathVisible ? "- Path waypoints shown" : "- Path waypoints hidden");
+  emit(EVENTS.PATH_TOGGLE, { visible: pathVisible });
 }
 
 /**
@@ -237,10 +245,27 @@ function syncPathToggle() {
 function setupPathToggleButton() {
   const button = document.getElementById("path-toggle");
   if (button) {
-    button.addEventListener("click", () => {
-      togglePath();
-    });
+    button.addEventListener("click", togglePath);
+    pathToggleButton = button;
     syncPathToggle();
   }
 }
 
+/**
+ * Remove all waypoints and the toggle button handler
+ */
+export function disposePath() {
+  if (pathToggleButton) {
+    pathToggleButton.removeEventListener("click", togglePath);
+    pathToggleButton.innerHTML = "";
+    pathToggleButton = null;
+  }
+  for (const waypoint of pathWaypoints) {
+    waypoint.sphere.removeFromParent();
+  }
+  pathSplatEdit?.removeFromParent();
+  pathWaypoints.length = 0;
+  pathSplatEdit = null;
+  pathVisible = true;
+  sparkSceneRef = null;
+}
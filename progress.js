@@ -7,6 +7,12 @@ const overlayMessage = document.getElementById("overlay-message");
 const progressStatus = document.getElementById("progress-status");
 const progressBar = document.getElementById("progress-bar");
 const progressFill = document.getElementById("progress-fill");
+const overlayDetails = document.getElementById("overlay-details");
+const overlayLinks = document.getElementById("overlay-links");
+const notices = document.getElementById("notices");
+
+// How long a notice stays on screen
+const NOTICE_DURATION = 10000;
 
 /**
  * Show the progress overlay
@@ -17,7 +23,18 @@ export function showProgress(message = "Loading...") {
   progressStatus.textContent = "0.0 MB downloaded";
   progressBar.style.display = "block";
   progressFill.style.width = "0%";
+  overlay.classList.remove("error");
   overlay.classList.add("visible");
+  overlayDetails.style.display = "none";
+  overlayLinks.style.display = "none";
+}
+
+/**
+ * Change the message shown above the progress bar (e.g. the current loading phase)
+ * @param {string} message - Message to display
+ */
+export function setProgressMessage(message) {
+  overlayMessage.textContent = message;
 }
 
 /**
@@ -55,6 +72,61 @@ export function hideProgress() {
   document.addEventListener("click", dismissInstructions, { once: true });
 }
 
+/**
+ * Show an error screen in the overlay (replaces any progress display)
+ * @param {string} message - Short error message
+ * @param {string} details - Longer explanation shown below the message (optional)
+ * @param {Array<{label: string, href: string}>} links - Links offered to the user (optional)
+ * @param {function} onRetry - Shows a "Try again" button that calls this function (optional)
+ */
+export function showError(message, details = "", links = [], onRetry = null) {
+  overlay.classList.add("visible", "error");
+  overlayMessage.textContent = message;
+  progressBar.style.display = "none";
+  progressStatus.textContent = "";
+
+  overlayDetails.textContent = details;
+  overlayDetails.style.display = details ? "block" : "none";
+
+  const buttons = links.map(({ label, href }) => {
+    const link = document.createElement("a");
+    link.textContent = label;
+    link.href = href;
+    return link;
+  });
+  if (onRetry) {
+    const retryButton = document.createElement("button");
+    retryButton.type = "button";
+    retryButton.textContent = "Try again";
+    retryButton.addEventListener("click", onRetry, { once: true });
+    buttons.unshift(retryButton);
+  }
+  overlayLinks.replaceChildren(...buttons);
+  overlayLinks.style.display = buttons.length > 0 ? "flex" : "none";
+}
+
+/**
+ * Show a notice that does not block the scene, e.g. for content that failed to load.
+ * Notices disappear after a while or when clicked.
+ * @param {string} message - Notice text (may contain line breaks)
+ */
+export function showNotice(message) {
+  if (!notices) return;
+  const notice = document.createElement("div");
+  notice.className = "notice";
+  notice.textContent = message;
+  notice.addEventListener("click", () => notice.remove());
+  notices.appendChild(notice);
+  setTimeout(() => notice.remove(), NOTICE_DURATION);
+}
+
+/**
+ * Remove all notices (e.g. when switching scenes)
+ */
+export function clearNotices() {
+  notices?.replaceChildren();
+}
+
 /**
  * Dismiss instructions overlay (placeholder for future implementation)
  */
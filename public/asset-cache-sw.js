@@ -0,0 +1,26 @@
+// Asset Cache Service Worker
+// Answers requests for assets stored by asset-cache.js from Cache Storage, so models,
+// audio and splats loaded directly by URL also work offline. Everything else goes to
+// the network untouched. The cache itself (size limits, eviction) is managed by the page.
+
+// Must match CACHE_NAME in asset-cache.js
+const CACHE_NAME = 'spark-assets-v1';
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || request.mode === 'navigate') return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request.url);
+    return cached || fetch(request);
+  })());
+});
@@ -1,5 +1,6 @@
 import * as THREE from "three";
 import { checkAssets } from "./assets.js";
+import { trackAsset } from "./loading-manager.js";
 import { createAttachedAudio } from "./spatial-audio.js";
 
 // Import FBXLoader from CDN (matches three.js version)
@@ -89,11 +90,13 @@ export async function initializeRobot(sparkScene, configFile = 'robot-config.jso
   
   const loader = new FBXLoader();
   const robotURL = await assetUrlFn('robot.fbx');
+  const tracker = trackAsset('robot', robotURL);
   
   return new Promise((resolve, reject) => {
     loader.load(
       robotURL,
       (fbx) => {
+        tracker.done();
         robot = fbx;
         
         // Remove any embedded lights from the FBX file
@@ -182,11 +185,13 @@ export async function initializeRobot(sparkScene, configFile = 'robot-config.jso
         resolve(robot);
       },
       (progress) => {
+        tracker.progress(progress.loaded, progress.total);
         if (progress.total) {
           console.log(`Loading robot: ${(progress.loaded / progress.total * 100).toFixed(0)}%`);
         }
       },
       (error) => {
+        tracker.fail(error);
         console.error('Error loading robot:', error);
         reject(error);
       }
@@ -287,3 +292,13 @@ export function getRobot() {
   return robot;
 }
 
+/**
+ * Remove the robot (its meshes are disposed with the scene)
+ */
+export function disposeRobot() {
+  robot?.removeFromParent();
+  robot = null;
+  waypoints = [];
+  robotState.phase = 'paused';
+  robotState.currentWaypointIndex = 0;
+}
@@ -0,0 +1,361 @@
+// Scene Loader
+// Loads a scene from the scene registry and tears it down again, so scenes can be
+// switched in place (e.g. from a menu or when walking through a portal).
+
+import { createCheckSceneAssets } from "./assets-config.js";
+import { configureAssetCache } from "./asset-cache.js";
+import { turnMusicOn } from "./audio.js";
+import { setupSparkScene, loadSplats, initializeVR, startAnimationLoop, disposeSparkScene } from "./scene.js";
+import { showProgress, updateProgress, setProgressMessage, hideProgress, showError, showNotice, clearNotices } from "./progress.js";
+import { startLoading, finishLoading, trackAsset } from "./loading-manager.js";
+import { initializeSubsystems, updateSubsystems, disposeSubsystems } from "./subsystems.js";
+import { registerBuiltinSubsystems } from "./builtin-subsystems.js";
+import { validateSceneConfigs, formatProblem, hasErrors } from "./config-validation.js";
+import { getSceneEntry, getSceneNames, SCENES } from "./scenes/index.js";
+import { emit, EVENTS } from "./events.js";
+import { startRecording, stopRecording, startReplay, stopReplay, loadRecording } from "./session-recorder.js";
+import { applyDeepLink } from "./deep-link.js";
+
+// The scene that is currently loaded: { name, sparkScene, config, context }
+let currentScene = null;
+
+registerBuiltinSubsystems();
+
+// Pending load/unload, so overlapping requests run one after another
+let pendingOperation = Promise.resolve();
+
+// Aborts the splat download of the load in progress when another scene is requested
+let loadAbortController = null;
+
+/**
+ * Get the currently loaded scene
+ * @returns {{name: string, sparkScene: SparkScene, config: object, context: object}|null}
+ */
+export function getCurrentScene() {
+  return currentScene;
+}
+
+/**
+ * Load a scene by name, disposing the current scene first
+ * @param {string} sceneName - Name of the scene in the scene registry
+ * @param {object} options - Options
+ * @param {boolean} options.updateURL - Write ?scene=<name> to the address bar (default: true)
+ * @param {boolean} options.record - Record the session from the first frame (default: false, see session-recorder.js)
+ * @param {object} options.replay - { recording, onComplete } to replay a recording from the first frame (optional)
+ * @param {object} options.deepLink - Link to open the scene at, from parseDeepLink (optional, see deep-link.js)
+ * @returns {Promise<SparkScene>}
+ */
+export function loadScene(sceneName, options = {}) {
+  // A newer request wins: stop downloading the scene that is still loading
+  loadAbortController?.abort(new Error(`Loading scene "${sceneName}" instead`));
+  const abortController = new AbortController();
+  loadAbortController = abortController;
+
+  const operation = pendingOperation.then(async () => {
+    abortController.signal.throwIfAborted();
+    await unloadCurrentScene();
+    return loadSceneInternal(sceneName, { ...options, signal: abortController.signal });
+  }).catch((error) => {
+    // An aborted load was replaced by another request, which shows its own progress
+    if (!abortController.signal.aborted) {
+      showLoadError(sceneName, options, error);
+    }
+    throw error;
+  }).finally(() => {
+    if (loadAbortController === abortController) loadAbortController = null;
+  });
+  pendingOperation = operation.catch(() => {});
+  return operation;
+}
+
+/**
+ * Dispose the currently loaded scene, if any
+ * @returns {Promise<void>}
+ */
+export function unloadScene() {
+  loadAbortController?.abort(new Error('Scene unloaded'));
+  const operation = pendingOperation.then(unloadCurrentScene);
+  pendingOperation = operation.catch(() => {});
+  return operation;
+}
+
+/**
+ * Replay a session recording: load its scene, then replay it from the scene's first frame
+ * @param {object|string} source - Recording (see session-recorder.js) or URL of a recording file
+ * @returns {Promise<object>} - Resolves with the replay result when the replay ends
+ */
+export async function replaySession(source) {
+  let recording = source;
+  if (typeof source === 'string') {
+    try {
+      recording = await loadRecording(source);
+    } catch (error) {
+      showError('Failed to load the session recording', `${source}: ${error.message}`, [], () => replaySession(source).catch(() => {}));
+      throw error;
+    }
+  }
+
+  let onComplete;
+  const finished = new Promise((resolve) => { onComplete = resolve; });
+  await loadScene(recording.sceneName, { updateURL: false, replay: { recording, onComplete } });
+  return finished;
+}
+
+/**
+ * Open a deep link: go to its view if its scene is loaded, otherwise load the scene at the view
+ * @param {object} link - Deep link from parseDeepLink (see deep-link.js)
+ * @returns {Promise<SparkScene>}
+ */
+export function openDeepLink(link) {
+  if (currentScene?.name === link.scene && !loadAbortController) {
+    applyDeepLink(currentScene.sparkScene, link);
+    return Promise.resolve(currentScene.sparkScene);
+  }
+  return loadScene(link.scene, { updateURL: false, deepLink: link });
+}
+
+/**
+ * Create an error for the load failure screen
+ * @param {string} message - Short error message
+ * @param {object} options - Options
+ * @param {string} options.details - Longer explanation, e.g. which asset failed (optional)
+ * @param {Array<{label: string, href: string}>} options.links - Links offered to the user (optional)
+ * @param {boolean} options.retry - Offer to try again (default: true)
+ * @param {Error} options.cause - Underlying error (optional)
+ * @returns {Error}
+ */
+function loadError(message, { details = "", links = [], retry = true, cause } = {}) {
+  const error = new Error(message, { cause });
+  error.details = details;
+  error.links = links;
+  error.retry = retry;
+  return error;
+}
+
+/**
+ * Show the load failure screen, with a button to try loading the scene again
+ * @param {string} sceneName - Name of the scene that failed to load
+ * @param {object} options - Options the scene was loaded with
+ * @param {Error} error - The failure (see loadError)
+ */
+function showLoadError(sceneName, options, error) {
+  console.error(`Failed to load scene "${sceneName}":`, error);
+
+  // Errors not created by loadError get a generic headline with the error as details
+  const fromLoader = error.details !== undefined;
+  const message = fromLoader ? error.message : `Failed to load scene "${sceneName}"`;
+  const details = fromLoader ? error.details : error.message;
+  const onRetry = error.retry === false
+    ? null
+    : () => loadScene(sceneName, options).catch(() => {}); // A new failure shows the screen again
+  showError(message, details, error.links || [], onRetry);
+}
+
+/**
+ * Describe content that failed to load while the scene itself loaded
+ * @param {Array<{name: string, error: Error}>} failedSubsystems - Optional subsystems whose init failed
+ * @param {Array<{phase: string, url: string, error: Error}>} failedAssets - Assets that failed to load
+ * @returns {string|null} - Notice text, or null if nothing failed
+ */
+function describeDegradedContent(failedSubsystems, failedAssets) {
+  const lines = [
+    ...failedSubsystems.map(({ name }) => `- ${name}`),
+    ...failedAssets.map(({ phase, url }) => `- ${phase}: ${url ? decodeURIComponent(url.split('/').pop()) : 'unknown asset'}`),
+  ];
+  if (lines.length === 0) return null;
+  return `Some content could not be loaded. The scene works without it:\n${lines.join('\n')}`;
+}
+
+/**
+ * Dispose the subsystems of the current scene, then the scene itself
+ * Subsystems are disposed before disposeSparkScene() frees the physics world they use
+ */
+async function unloadCurrentScene() {
+  if (!currentScene) return;
+
+  const { name, sparkScene, context } = currentScene;
+  currentScene = null;
+
+  // Stop rendering first so no update runs against half-disposed state
+  sparkScene.renderer.setAnimationLoop(null);
+
+  // A recording or replay covers a single scene
+  stopReplay();
+  stopRecording();
+
+  await disposeSubsystems(context);
+  disposeSparkScene(sparkScene);
+  clearNotices();
+  console.log(`✓ Unloaded scene "${name}"`);
+  emit(EVENTS.SCENE_UNLOADED, { sceneName: name });
+}
+
+/**
+ * Load a scene and start its animation loop
+ * @param {string} sceneName - Name of the scene in the scene registry
+ * @param {object} options - See loadScene()
+ * @param {AbortSignal} options.signal - Aborted when another scene is requested
+ * @returns {Promise<SparkScene>}
+ */
+async function loadSceneInternal(sceneName, options = {}) {
+  const { updateURL = true, signal, record = false, replay = null, deepLink = null } = options;
+
+  const sceneEntry = getSceneEntry(sceneName);
+  if (!sceneEntry) {
+    throw loadError(`Unknown scene "${sceneName}"`, {
+      details: `Available scenes: ${getSceneNames().join(', ')}`,
+      links: getSceneNames().map((name) => ({ label: SCENES[name].displayName, href: `?scene=${encodeURIComponent(name)}` })),
+      retry: false,
+    });
+  }
+
+  if (updateURL) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('scene', sceneName);
+    url.hash = ''; // A deep link is for the scene it names
+    window.history.replaceState(null, '', url);
+  }
+
+  // Load scene-specific config
+  const sceneConfig = await sceneEntry.loadConfig();
+  const { SCENE_CONFIG, CONTROLS_CONFIG, RENDER_CONFIG, ASSETS_CONFIG } = sceneConfig;
+
+  // Create asset resolver with scene-specific config
+  // The function will first check the scene directory, then the local filesystem, and finally
+  // the CDN. Paths are located in the config.js file.
+  const checkSceneAssets = createCheckSceneAssets(sceneName, ASSETS_CONFIG);
+
+  // Downloaded assets are kept in Cache Storage so the next visit loads without the network
+  configureAssetCache(ASSETS_CONFIG.offlineCache);
+
+  // Validate config.js and the JSON config files. Problems are always logged;
+  // in strict mode any error stops the scene from loading
+  const problems = await validateSceneConfigs(SCENE_CONFIG, checkSceneAssets);
+  problems.forEach((problem) => {
+    const log = problem.severity === 'error' ? console.error : console.warn;
+    log(`Config ${problem.severity}: ${formatProblem(problem)}`);
+  });
+  if (SCENE_CONFIG.flags.strictConfigValidation && hasErrors(problems)) {
+    const errors = problems.filter((problem) => problem.severity === 'error');
+    throw loadError(`Invalid configuration for scene "${sceneName}"`, {
+      details: errors.map(formatProblem).join('\n'),
+    });
+  }
+
+  // Show progress overlay. Every asset loaded from here on (splats, meshes, audio)
+  // reports to the loading manager, which drives one progress bar
+  showProgress("Loading scene...");
+  startLoading((progress, loadedBytes, totalBytes, label) => {
+    setProgressMessage(label);
+    updateProgress(progress, loadedBytes, totalBytes);
+  });
+
+  let sparkScene;
+  let context;
+  let results;
+  let failedAssets;
+  try {
+    // Create the renderer and camera; splats are added once downloaded
+    const splatURL = await checkSceneAssets(SCENE_CONFIG.sceneSpzFileName);
+    sparkScene = setupSparkScene(RENDER_CONFIG);
+
+    // Shared state handed to every subsystem (see subsystems.js)
+    context = {
+      sceneName,
+      sparkScene,
+      sceneConfig: SCENE_CONFIG,
+      config: sceneConfig,
+      checkSceneAssets,
+      subsystems: [],
+    };
+
+    // Track the scene as soon as it exists so a failed load can still be unloaded
+    currentScene = { name: sceneName, sparkScene, config: sceneConfig, context };
+
+    // Set player starting position from config
+    sparkScene.localFrame.position.set(
+      SCENE_CONFIG.playerStartPosition.x,
+      SCENE_CONFIG.playerStartPosition.y,
+      SCENE_CONFIG.playerStartPosition.z
+    );
+
+    // Initialize VR if enabled
+    if (SCENE_CONFIG.flags.enableVR) {
+      initializeVR(sparkScene, {}, RENDER_CONFIG);
+    }
+
+    // Controls get reset if initializing VR so set control speed after
+    sparkScene.controls.fpsMovement.moveSpeed *= CONTROLS_CONFIG.moveSpeedMultiplier;
+
+    // Download the splats while audio, physics, objects, HUD, ... initialize (in dependency order)
+    const splatTracker = trackAsset('splats', splatURL);
+    const splatsLoaded = loadSplats(sparkScene, splatURL, {
+      onProgress: (progress, loadedBytes, totalBytes) => splatTracker.progress(loadedBytes, totalBytes),
+      signal,
+    }).then((gsplatscene) => {
+      splatTracker.done();
+      // Apply scene rotation from config (the collisions subsystem applies it to the collision mesh)
+      gsplatscene.rotation.set(
+        SCENE_CONFIG.sceneRotation.x,
+        SCENE_CONFIG.sceneRotation.y,
+        SCENE_CONFIG.sceneRotation.z
+      );
+      return gsplatscene;
+    }, (error) => {
+      splatTracker.fail(error);
+      if (signal?.aborted) throw error;
+      // The scene is unusable without its splats
+      throw loadError('Failed to load the scene splats', { details: `${splatURL}\n${error.message}`, cause: error });
+    });
+
+    // Subsystems that need the splats themselves (e.g. the splat collision proxy) wait for them
+    context.splatsLoaded = splatsLoaded;
+
+    // Wait for both, so a failure never leaves subsystems initializing in the background
+    results = await Promise.allSettled([splatsLoaded, initializeSubsystems(context)]);
+  } finally {
+    // Also end the loading session when setting up the scene throws, so the next load starts a clean one
+    failedAssets = finishLoading();
+  }
+  const failure = results.find((result) => result.status === 'rejected');
+  if (failure) {
+    await unloadCurrentScene();
+    throw failure.reason;
+  }
+
+  // Hide progress overlay
+  hideProgress();
+
+  // Non-critical content (audio, objects, lighting, collision mesh, ...) may have failed
+  const degradedNotice = describeDegradedContent(context.failedSubsystems, failedAssets);
+  if (degradedNotice) {
+    console.warn(degradedNotice);
+    showNotice(degradedNotice);
+  }
+
+  // Opened from a link: start at its view, with its toggles
+  if (deepLink) {
+    applyDeepLink(sparkScene, deepLink);
+  }
+
+  // with VR, we need to wait for a user gesture to start music.  Otherwise, start music immediately.
+  if (!sparkScene.xrHands) {
+    await turnMusicOn();
+  }
+
+  // Start animation loop
+  startAnimationLoop(sparkScene, (sparkSceneIn, time, deltaTime) => {
+    updateSubsystems(context, deltaTime, time);
+  });
+
+  // Start before the first frame so the physics replays from the same state
+  if (record) {
+    startRecording(sceneName);
+  } else if (replay) {
+    startReplay(replay.recording, { onComplete: replay.onComplete });
+  }
+
+  console.log(`✓ Loaded scene "${sceneName}"`);
+  emit(EVENTS.SCENE_LOADED, { sceneName });
+  return sparkScene;
+}
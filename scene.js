@@ -1,86 +1,41 @@
 import * as THREE from "three";
 import { NewSparkRenderer, SplatMesh, SparkControls, VRButton, XrHands } from "@sparkjsdev/spark";
+import { fetchAsset } from "./asset-cache.js";
+import { SparkScene } from "./spark-scene.js";
+import { recordFrame, replayFrame } from "./session-recorder.js";
 
+export { SparkScene };
 
 /**
- *  Primary datascructure for all the scene state
- * 
- */
-
-export class SparkScene {
-  constructor() {
-    this.scene = null;
-    this.renderer = null;
-    this.camera = null;
-    this.localFrame = null;
-    this.spark = null;
-    this.gsplatscene = null;
-    this.collisionmesh = null;
-    this.physicsWorld = null;
-    this.collisionMeshes = [];
-    this.dynamicObjects = new Map();
-    this.controls = null;
-    this.xrHands = null;
-  }
-}
-
-/**
- * Fetch a file with progress tracking
- * @param {string} url - URL to fetch
- * @param {function} onProgress - Callback (progress, loadedBytes, totalBytes)
- * @returns {Promise<ArrayBuffer>} - File bytes
+ * Create a Spark scene with gaussian splat background
+ * @param {string} backgroundURL - URL to the SPZ file
+ * @param {object} options - Options
+ * @param {function} options.onProgress - Progress callback (progress, loadedBytes, totalBytes)
+ * @param {AbortSignal} options.signal - Cancels the splat download (optional)
+ * @param {object} renderConfig - Render configuration (see setupSparkScene)
+ * @returns {Promise<SparkScene>}
  */
-async function fetchWithProgress(url, onProgress) {
-  const response = await fetch(url);
-  
-  if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`);
-  }
-  
-  const contentLength = response.headers.get('content-length');
-  const totalBytes = contentLength ? parseInt(contentLength, 10) : null;
-  
-  const reader = response.body.getReader();
-  const chunks = [];
-  let loadedBytes = 0;
-  
-  while (true) {
-    const { done, value } = await reader.read();
-    
-    if (done) break;
-    
-    chunks.push(value);
-    loadedBytes += value.length;
-    
-    if (onProgress) {
-      const progress = totalBytes ? loadedBytes / totalBytes : loadedBytes / (loadedBytes + 10 * 1024 * 1024);
-      onProgress(progress, loadedBytes, totalBytes);
-    }
-  }
-  
-  // Combine chunks into single ArrayBuffer
-  const result = new Uint8Array(loadedBytes);
-  let offset = 0;
-  for (const chunk of chunks) {
-    result.set(chunk, offset);
-    offset += chunk.length;
+export async function createSparkScene(backgroundURL, options = {}, renderConfig = {}) {
+  const sparkScene = setupSparkScene(renderConfig);
+  try {
+    await loadSplats(sparkScene, backgroundURL, options);
+  } catch (error) {
+    // Don't leave a half-built renderer behind when the download fails or is aborted
+    disposeSparkScene(sparkScene);
+    throw error;
   }
-  
-  return result.buffer;
+  return sparkScene;
 }
 
 /**
- * Create a Spark scene with gaussian splat background
- * @param {string} backgroundURL - URL to the SPZ file
- * @param {object} options - Options
- * @param {function} options.onProgress - Progress callback (progress, loadedBytes, totalBytes)
+ * Create the renderer, camera, controls and Spark renderer of a scene, without splats.
+ * Lets other assets load while the splats download (see loadSplats).
  * @param {object} renderConfig - Render configuration
  * @param {number} renderConfig.maxStdDev - Maximum standard deviation for splat rendering
  * @param {number} renderConfig.lodSplatScale - LOD splat scale factor
- * @returns {Promise<SparkScene>}
+ * @returns {SparkScene}
  */
-export async function createSparkScene(backgroundURL, options = {}, renderConfig = {}) {
-  const { onProgress } = options;
+export function setupSparkScene(renderConfig = {}) {
   const {
     maxStdDev = Math.sqrt(5),
     lodSplatScale = 2.0,
@@ -109,32 +64,13 @@ export async function createSparkScene(backgroundURL, options = {}, renderConfig
   sparkScene.scene.add(sparkScene.spark);
   sparkScene.localFrame.add(sparkScene.camera);
   
-  // Load main scene with progress tracking
-  console.log('splatURL', backgroundURL);
-  
-  let splatOptions = { lod: false, nonLod: true };
-  
-  if (onProgress) {
-    // Fetch with progress tracking, then pass bytes to SplatMesh
-    const fileBytes = await fetchWithProgress(backgroundURL, onProgress);
-    splatOptions.fileBytes = fileBytes;
-  } else {
-    // Direct URL loading (no progress)
-    splatOptions.url = backgroundURL;
-  }
-  
-  sparkScene.gsplatscene = new SplatMesh(splatOptions);
-  sparkScene.gsplatscene.position.set(0, 0, 0);
-  sparkScene.scene.add(sparkScene.gsplatscene);
-  
-  
-  // Window resize handler
-  window.addEventListener('resize', onWindowResize, false);
-  function onWindowResize() {
+  // Window resize handler (kept on the scene so disposeSparkScene can remove it)
+  sparkScene.resizeHandler = function onWindowResize() {
     sparkScene.camera.aspect = window.innerWidth / window.innerHeight;
     sparkScene.camera.updateProjectionMatrix();
     sparkScene.renderer.setSize(window.innerWidth, window.innerHeight);
-  }
+  };
+  window.addEventListener('resize', sparkScene.resizeHandler, false);
 
   // Controls setup
   sparkScene.controls = new SparkControls({ canvas: sparkScene.renderer.domElement });
@@ -142,6 +78,28 @@ export async function createSparkScene(backgroundURL, options = {}, renderConfig
   return sparkScene;
 }
 
+/**
+ * Download the splats and add them to the scene as sparkScene.gsplatscene
+ * @param {SparkScene} sparkScene - Scene created by setupSparkScene
+ * @param {string} backgroundURL - URL to the SPZ file
+ * @param {object} options - Options
+ * @param {function} options.onProgress - Progress callback (progress, loadedBytes, totalBytes)
+ * @param {AbortSignal} options.signal - Cancels the splat download (optional)
+ * @returns {Promise<SplatMesh>}
+ */
+export async function loadSplats(sparkScene, backgroundURL, options = {}) {
+  const { onProgress, signal } = options;
+  console.log('splatURL', backgroundURL);
+  
+  // Fetch with progress tracking (from the asset cache if possible), then pass bytes to SplatMesh
+  const fileBytes = await fetchAsset(backgroundURL, { onProgress, signal });
+  
+  sparkScene.gsplatscene = new SplatMesh({ lod: false, nonLod: true, fileBytes });
+  sparkScene.gsplatscene.position.set(0, 0, 0);
+  sparkScene.scene.add(sparkScene.gsplatscene);
+  return sparkScene.gsplatscene;
+}
+
 /**
  * Initialize VR support for the scene
  * @param {SparkScene} sparkScene - The spark scene
@@ -161,6 +119,7 @@ export function initializeVR(sparkScene, options = {}, renderConfig = {}) {
   
   if (vrButton) {
     document.body.appendChild(vrButton);
+    sparkScene.vrButton = vrButton;
     
     const xrHands = new XrHands();
     sparkScene.xrHands = xrHands;
@@ -178,27 +137,126 @@ export function initializeVR(sparkScene, options = {}, renderConfig = {}) {
   sparkScene.renderer.xr.setFramebufferScaleFactor(xrFramebufferScaleFactor);
 }
 
+/**
+ * Start the render loop
+ * While a session recording replays (see session-recorder.js), each frame takes its time,
+ * poses and input from the recording instead of the clock, controls and headset.
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {function} animLoopHook - Called every frame with (sparkScene, time, deltaTime):
+ *   time in milliseconds, deltaTime in seconds since the previous frame (0 on the first frame)
+ */
 export function startAnimationLoop(sparkScene, animLoopHook) {
   const CAMERA_DISCONTINUITY_THRESHOLD = 0.5;
   let lastCameraPos = new THREE.Vector3(0, 0, 0);
+  let lastTime = null;
 
   sparkScene.renderer.setAnimationLoop(function animate(time, xrFrame) {
-    // Local frame compensation for WebXR (Quest 3 and Vision Pro)
-    if (lastCameraPos.distanceTo(sparkScene.camera.position) > CAMERA_DISCONTINUITY_THRESHOLD) {
-      sparkScene.localFrame.position.copy(sparkScene.camera.position).multiplyScalar(-1);
+    let deltaTime;
+    const replayed = replayFrame(sparkScene);
+    if (replayed) {
+      ({ time, deltaTime } = replayed);
+      lastTime = null; // Restart the clock when the replay ends
+    } else {
+      deltaTime = lastTime !== null ? (time - lastTime) / 1000 : 0; // Convert to seconds
+      lastTime = time;
+
+      // Local frame compensation for WebXR (Quest 3 and Vision Pro)
+      if (lastCameraPos.distanceTo(sparkScene.camera.position) > CAMERA_DISCONTINUITY_THRESHOLD) {
+        sparkScene.localFrame.position.copy(sparkScene.camera.position).multiplyScalar(-1);
+      }
+      recordFrame(sparkScene, time, deltaTime);
     }
     lastCameraPos.copy(sparkScene.camera.position);
 
-    // Call HUD update callback if provided
-    animLoopHook(sparkScene, time);
+    // Run per-frame updates (subsystems, HUD, ...)
+    animLoopHook(sparkScene, time, deltaTime);
 
 
-    sparkScene.controls.update(sparkScene.localFrame);
-    // Update WebXR hands if active
-    if (sparkScene.renderer.xr.isPresenting && sparkScene.xrHands) {
-        sparkScene.xrHands.update({ xr: sparkScene.renderer.xr, xrFrame });
+    if (!replayed) {
+      sparkScene.controls.update(sparkScene.localFrame);
+      // Update WebXR hands if active
+      if (sparkScene.renderer.xr.isPresenting && sparkScene.xrHands) {
+          sparkScene.xrHands.update({ xr: sparkScene.renderer.xr, xrFrame });
+      }
     }
 
     sparkScene.renderer.render(sparkScene.scene, sparkScene.camera);
   });
 }
+
+/**
+ * Dispose a material and any textures it references
+ * @param {THREE.Material} material - The material to dispose
+ */
+function disposeMaterial(material) {
+  for (const value of Object.values(material)) {
+    if (value && value.isTexture) {
+      value.dispose();
+    }
+  }
+  material.dispose();
+}
+
+/**
+ * Tear down a Spark scene: stops the animation loop and releases GPU resources,
+ * the physics world and DOM listeners. Module-level state of the individual systems
+ * (audio, lighting, objects, ...) is released by their own dispose functions.
+ * @param {SparkScene} sparkScene - The spark scene to dispose
+ */
+export function disposeSparkScene(sparkScene) {
+  if (!sparkScene.renderer) return; // Already disposed
+
+  sparkScene.renderer.setAnimationLoop(null);
+
+  // End a running VR session so the headset does not keep showing a frozen frame
+  const xrSession = sparkScene.renderer.xr.getSession();
+  if (xrSession) {
+    xrSession.end().catch(() => {});
+  }
+
+  if (sparkScene.resizeHandler) {
+    window.removeEventListener('resize', sparkScene.resizeHandler, false);
+    sparkScene.resizeHandler = null;
+  }
+
+  if (sparkScene.vrButton) {
+    sparkScene.vrButton.remove();
+    sparkScene.vrButton = null;
+  }
+
+  // Release geometries, materials and textures of everything in the scene
+  sparkScene.scene.traverse((child) => {
+    if (child.geometry) {
+      child.geometry.dispose();
+    }
+    // Collision meshes keep their original material while showing a wireframe
+    const materials = [child.material, child.userData.originalMaterial].flat().filter(Boolean);
+    materials.forEach(disposeMaterial);
+  });
+
+  sparkScene.gsplatscene?.dispose?.();
+  sparkScene.spark?.dispose?.();
+
+  if (sparkScene.physicsWorld) {
+    sparkScene.physicsWorld.free();
+    sparkScene.physicsWorld = null;
+  }
+  sparkScene.collisionMeshes = [];
+  sparkScene.dynamicObjects.clear();
+
+  sparkScene.scene.clear();
+  sparkScene.renderer.dispose();
+  sparkScene.renderer.domElement.remove();
+
+  sparkScene.scene = null;
+  sparkScene.renderer = null;
+  sparkScene.camera = null;
+  sparkScene.localFrame = null;
+  sparkScene.spark = null;
+  sparkScene.gsplatscene = null;
+  sparkScene.collisionmesh = null;
+  sparkScene.controls = null;
+  sparkScene.xrHands = null;
+
+  console.log("✓ Spark scene disposed");
+}
@@ -67,6 +67,16 @@ export const SCENE_CONFIG = {
     z: -6.13, // Start in the bedroom
   },
   
+  // Named viewpoints for the keys 1-9 and the viewpoints menu (see viewpoints.js)
+  viewpoints: [
+    { name: 'Bedroom', position: { x: -2, y: 7, z: -6.13 }, yaw: 0, pitch: 0 },
+    { name: 'Lounge', position: { x: -3.12, y: 7, z: -11.06 }, yaw: 0, pitch: 0 },
+    { name: 'Corridor', position: { x: 0.34, y: 7, z: -0.03 }, yaw: 0, pitch: 0 },
+    { name: 'Engine room', position: { x: 10.74, y: 7, z: 0.28 }, yaw: 0, pitch: 0 },
+    { name: 'Kitchen', position: { x: -37.25, y: 7.5, z: 8.71 }, yaw: 0, pitch: 0 },
+    { name: 'Machine room', position: { x: -27.72, y: 7, z: 23.1 }, yaw: 0, pitch: 0 },
+  ],
+  
   // Feature flags
   flags: {
     // Enable VR support (WebXR with hand tracking)
@@ -86,6 +96,13 @@ export const SCENE_CONFIG = {
     
     // Enable lighting system (loads lights from lighting-config.json)
     enableLighting: true,
+
+    // Enable the roaming droid (loads waypoints from robot-config.json)
+    enableRobot: false,
+
+    // Refuse to load the scene if config.js or a JSON config file is invalid
+    // (problems are always reported in the console)
+    strictConfigValidation: false,
   },
 };
 
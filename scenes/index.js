@@ -0,0 +1,49 @@
+// Scene registry
+// Lists every scene under scenes/ along with the metadata used to pick one.
+// To add a scene, create scenes/<scene-name>/config.js and add an entry here.
+
+// Scene loaded when no ?scene= query parameter is given
+export const DEFAULT_SCENE = 'cozyship';
+
+export const SCENES = {
+  cozyship: {
+    displayName: 'Cozy Ship',
+    description: 'A small, cozy spaceship with walkable decks, kickable balls and spatial audio.',
+    // Preview image shown in scene pickers (optional)
+    thumbnail: null,
+    loadConfig: () => import('./cozyship/config.js'),
+  },
+  worldship: {
+    displayName: 'World Ship',
+    description: 'A massive generation ship explored along a guided path of waypoints.',
+    thumbnail: null,
+    loadConfig: () => import('./worldship/config.js'),
+  },
+};
+
+/**
+ * Get the names of all registered scenes
+ * @returns {string[]} - Scene names
+ */
+export function getSceneNames() {
+  return Object.keys(SCENES);
+}
+
+/**
+ * Get the registry entry for a scene
+ * @param {string} sceneName - Name of the scene
+ * @returns {object|null} - Scene entry or null if the scene is not registered
+ */
+export function getSceneEntry(sceneName) {
+  return Object.hasOwn(SCENES, sceneName) ? SCENES[sceneName] : null;
+}
+
+/**
+ * Read the requested scene name from the page URL (?scene=<name>)
+ * @param {string} search - Query string to parse (default: window.location.search)
+ * @returns {string} - Requested scene name, or DEFAULT_SCENE if none was given
+ */
+export function getSceneNameFromURL(search = window.location.search) {
+  const sceneName = new URLSearchParams(search).get('scene');
+  return sceneName ? sceneName.trim() : DEFAULT_SCENE;
+}
@@ -61,13 +61,18 @@ export const SCENE_CONFIG = {
     z: 0.46, 
   },
   
+  // Named viewpoints for the keys 1-9 and the viewpoints menu (see viewpoints.js)
+  viewpoints: [
+    { name: 'Start', position: { x: 1.63, y: 3.43, z: 0.46 }, yaw: 0, pitch: 0 },
+  ],
+  
   // Feature flags
   flags: {
     // Enable VR support (WebXR with hand tracking)
     enableVR: true,
     
     // Enable physics system (collisions, character physics)
-    enablePhysics: false,
+    enablePhysics: true,
     
     // Enable SDF hands (allows "touching" of the scene in VR)
     enableHands: true,
@@ -80,6 +85,13 @@ export const SCENE_CONFIG = {
     
     // Enable lighting system (loads lights from lighting-config.json)
     enableLighting: false,
+
+    // Enable the roaming droid (loads waypoints from robot-config.json)
+    enableRobot: false,
+
+    // Refuse to load the scene if config.js or a JSON config file is invalid
+    // (problems are always reported in the console)
+    strictConfigValidation: false,
   },
 };
 
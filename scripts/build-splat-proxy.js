@@ -0,0 +1,60 @@
+// Build the splat collision proxy of a scene offline (see splat-proxy.js), so browsers load
+// the voxel grid instead of building it from the splats on the first visit
+// Usage: node scripts/build-splat-proxy.js <scene-name> [path/to/splats.spz]
+// The splats are read from the given file, the scene's public assets directory or the CDN.
+// The grid is written to public/scenes/<scene-name>/assets/.
+
+import { readFile, writeFile, access } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { SCENES, getSceneNames } from '../scenes/index.js';
+import { SPLAT_PROXY_DEFAULTS, createVoxelGrid, encodeVoxelGrid, readSpzSplats, getSplatProxyFileName } from '../splat-proxy.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Read the splat file of a scene
+ * @param {string} sceneName - Name of the scene
+ * @param {object} sceneConfig - The scene's config.js module
+ * @param {string} splatPath - Splat file given on the command line (optional)
+ * @returns {Promise<Uint8Array>}
+ */
+async function readSplats(sceneName, { SCENE_CONFIG, ASSETS_CONFIG }, splatPath) {
+  const localPath = splatPath ?? path.join(rootDir, 'public', 'scenes', sceneName, 'assets', SCENE_CONFIG.sceneSpzFileName);
+  try {
+    await access(localPath);
+    console.log(`Reading splats from ${path.relative(rootDir, localPath)}`);
+    return new Uint8Array(await readFile(localPath));
+  } catch (error) {
+    if (splatPath) throw error;
+  }
+
+  const url = `${ASSETS_CONFIG.cdnBaseUrl ?? 'https://public-spz.t3.storage.dev'}/${SCENE_CONFIG.sceneSpzFileName}`;
+  console.log(`Downloading splats from ${url}`);
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP status ${response.status} for ${url}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+const [sceneName, splatPath] = process.argv.slice(2);
+if (!SCENES[sceneName]) {
+  console.error(`Usage: node scripts/build-splat-proxy.js <${getSceneNames().join('|')}> [path/to/splats.spz]`);
+  process.exit(1);
+}
+
+const sceneConfig = await SCENES[sceneName].loadConfig();
+const options = { ...SPLAT_PROXY_DEFAULTS, ...sceneConfig.SCENE_CONFIG.splatProxy };
+const bytes = await readSplats(sceneName, sceneConfig, splatPath);
+
+const splats = await readSpzSplats(bytes);
+const grid = createVoxelGrid(splats.forEachSplat, options);
+if (grid.solid.size === 0) {
+  console.error('✗ No solid voxels (lower splatProxy.minOpacity or minSplatsPerVoxel)');
+  process.exit(1);
+}
+
+const outputPath = path.join(rootDir, 'public', 'scenes', sceneName, 'assets', getSplatProxyFileName(sceneConfig.SCENE_CONFIG));
+await writeFile(outputPath, JSON.stringify(encodeVoxelGrid(grid)));
+console.log(`✓ ${splats.count} splats -> ${grid.solid.size} solid voxels of ${options.voxelSize}m, written to ${path.relative(rootDir, outputPath)}`);
@@ -0,0 +1,105 @@
+// Validate the config.js and JSON config files of every registered scene
+// Usage: node scripts/validate-configs.js [scene-name ...]
+
+import { readFile, access } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { SCENES, getSceneNames } from '../scenes/index.js';
+import { validateConfig, formatProblem, hasErrors, CONFIG_FILE_KINDS } from '../config-validation.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Find a scene config file where the browser would find it: the scene directory,
+ * then the scene's public assets directory
+ * @param {string} sceneName - Name of the scene
+ * @param {string} file - Config file name
+ * @returns {Promise<string|null>} - Path of the file or null if not found
+ */
+async function findConfigFile(sceneName, file) {
+  const candidates = [
+    path.join(rootDir, 'scenes', sceneName, file),
+    path.join(rootDir, 'public', 'scenes', sceneName, 'assets', file),
+  ];
+  for (const candidate of candidates) {
+    try {
+      await access(candidate);
+      return candidate;
+    } catch {
+      // Try the next location
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate one scene
+ * @param {string} sceneName - Name of the scene
+ * @returns {Promise<object[]>} - Problems found, with file names relative to the repo
+ */
+async function validateScene(sceneName) {
+  const { SCENE_CONFIG, ASSETS_CONFIG } = await SCENES[sceneName].loadConfig();
+  const problems = validateConfig('scene', SCENE_CONFIG, `scenes/${sceneName}/config.js`);
+
+  for (const [key, file] of Object.entries(SCENE_CONFIG.configFiles || {})) {
+    const kind = CONFIG_FILE_KINDS[key];
+    if (!kind) continue;
+
+    const filePath = await findConfigFile(sceneName, file);
+    const displayName = filePath ? path.relative(rootDir, filePath) : `scenes/${sceneName}/${file}`;
+    if (!filePath) {
+      // The browser falls back to the CDN, which cannot be checked from here
+      problems.push({ file: displayName, path: '', message: 'not found locally (may be served from the CDN)', severity: 'warning' });
+      continue;
+    }
+
+    try {
+      const data = JSON.parse(await readFile(filePath, 'utf8'));
+      problems.push(...validateConfig(kind, data, displayName));
+    } catch (error) {
+      problems.push({ file: displayName, path: '', message: `invalid JSON (${error.message})`, severity: 'error' });
+    }
+  }
+
+  const manifestFile = ASSETS_CONFIG?.manifestFile;
+  if (manifestFile) {
+    const filePath = await findConfigFile(sceneName, manifestFile);
+    const displayName = filePath ? path.relative(rootDir, filePath) : `scenes/${sceneName}/${manifestFile}`;
+    if (!filePath) {
+      problems.push({ file: displayName, path: '', message: 'asset manifest not found', severity: 'error' });
+    } else {
+      try {
+        const data = JSON.parse(await readFile(filePath, 'utf8'));
+        problems.push(...validateConfig('assetManifest', data, displayName));
+      } catch (error) {
+        problems.push({ file: displayName, path: '', message: `invalid JSON (${error.message})`, severity: 'error' });
+      }
+    }
+  }
+
+  return problems;
+}
+
+const requested = process.argv.slice(2);
+const sceneNames = requested.length > 0 ? requested : getSceneNames();
+let failed = false;
+
+for (const sceneName of sceneNames) {
+  if (!SCENES[sceneName]) {
+    console.error(`✗ Unknown scene "${sceneName}"`);
+    failed = true;
+    continue;
+  }
+
+  const problems = await validateScene(sceneName);
+  const errors = problems.filter((problem) => problem.severity === 'error');
+  const warnings = problems.length - errors.length;
+
+  console.log(`${hasErrors(problems) ? '✗' : '✓'} ${sceneName}: ${errors.length} error(s), ${warnings} warning(s)`);
+  for (const problem of problems) {
+    console.log(`  ${problem.severity === 'error' ? 'error  ' : 'warning'} ${formatProblem(problem)}`);
+  }
+  failed = failed || hasErrors(problems);
+}
+
+process.exitCode = failed ? 1 : 0;
@@ -1,5 +1,6 @@
 import * as THREE from "three";
 import { SplatEdit, SplatEditRgbaBlendMode, SplatEditSdf, SplatEditSdfType } from "@sparkjsdev/spark";
+import { getTrackedHands } from "./session-recorder.js";
 
 let splatEdit = null;
 const handSdfs = new Map();
@@ -18,7 +19,9 @@ export function initializeSDFHands(sparkScene) {
 // Update SDF hand tracking each frame
 export function updateSDFHands(sparkScene, time) {
   if (!splatEdit) return;
-  if (!sparkScene.renderer.xr.isPresenting || !sparkScene.xrHands) return;
+  // Tracked XR hands, or the recorded hands while a session replays
+  const hands = getTrackedHands(sparkScene);
+  if (!hands) return;
 
   // Create interactor SDFs for each hand tip
   for (const hand of ["left", "right"]) {
@@ -47,9 +50,9 @@ export function updateSDFHands(sparkScene, time) {
         0.01 * Math.sin(time * 0.009 + index * 3),
       );
 
-      if (sparkScene.xrHands.hands[hand] && sparkScene.xrHands.hands[hand][tip]) {
+      if (hands[hand] && hands[hand][tip]) {
         // Make the SDF follow the hand tips
-        sdf.position.copy(sparkScene.xrHands.hands[hand][tip].position);
+        sdf.position.copy(hands[hand][tip].position);
         splatEdit.add(sdf);
       } else {
         // Remove the SDF when the hand is not detected
@@ -59,3 +62,9 @@ export function updateSDFHands(sparkScene, time) {
   }
 }
 
+// Remove the SDF hand layer
+export function disposeSDFHands() {
+  splatEdit?.removeFromParent();
+  splatEdit = null;
+  handSdfs.clear();
+}
@@ -0,0 +1,661 @@
+// Session Recorder
+// Records a session frame by frame so it can be replayed later, e.g. to reproduce a bug
+// a tester ran into in a headset. Each frame stores the frame time, the localFrame and
+// camera poses and the XR hand joints; between frames the recorder collects key presses
+// and clicks on the toggle buttons and viewpoints, and the systems that poll input add it
+// whenever it changes (gamepad.js the gamepad, throw-hand.js the VR controller grips,
+// turning.js the turns that move the character body). Kicks, throws and grabs are recorded
+// as actions.
+//
+// Replay goes through startAnimationLoop (and the headless simulation): every frame takes
+// its time, poses and hands from the recording instead of the clock, controls and headset,
+// and the recorded input is dispatched again. The physics and triggers then run exactly as
+// they did, as long as the recording started right after its scene loaded (see ?record in
+// main.js) and the replay starts on a freshly loaded scene (see replaySession in
+// scene-loader.js). At the end the replayed actions are compared with the recorded ones.
+//
+// Recordings are stored as a compact binary file: a JSON header (scene, seed, input, actions)
+// followed by the frames as 64-bit floats, gzip-compressed where the browser supports it.
+
+import * as THREE from "three";
+import { on, EVENTS } from "./events.js";
+
+const RECORDING_MAGIC = 'SPRC';
+const RECORDING_VERSION = 1;
+const RECORDING_FILE_EXTENSION = '.sparkrec';
+
+// Hand joints as named by Spark's XrHands: wrist, then thumb (t), index (i), middle (m),
+// ring (r) and pinky (p) from base to tip
+const HAND_JOINTS = [
+  'wrist',
+  't0', 't1', 't2', 't3',
+  'i0', 'i1', 'i2', 'i3', 'i4',
+  'm0', 'm1', 'm2', 'm3', 'm4',
+  'r0', 'r1', 'r2', 'r3', 'r4',
+  'p0', 'p1', 'p2', 'p3', 'p4',
+];
+const HAND_NAMES = ['left', 'right'];
+const JOINT_VALUES = 8; // Position (3), quaternion (4), radius
+const POSE_VALUES = 7; // Position (3), quaternion (4)
+const FRAME_VALUES = 2 + 2 * POSE_VALUES + 1; // time, deltaTime, localFrame, camera, hand mask
+
+// Buttons whose clicks are recorded and replayed. Buttons created at runtime (e.g. in the
+// viewpoints menu) opt in with a data-recorded-click attribute and a stable id
+const RECORDED_BUTTONS = ['audio-toggle', 'hud-toggle', 'physics-toggle', 'path-toggle', 'viewpoints-toggle'];
+const RECORDED_BUTTON_SELECTOR = [...RECORDED_BUTTONS.map((id) => `#${id}`), '[data-recorded-click]'].join(', ');
+
+// Events recorded as actions: event name -> action type
+const RECORDED_ACTIONS = {
+  [EVENTS.OBJECT_KICKED]: 'kick',
+  [EVENTS.OBJECT_THROWN]: 'throw',
+  [EVENTS.OBJECT_GRABBED]: 'grab',
+};
+
+// Recording in progress (see startRecording), and the last finished one
+let activeRecording = null;
+let lastRecording = null;
+let pendingInputs = []; // Input since the last recorded frame
+const lastPolledInputs = new Map(); // type -> JSON of the last recorded polled input
+let stopCapturing = null; // Removes the input and action listeners of the recording
+
+// Replay in progress: { recording, frameIndex, hands, heldKeys, polledInputs, actions, stopListening, onComplete }
+let activeReplay = null;
+
+// State of the seeded random generator while recording or replaying (null: use Math.random)
+let randomState = null;
+
+let recordingButton = null;
+
+/**
+ * Random number in [0, 1) for gameplay that must replay identically (e.g. the spin of a
+ * thrown ball). Seeded from the recording while recording or replaying, Math.random otherwise.
+ * @returns {number}
+ */
+export function sessionRandom() {
+  if (randomState === null) return Math.random();
+
+  // mulberry32
+  randomState = (randomState + 0x6D2B79F5) | 0;
+  let value = randomState;
+  value = Math.imul(value ^ (value >>> 15), value | 1);
+  value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+  return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Start recording the session from the next frame
+ * For a replay to reproduce the physics, start recording before the scene's first frame.
+ * @param {string} sceneName - Scene being recorded (the replay loads it)
+ */
+export function startRecording(sceneName) {
+  if (activeReplay) {
+    throw new Error("Cannot record while a session is replaying");
+  }
+  stopRecording();
+
+  activeRecording = {
+    version: RECORDING_VERSION,
+    sceneName,
+    seed: Math.floor(Math.random() * 0xFFFFFFFF) | 0,
+    startedAt: new Date().toISOString(),
+    frames: [],
+    actions: [],
+  };
+  pendingInputs = [];
+  lastPolledInputs.clear();
+  randomState = activeRecording.seed;
+
+  const onKey = (event) => {
+    pendingInputs.push({ type: event.type, code: event.code, key: event.key });
+  };
+  const onClick = (event) => {
+    const button = event.target.closest?.(RECORDED_BUTTON_SELECTOR);
+    if (button?.id) {
+      pendingInputs.push({ type: 'click', target: button.id });
+    }
+  };
+  window.addEventListener('keydown', onKey, true);
+  window.addEventListener('keyup', onKey, true);
+  document.addEventListener('click', onClick, true);
+  const { frames, actions } = activeRecording;
+  const unsubscribes = listenForActions(actions, () => frames.length - 1);
+
+  stopCapturing = () => {
+    window.removeEventListener('keydown', onKey, true);
+    window.removeEventListener('keyup', onKey, true);
+    document.removeEventListener('click', onClick, true);
+    unsubscribes.forEach((unsubscribe) => unsubscribe());
+  };
+
+  syncRecordingButton();
+  console.log(`- Recording session in scene "${sceneName}"`);
+}
+
+/**
+ * Stop recording
+ * @returns {object|null} - The recording, or null if none was in progress
+ */
+export function stopRecording() {
+  if (!activeRecording) return null;
+
+  stopCapturing();
+  stopCapturing = null;
+  const recording = activeRecording;
+  activeRecording = null;
+  lastRecording = recording;
+  pendingInputs = [];
+  randomState = null;
+
+  syncRecordingButton();
+  console.log(`✓ Recorded ${recording.frames.length} frame(s) and ${recording.actions.length} action(s)`);
+  return recording;
+}
+
+/**
+ * Check if a session is being recorded
+ * @returns {boolean}
+ */
+export function isRecording() {
+  return activeRecording !== null;
+}
+
+/**
+ * Get the recording in progress, or the last finished one
+ * @returns {object|null}
+ */
+export function getRecording() {
+  return activeRecording || lastRecording;
+}
+
+/**
+ * Record a frame. Called by the animation loop before the per-frame updates run.
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {number} time - Frame time in milliseconds
+ * @param {number} deltaTime - Time since the previous frame in seconds
+ */
+export function recordFrame(sparkScene, time, deltaTime) {
+  if (!activeRecording) return;
+
+  const liveHands = sparkScene.renderer?.xr.isPresenting && sparkScene.xrHands ? sparkScene.xrHands.hands : null;
+  activeRecording.frames.push({
+    time,
+    deltaTime,
+    localFrame: getPose(sparkScene.localFrame),
+    camera: getPose(sparkScene.camera),
+    hands: Object.fromEntries(HAND_NAMES.map((hand) => [hand, getHandJoints(liveHands?.[hand])])),
+    inputs: pendingInputs,
+  });
+  pendingInputs = [];
+}
+
+/**
+ * Record input that is polled during the per-frame updates instead of arriving as a DOM
+ * event (e.g. gamepad state). Call it every frame; only changes are recorded. The input
+ * belongs to the frame being updated, so the replay applies it before that frame's updates.
+ * @param {object} input - { type, ... } plain JSON data, e.g. { type: 'gamepad', axes, buttons }
+ */
+export function recordPolledInput(input) {
+  const frame = activeRecording?.frames.at(-1);
+  if (!frame) return;
+
+  const json = JSON.stringify(input);
+  if (lastPolledInputs.get(input.type) === json) return;
+  lastPolledInputs.set(input.type, json);
+  frame.inputs.push(input);
+}
+
+/**
+ * Get the replayed state of a polled input (see recordPolledInput)
+ * @param {string} type - Input type, e.g. 'gamepad'
+ * @returns {object|null} - The last recorded input of that type up to the replayed frame, or
+ *   null if nothing is replaying or no such input was recorded yet
+ */
+export function getReplayedInput(type) {
+  return activeReplay?.polledInputs.get(type) ?? null;
+}
+
+/**
+ * Subscribe to the recorded action events
+ * @param {Array} actions - Receives { frame, type, name } for every action
+ * @param {function} getFrame - Returns the index of the current frame
+ * @returns {function[]} - Unsubscribe functions
+ */
+function listenForActions(actions, getFrame) {
+  return Object.entries(RECORDED_ACTIONS).map(([event, type]) =>
+    on(event, ({ name }) => actions.push({ frame: getFrame(), type, name }))
+  );
+}
+
+/**
+ * Get the pose of an object
+ * @param {THREE.Object3D} object
+ * @returns {number[]} - [x, y, z, qx, qy, qz, qw]
+ */
+function getPose(object) {
+  return [...object.position.toArray(), ...object.quaternion.toArray()];
+}
+
+/**
+ * Apply a recorded pose to an object
+ * @param {THREE.Object3D} object
+ * @param {number[]} pose - [x, y, z, qx, qy, qz, qw]
+ */
+function setPose(object, pose) {
+  object.position.fromArray(pose, 0);
+  object.quaternion.fromArray(pose, 3);
+}
+
+/**
+ * Flatten the joints of a tracked hand
+ * @param {object} hand - Joint name -> { position, quaternion, radius }, or null if not tracked
+ * @returns {number[]|null} - JOINT_VALUES numbers per joint in HAND_JOINTS order (NaN for missing joints)
+ */
+function getHandJoints(hand) {
+  if (!hand) return null;
+
+  const values = new Array(HAND_JOINTS.length * JOINT_VALUES).fill(NaN);
+  HAND_JOINTS.forEach((jointName, index) => {
+    const joint = hand[jointName];
+    if (!joint) return;
+    const offset = index * JOINT_VALUES;
+    joint.position.toArray(values, offset);
+    if (joint.quaternion) {
+      joint.quaternion.toArray(values, offset + 3);
+    }
+    values[offset + 7] = joint.radius ?? 0;
+  });
+  return values;
+}
+
+/**
+ * Update replayed hands from recorded joints
+ * @param {object|null} hand - Joint objects of the previous frame, reused if present
+ * @param {number[]|null} values - Recorded joints (see getHandJoints)
+ * @returns {object|null} - Joint name -> { position, quaternion, radius }, like XrHands
+ */
+function setHandJoints(hand, values) {
+  if (!values) return null;
+
+  const joints = hand || {};
+  HAND_JOINTS.forEach((jointName, index) => {
+    const offset = index * JOINT_VALUES;
+    if (Number.isNaN(values[offset])) {
+      delete joints[jointName];
+      return;
+    }
+    const joint = joints[jointName] || (joints[jointName] = {
+      position: new THREE.Vector3(),
+      quaternion: new THREE.Quaternion(),
+      radius: 0,
+    });
+    joint.position.fromArray(values, offset);
+    if (!Number.isNaN(values[offset + 3])) {
+      joint.quaternion.fromArray(values, offset + 3);
+    }
+    joint.radius = values[offset + 7];
+  });
+  return joints;
+}
+
+/**
+ * Replay a recording from the next frame. Load the recording's scene first.
+ * @param {object} recording - Recording from stopRecording or decodeRecording
+ * @param {object} options - Options
+ * @param {function} options.onComplete - Called with the replay result (see finishReplay)
+ */
+export function startReplay(recording, { onComplete } = {}) {
+  if (activeRecording) {
+    throw new Error("Cannot replay while a session is being recorded");
+  }
+  stopReplay();
+
+  const replay = {
+    recording,
+    frameIndex: 0,
+    hands: { left: null, right: null },
+    heldKeys: new Map(), // code -> key of keys pressed by the replay
+    polledInputs: new Map(), // type -> last replayed polled input (e.g. gamepad state)
+    actions: [],
+    stopListening: null,
+    onComplete,
+  };
+  const unsubscribes = listenForActions(replay.actions, () => replay.frameIndex - 1);
+  replay.stopListening = () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  activeReplay = replay;
+  randomState = recording.seed;
+
+  console.log(`- Replaying ${recording.frames.length} frame(s) recorded in scene "${recording.sceneName}"`);
+}
+
+/**
+ * Stop the replay in progress. Keys still held by the replay are released.
+ * @returns {object|null} - The replay result (see finishReplay), or null if nothing was replaying
+ */
+export function stopReplay() {
+  return activeReplay ? finishReplay() : null;
+}
+
+/**
+ * Check if a recording is being replayed
+ * @returns {boolean}
+ */
+export function isReplaying() {
+  return activeReplay !== null;
+}
+
+/**
+ * Apply the next recorded frame: poses, hands and input. Called by the animation loop before
+ * the per-frame updates, instead of reading the clock and the controls.
+ * @param {SparkScene} sparkScene - The spark scene
+ * @returns {{time: number, deltaTime: number}|null} - Time of the replayed frame, or null if
+ *   nothing is replaying (the replay ends after its last frame)
+ */
+export function replayFrame(sparkScene) {
+  if (!activeReplay) return null;
+
+  const replay = activeReplay;
+  const frame = replay.recording.frames[replay.frameIndex];
+  if (!frame) {
+    finishReplay();
+    return null;
+  }
+  replay.frameIndex++;
+
+  setPose(sparkScene.localFrame, frame.localFrame);
+  setPose(sparkScene.camera, frame.camera);
+  for (const hand of HAND_NAMES) {
+    replay.hands[hand] = setHandJoints(replay.hands[hand], frame.hands[hand]);
+  }
+
+  for (const input of frame.inputs) {
+    dispatchInput(input, replay);
+  }
+
+  return { time: frame.time, deltaTime: frame.deltaTime };
+}
+
+/**
+ * Dispatch a recorded key press or click, or keep a polled input for getReplayedInput
+ * @param {object} input - { type: 'keydown'|'keyup', code, key }, { type: 'click', target }
+ *   or a polled input, e.g. { type: 'gamepad', axes, buttons }
+ * @param {object} replay - The replay in progress (held keys and polled inputs are updated)
+ */
+function dispatchInput(input, replay) {
+  if (input.type === 'click') {
+    document.getElementById(input.target)?.click();
+    return;
+  }
+  if (input.type !== 'keydown' && input.type !== 'keyup') {
+    replay.polledInputs.set(input.type, input);
+    return;
+  }
+
+  const { heldKeys } = replay;
+  if (input.type === 'keydown') {
+    heldKeys.set(input.code, input.key);
+  } else {
+    heldKeys.delete(input.code);
+  }
+  window.dispatchEvent(new KeyboardEvent(input.type, { code: input.code, key: input.key, bubbles: true, cancelable: true }));
+}
+
+/**
+ * End the replay: release held keys and compare the replayed actions with the recorded ones
+ * @returns {{frames: number, actions: Array, replayedActions: Array, matches: boolean}} - Replay result
+ */
+function finishReplay() {
+  const replay = activeReplay;
+  activeReplay = null;
+  randomState = null;
+  replay.stopListening();
+
+  for (const [code, key] of replay.heldKeys) {
+    window.dispatchEvent(new KeyboardEvent('keyup', { code, key, bubbles: true }));
+  }
+
+  const recorded = replay.recording.actions;
+  const replayed = replay.actions;
+  const mismatch = recorded.findIndex((action, index) =>
+    !replayed[index] || replayed[index].type !== action.type || replayed[index].name !== action.name
+  );
+  const matches = mismatch === -1 && replayed.length === recorded.length;
+  if (matches) {
+    console.log(`✓ Replay finished, ${replayed.length} action(s) matched the recording`);
+  } else {
+    const index = mismatch === -1 ? recorded.length : mismatch;
+    console.warn(`Replay diverged from the recording at action ${index + 1}:`, recorded[index] || null, 'replayed:', replayed[index] || null);
+  }
+
+  const result = { frames: replay.frameIndex, actions: recorded, replayedActions: replayed, matches };
+  replay.onComplete?.(result);
+  return result;
+}
+
+/**
+ * Get the hand joints the per-frame updates should use: the replayed hands while
+ * replaying, otherwise the tracked XR hands while in VR
+ * @param {SparkScene} sparkScene - The spark scene
+ * @returns {{left: object, right: object}|null} - Joints per hand (like XrHands.hands), or null
+ */
+export function getTrackedHands(sparkScene) {
+  if (activeReplay) return activeReplay.hands;
+  if (!sparkScene.renderer?.xr.isPresenting || !sparkScene.xrHands) return null;
+  return sparkScene.xrHands.hands;
+}
+
+/**
+ * Serialize a recording to the compact file format
+ * @param {object} recording - The recording
+ * @returns {Promise<Uint8Array>} - File contents (gzip-compressed if supported)
+ */
+export async function encodeRecording(recording) {
+  const inputs = [];
+  let valueCount = 0;
+  recording.frames.forEach((frame, index) => {
+    frame.inputs.forEach((input) => inputs.push({ frame: index, ...input }));
+    valueCount += FRAME_VALUES + HAND_NAMES.filter((hand) => frame.hands[hand]).length * HAND_JOINTS.length * JOINT_VALUES;
+  });
+
+  const header = new TextEncoder().encode(JSON.stringify({
+    version: RECORDING_VERSION,
+    sceneName: recording.sceneName,
+    seed: recording.seed,
+    startedAt: recording.startedAt,
+    frameCount: recording.frames.length,
+    joints: HAND_JOINTS,
+    inputs,
+    actions: recording.actions,
+  }));
+
+  // Magic, header length, header, padding to 8 bytes, then the frame values
+  const dataOffset = Math.ceil((8 + header.length) / 8) * 8;
+  const bytes = new Uint8Array(dataOffset + valueCount * 8);
+  bytes.set(new TextEncoder().encode(RECORDING_MAGIC), 0);
+  new DataView(bytes.buffer).setUint32(4, header.length, true);
+  bytes.set(header, 8);
+
+  const values = new Float64Array(bytes.buffer, dataOffset, valueCount);
+  let offset = 0;
+  for (const frame of recording.frames) {
+    const handMask = HAND_NAMES.reduce((mask, hand, bit) => mask | (frame.hands[hand] ? 1 << bit : 0), 0);
+    values.set([frame.time, frame.deltaTime, ...frame.localFrame, ...frame.camera, handMask], offset);
+    offset += FRAME_VALUES;
+    for (const hand of HAND_NAMES) {
+      if (frame.hands[hand]) {
+        values.set(frame.hands[hand], offset);
+        offset += frame.hands[hand].length;
+      }
+    }
+  }
+
+  return compress(bytes);
+}
+
+/**
+ * Read a recording from the compact file format
+ * @param {ArrayBuffer|Uint8Array|Blob} data - File contents (compressed or not)
+ * @returns {Promise<object>} - The recording
+ */
+export async function decodeRecording(data) {
+  let bytes = data instanceof Blob
+    ? new Uint8Array(await new Response(data).arrayBuffer())
+    : new Uint8Array(data.buffer ?? data, data.byteOffset ?? 0, data.byteLength);
+  bytes = await decompress(bytes);
+
+  if (new TextDecoder().decode(bytes.subarray(0, 4)) !== RECORDING_MAGIC) {
+    throw new Error("Not a session recording");
+  }
+  const headerLength = new DataView(bytes.buffer, bytes.byteOffset).getUint32(4, true);
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + headerLength)));
+  if (header.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${header.version} (expected ${RECORDING_VERSION})`);
+  }
+
+  // Copy so the values are 8-byte aligned regardless of where the bytes came from
+  const dataOffset = Math.ceil((8 + headerLength) / 8) * 8;
+  const values = new Float64Array(bytes.slice(dataOffset).buffer);
+  const jointValues = header.joints.length * JOINT_VALUES;
+
+  const frames = [];
+  let offset = 0;
+  for (let index = 0; index < header.frameCount; index++) {
+    const handMask = values[offset + FRAME_VALUES - 1];
+    const frame = {
+      time: values[offset],
+      deltaTime: values[offset + 1],
+      localFrame: Array.from(values.subarray(offset + 2, offset + 2 + POSE_VALUES)),
+      camera: Array.from(values.subarray(offset + 2 + POSE_VALUES, offset + 2 + 2 * POSE_VALUES)),
+      hands: {},
+      inputs: [],
+    };
+    offset += FRAME_VALUES;
+    HAND_NAMES.forEach((hand, bit) => {
+      if (handMask & (1 << bit)) {
+        frame.hands[hand] = remapJoints(values.subarray(offset, offset + jointValues), header.joints);
+        offset += jointValues;
+      } else {
+        frame.hands[hand] = null;
+      }
+    });
+    frames.push(frame);
+  }
+
+  for (const { frame, ...input } of header.inputs) {
+    frames[frame].inputs.push(input);
+  }
+
+  return {
+    version: header.version,
+    sceneName: header.sceneName,
+    seed: header.seed,
+    startedAt: header.startedAt,
+    frames,
+    actions: header.actions,
+  };
+}
+
+/**
+ * Order recorded joint values like HAND_JOINTS
+ * @param {Float64Array} values - Joint values in the order of jointNames
+ * @param {string[]} jointNames - Joint order of the recording
+ * @returns {number[]}
+ */
+function remapJoints(values, jointNames) {
+  const joints = new Array(HAND_JOINTS.length * JOINT_VALUES).fill(NaN);
+  jointNames.forEach((jointName, index) => {
+    const target = HAND_JOINTS.indexOf(jointName);
+    if (target === -1) return;
+    for (let value = 0; value < JOINT_VALUES; value++) {
+      joints[target * JOINT_VALUES + value] = values[index * JOINT_VALUES + value];
+    }
+  });
+  return joints;
+}
+
+/**
+ * Gzip bytes if the browser supports CompressionStream
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function compress(bytes) {
+  if (typeof CompressionStream === 'undefined') return bytes;
+  const stream = new Response(bytes).body.pipeThrough(new CompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Gunzip bytes if they are gzip-compressed
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function decompress(bytes) {
+  const isGzip = bytes[0] === 0x1f && bytes[1] === 0x8b;
+  if (!isGzip) return bytes;
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error("This browser cannot read compressed recordings");
+  }
+  const stream = new Response(bytes).body.pipeThrough(new DecompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Download a recording file from a URL
+ * @param {string} url - URL of a .sparkrec file
+ * @returns {Promise<object>} - The recording
+ */
+export async function loadRecording(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load recording ${url} (status: ${response.status})`);
+  }
+  return decodeRecording(await response.arrayBuffer());
+}
+
+/**
+ * Save a recording as a file through the browser's download
+ * @param {object} recording - The recording (default: the current or last recording)
+ */
+export async function downloadRecording(recording = getRecording()) {
+  if (!recording) {
+    console.warn("No session recording to download");
+    return;
+  }
+
+  const bytes = await encodeRecording(recording);
+  const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${recording.sceneName}-${recording.startedAt.replace(/[:.]/g, '-')}${RECORDING_FILE_EXTENSION}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  console.log(`- Downloaded recording (${(bytes.length / 1024).toFixed(0)} KB)`);
+}
+
+/**
+ * Click handler of the recording button: download what was recorded so far
+ */
+function onRecordingButtonClick() {
+  downloadRecording().catch((error) => console.error("Failed to download recording:", error));
+}
+
+/**
+ * Show the download button once a session is being recorded
+ */
+function syncRecordingButton() {
+  const button = document.getElementById("recording-download");
+  if (!button) return;
+
+  if (activeRecording && !recordingButton) {
+    button.addEventListener("click", onRecordingButtonClick);
+    recordingButton = button;
+  }
+  // Stays available after recording stops (e.g. when the scene unloads)
+  button.hidden = !getRecording();
+  button.innerHTML = '<i data-lucide="download"></i>';
+  button.setAttribute("aria-label", "Download session recording");
+
+  // Re-initialize icons
+  if (window.lucide) {
+    window.lucide.createIcons();
+  }
+}
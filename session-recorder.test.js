@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { startRecording, stopRecording, encodeRecording, decodeRecording } from './session-recorder.js';
+import { setupHeadlessTests, createSimulation, createFloor, characterPhysicsSubsystem } from './headless-fixtures.js';
+import { addDynamicObject } from './collisions.js';
+import { initializeObjectActionKeyHandlers, disposeObjectActionKeyHandlers } from './object-actions.js';
+import { togglePhysics } from './character-physics.js';
+import { initializeTurning, updateTurning, turnPlayer, disposeTurning } from './turning.js';
+
+// Floor with a ball in front of the player, kicked with the K key
+function createBallScene() {
+  const floor = createFloor();
+  const ball = new THREE.Mesh(new THREE.SphereGeometry(0.2));
+  return createSimulation({
+    collisionMesh: floor,
+    playerPosition: [0, 1.5, 2],
+    subsystems: [{
+      name: 'ball',
+      requires: ['collisions'],
+      init: ({ sparkScene }) => {
+        addDynamicObject(sparkScene, ball, 'ball', 0.2, new THREE.Vector3(0.3, 0.5, -1));
+        initializeObjectActionKeyHandlers(sparkScene, { flags: { enableDynamicObjects: true } });
+      },
+      dispose: () => disposeObjectActionKeyHandlers(),
+    }],
+  });
+}
+
+// Floor with the player in walk mode, turning as registered in builtin-subsystems.js
+async function createWalkScene() {
+  const simulation = await createSimulation({
+    collisionMesh: createFloor(),
+    playerPosition: [0, 2, 0],
+    subsystems: [characterPhysicsSubsystem, {
+      name: 'turning',
+      init: ({ sparkScene }) => initializeTurning(sparkScene),
+      update: ({ sparkScene }, deltaTime) => updateTurning(sparkScene, deltaTime),
+      dispose: () => disposeTurning(),
+    }],
+  });
+  simulation.step(); // Fills the query pipeline used by the character controller
+  togglePhysics();
+  return simulation;
+}
+
+function pressKey(key, code) {
+  window.dispatchEvent(new KeyboardEvent('keydown', { key, code }));
+  window.dispatchEvent(new KeyboardEvent('keyup', { key, code }));
+}
+
+describe('session recorder', () => {
+  setupHeadlessTests();
+
+  it('encodes and decodes a recording', async () => {
+    const hand = Array.from({ length: 25 * 8 }, (_, index) => index / 7);
+    const recording = {
+      version: 1,
+      sceneName: 'cozyship',
+      seed: 42,
+      startedAt: '2026-01-01T00:00:00.000Z',
+      frames: [
+        { time: 1000.25, deltaTime: 0, localFrame: [1, 2, 3, 0, 0, 0, 1], camera: [0, 1.6, 0, 0, 0.1, 0, 0.99], hands: { left: hand, right: null }, inputs: [] },
+        { time: 1016.9, deltaTime: 0.01665, localFrame: [1, 2, 3.1, 0, 0, 0, 1], camera: [0, 1.6, 0, 0, 0.1, 0, 0.99], hands: { left: null, right: null }, inputs: [{ type: 'keydown', code: 'KeyK', key: 'k' }, { type: 'click', target: 'physics-toggle' }] },
+      ],
+      actions: [{ frame: 1, type: 'kick', name: 'ball' }],
+    };
+
+    const bytes = await encodeRecording(recording);
+
+    expect(await decodeRecording(bytes)).toEqual(recording);
+    await expect(decodeRecording(new Uint8Array(16))).rejects.toThrow('Not a session recording');
+  });
+
+  it('replays a recorded session with the same physics', async () => {
+    let simulation = await createBallScene();
+    startRecording('headless');
+    simulation.walkTo([0.2, 1.5, 0]);
+    pressKey('k', 'KeyK');
+    simulation.run(1);
+    const recording = stopRecording();
+    const recordedPosition = simulation.getObjectPosition('ball');
+    await simulation.dispose();
+
+    simulation = await createBallScene();
+    const result = simulation.replay(await decodeRecording(await encodeRecording(recording)));
+    const replayedPosition = simulation.getObjectPosition('ball');
+    await simulation.dispose();
+
+    expect(recording.actions).toEqual([{ frame: expect.any(Number), type: 'kick', name: 'ball' }]);
+    expect(result.matches).toBe(true);
+    expect(replayedPosition).toEqual(recordedPosition);
+    expect(recordedPosition.z).toBeLessThan(-2);
+  });
+
+  it('replays turns around the head in walk mode', async () => {
+    let simulation = await createWalkScene();
+    startRecording('headless');
+    simulation.sparkScene.camera.position.set(0.5, 0, 0); // Head away from the center of the play area
+    simulation.run(0.5);
+    for (let frame = 0; frame < 10; frame++) {
+      turnPlayer(simulation.sparkScene, 9);
+      simulation.step();
+    }
+    simulation.run(0.5);
+    const recording = stopRecording();
+    const recordedPosition = simulation.sparkScene.localFrame.position.clone();
+    await simulation.dispose();
+
+    simulation = await createWalkScene();
+    simulation.replay(await decodeRecording(await encodeRecording(recording)));
+    const replayedPosition = simulation.sparkScene.localFrame.position.clone();
+
+    expect(recording.frames.flatMap(({ inputs }) => inputs).filter(({ type }) => type === 'turnOffset')).toHaveLength(10);
+    expect(replayedPosition.distanceTo(recordedPosition)).toBeLessThan(1e-6);
+  });
+});
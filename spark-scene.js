@@ -0,0 +1,23 @@
+/**
+ *  Primary datascructure for all the scene state
+ *  Kept apart from scene.js so headless runs (see headless.js) can build one without Spark.
+ */
+
+export class SparkScene {
+  constructor() {
+    this.scene = null;
+    this.renderer = null;
+    this.camera = null;
+    this.localFrame = null;
+    this.spark = null;
+    this.gsplatscene = null;
+    this.collisionmesh = null;
+    this.physicsWorld = null;
+    this.collisionMeshes = [];
+    this.dynamicObjects = new Map();
+    this.controls = null;
+    this.xrHands = null;
+    this.vrButton = null;
+    this.resizeHandler = null;
+  }
+}
@@ -1,7 +1,9 @@
 import * as THREE from "three";
 
-import { isAudioEnabled, onAudioToggle } from "./audio.js";
-import { isHudEnabled, onHudToggle } from "./hud.js";
+import { isAudioEnabled } from "./audio.js";
+import { isHudEnabled } from "./hud.js";
+import { on, off, emit, EVENTS } from "./events.js";
+import { trackAsset } from "./loading-manager.js";
 
 export const audioListener = new THREE.AudioListener();
 export const spatialAudioSources = [];
@@ -31,12 +33,15 @@ export async function addSpatialAudioSource(audioUrl, position, options = {}) {
       triggerRadius = null
     } = options;
   
+    const tracker = trackAsset('audio', audioUrl);
+
     return new Promise((resolve, reject) => {
       const positionalAudio = new THREE.PositionalAudio(audioListener);
       
       audioLoader.load(
         audioUrl,
         (buffer) => {
+          tracker.done();
           positionalAudio.setBuffer(buffer);
           positionalAudio.setRefDistance(refDistance);
           positionalAudio.setRolloffFactor(rolloffFactor);
@@ -68,9 +73,11 @@ export async function addSpatialAudioSource(audioUrl, position, options = {}) {
           resolve(positionalAudio);
         },
         (progress) => {
+          tracker.progress(progress.loaded, progress.total);
           console.log(`Loading audio: ${(progress.loaded / progress.total * 100).toFixed(0)}%`);
         },
         (error) => {
+          tracker.fail(error);
           console.error('Error loading audio:', error);
           reject(error);
         }
@@ -87,6 +94,16 @@ export async function addSpatialAudioSource(audioUrl, position, options = {}) {
     return Promise.all(promises);
   }
 
+// Show audio source debug meshes while the HUD is visible
+function onHudToggle({ visible }) {
+  setSpatialAudioDebugVisibility(visible);
+}
+
+// Start or stop spatial audio when audio is toggled
+function onAudioToggle({ enabled }) {
+  setAllSpatialAudioEnabled(enabled);
+}
+
 // Update debug mesh visibility based on HUD state
 function setSpatialAudioDebugVisibility(visible) {
   for (const source of spatialAudioSources) {
@@ -129,12 +146,15 @@ export async function createAttachedAudio(audioUrl, parentMesh, options = {}) {
     volume = 1
   } = options;
   
+  const tracker = trackAsset('audio', audioUrl);
+
   return new Promise((resolve, reject) => {
     const positionalAudio = new THREE.PositionalAudio(audioListener);
     
     audioLoader.load(
       audioUrl,
       (buffer) => {
+        tracker.done();
         positionalAudio.setBuffer(buffer);
         positionalAudio.setRefDistance(refDistance);
         positionalAudio.setRolloffFactor(rolloffFactor);
@@ -160,11 +180,13 @@ export async function createAttachedAudio(audioUrl, parentMesh, options = {}) {
         resolve(positionalAudio);
       },
       (progress) => {
+        tracker.progress(progress.loaded, progress.total);
         if (progress.total) {
           console.log(`Loading attached audio: ${(progress.loaded / progress.total * 100).toFixed(0)}%`);
         }
       },
       (error) => {
+        tracker.fail(error);
         console.error('Error loading attached audio:', error);
         reject(error);
       }
@@ -215,6 +237,7 @@ export function checkProximityTriggers(listenerPosition) {
           source.audio.play();
           source.triggered = true;
           console.log(`Triggered audio: ${source.url}`);
+          emit(EVENTS.AUDIO_TRIGGERED, { url: source.url, position: source.position.clone() });
         }
       }
     }
@@ -227,10 +250,10 @@ export async function initializeSpatialAudio(sparkScene, configURL, assetUrlFn)
     sparkScene.localFrame.add(audioListener);
     
     // Register for HUD toggle events to show/hide debug meshes
-    onHudToggle(setSpatialAudioDebugVisibility);
+    on(EVENTS.HUD_TOGGLE, onHudToggle);
     
     // Register for audio toggle events to start/stop spatial audio
-    onAudioToggle(setAllSpatialAudioEnabled);
+    on(EVENTS.AUDIO_TOGGLE, onAudioToggle);
 
     // Initialize spatial audio sources by loading config from JSON
     let audioSources = [];
@@ -268,4 +291,26 @@ export async function initializeSpatialAudio(sparkScene, configURL, assetUrlFn)
         console.error("Failed to load spatial audio sources:", error);
       }
     }
-  }
\ No newline at end of file
+  }
+
+/**
+ * Stop all spatial audio, release the decoded buffers and detach the listener
+ */
+export function disposeSpatialAudio() {
+  off(EVENTS.HUD_TOGGLE, onHudToggle);
+  off(EVENTS.AUDIO_TOGGLE, onAudioToggle);
+
+  for (const source of [...spatialAudioSources, ...attachedAudioSources]) {
+    if (source.audio.isPlaying) {
+      source.audio.stop();
+    }
+    source.audio.disconnect();
+    source.audio.buffer = null;
+    source.audio.removeFromParent();
+    source.mesh?.removeFromParent();
+  }
+  spatialAudioSources.length = 0;
+  attachedAudioSources.length = 0;
+
+  audioListener.removeFromParent();
+}
@@ -0,0 +1,24 @@
+// Splat Proxy Worker
+// Builds the voxel grid of a splat collision proxy (see splat-proxy.js) off the main thread.
+// Counting millions of splats takes seconds, which on the main thread would freeze the page
+// and the XR session. The worker reads the splats from the scene's SPZ file like
+// `npm run build-splat-proxy` does; by then the page has downloaded it, so it comes from the
+// asset cache or the browser cache.
+//
+// Message in: { url, options } (splat file URL, SPLAT_PROXY_DEFAULTS overrides)
+// Message out: { grid } (encoded with encodeVoxelGrid) or { error } (message)
+
+import { createVoxelGrid, encodeVoxelGrid, readSpzSplats } from "./splat-proxy.js";
+
+self.onmessage = async ({ data: { url, options } }) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP status ${response.status} for ${url}`);
+    }
+    const splats = await readSpzSplats(await response.arrayBuffer());
+    self.postMessage({ grid: encodeVoxelGrid(createVoxelGrid(splats.forEachSplat, options)) });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+};
@@ -0,0 +1,376 @@
+// Splat Collision Proxy
+// Approximates the collision mesh of a scene that has no proxyMeshFileName from its splats.
+// Splat centers (above a minimum opacity) are counted per voxel, and voxels with enough
+// splats are solid. The solid voxels become a trimesh for createCollisionPhysicsBodies():
+//
+//   'voxels'      - the faces between solid and empty voxels: floors, walls and ceilings.
+//                   Floors are stepped by one voxel, which the character climbs like stairs
+//   'heightfield' - a smooth surface over the highest solid voxel of each column, for open
+//                   terrain (a ceiling would hide the floor under it)
+//
+// Counting millions of splats is the slow part, so the voxel grid is cached: built offline
+// with `npm run build-splat-proxy <scene>`, which writes it next to the scene's assets, or
+// built in the browser on the first visit (in splat-proxy-worker.js, so the page keeps
+// running) and kept in the asset cache (see asset-cache.js). Options come from
+// SCENE_CONFIG.splatProxy.
+
+import * as THREE from "three";
+import { getCachedAsset, putCachedAsset } from "./asset-cache.js";
+
+export const SPLAT_PROXY_DEFAULTS = {
+  voxelSize: 0.2,        // Voxel edge in meters (splat units); smaller is finer but slower
+  minOpacity: 0.2,       // Fainter splats (haze, floaters) are ignored
+  minSplatsPerVoxel: 3,  // Voxels with fewer splats stay empty
+  surface: 'voxels',     // 'voxels' or 'heightfield'
+  fileName: null,        // Prebuilt voxel grid (default: <splat file name>-proxy.json)
+};
+
+const GRID_VERSION = 1;
+const SPZ_MAGIC = 0x5053474e; // 'NGSP'
+
+// Voxel coordinates are packed into one number while counting: 17 bits per axis
+// (±65536 voxels, 13km at 0.2m voxels) stays below 2^53
+const KEY_SPAN = 2 ** 17;
+const KEY_OFFSET = KEY_SPAN / 2;
+
+// Faces of a unit voxel: neighbor direction and corners, counter-clockwise seen from outside
+const VOXEL_FACES = [
+  { direction: [1, 0, 0], corners: [[1, 0, 0], [1, 1, 0], [1, 1, 1], [1, 0, 1]] },
+  { direction: [-1, 0, 0], corners: [[0, 0, 0], [0, 0, 1], [0, 1, 1], [0, 1, 0]] },
+  { direction: [0, 1, 0], corners: [[0, 1, 0], [0, 1, 1], [1, 1, 1], [1, 1, 0]] },
+  { direction: [0, -1, 0], corners: [[0, 0, 0], [1, 0, 0], [1, 0, 1], [0, 0, 1]] },
+  { direction: [0, 0, 1], corners: [[0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]] },
+  { direction: [0, 0, -1], corners: [[0, 0, 0], [0, 1, 0], [1, 1, 0], [1, 0, 0]] },
+];
+
+/**
+ * Get the file name of a scene's prebuilt voxel grid
+ * @param {object} sceneConfig - SCENE_CONFIG (sceneSpzFileName, splatProxy.fileName)
+ * @returns {string}
+ */
+export function getSplatProxyFileName(sceneConfig) {
+  return sceneConfig.splatProxy?.fileName ?? `${sceneConfig.sceneSpzFileName.replace(/\.[^.]+$/, '')}-proxy.json`;
+}
+
+/**
+ * Count splats per voxel and keep the solid voxels
+ * @param {function} forEachSplat - Calls its argument with (x, y, z, opacity) for every splat
+ * @param {object} options - SPLAT_PROXY_DEFAULTS overrides
+ * @returns {{voxelSize: number, origin: number[], size: number[], solid: Set<number>}} - Voxel
+ *   grid: origin is the voxel coordinate of the first voxel, size the voxel count per axis and
+ *   solid the indices (x + size.x * (y + size.y * z)) of the solid voxels
+ */
+export function createVoxelGrid(forEachSplat, options = {}) {
+  const { voxelSize, minOpacity, minSplatsPerVoxel } = { ...SPLAT_PROXY_DEFAULTS, ...options };
+  const counts = new Map();
+
+  forEachSplat((x, y, z, opacity) => {
+    if (!(opacity >= minOpacity)) return; // Also skips NaN
+    const ix = Math.floor(x / voxelSize) + KEY_OFFSET;
+    const iy = Math.floor(y / voxelSize) + KEY_OFFSET;
+    const iz = Math.floor(z / voxelSize) + KEY_OFFSET;
+    if (!(ix >= 0 && ix < KEY_SPAN && iy >= 0 && iy < KEY_SPAN && iz >= 0 && iz < KEY_SPAN)) return;
+    const key = (ix * KEY_SPAN + iy) * KEY_SPAN + iz;
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  });
+
+  const voxels = [];
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  counts.forEach((count, key) => {
+    if (count < minSplatsPerVoxel) return;
+    const voxel = [Math.floor(key / KEY_SPAN / KEY_SPAN), Math.floor(key / KEY_SPAN) % KEY_SPAN, key % KEY_SPAN]
+      .map((coordinate) => coordinate - KEY_OFFSET);
+    voxel.forEach((coordinate, axis) => {
+      min[axis] = Math.min(min[axis], coordinate);
+      max[axis] = Math.max(max[axis], coordinate);
+    });
+    voxels.push(voxel);
+  });
+
+  if (voxels.length === 0) {
+    return { voxelSize, origin: [0, 0, 0], size: [0, 0, 0], solid: new Set() };
+  }
+  const size = max.map((value, axis) => value - min[axis] + 1);
+  const solid = new Set(voxels.map(([x, y, z]) => (x - min[0]) + size[0] * ((y - min[1]) + size[1] * (z - min[2]))));
+  return { voxelSize, origin: min, size, solid };
+}
+
+/**
+ * Encode a voxel grid as JSON data (sorted solid indices, stored as differences)
+ * @param {object} grid - Voxel grid from createVoxelGrid()
+ * @returns {object}
+ */
+export function encodeVoxelGrid(grid) {
+  const indices = Array.from(grid.solid).sort((a, b) => a - b);
+  return {
+    version: GRID_VERSION,
+    voxelSize: grid.voxelSize,
+    origin: grid.origin,
+    size: grid.size,
+    deltas: indices.map((index, i) => index - (i > 0 ? indices[i - 1] : 0)),
+  };
+}
+
+/**
+ * Decode a voxel grid encoded with encodeVoxelGrid()
+ * @param {object} data - Encoded grid
+ * @returns {object} - Voxel grid
+ */
+export function decodeVoxelGrid(data) {
+  if (data?.version !== GRID_VERSION) {
+    throw new Error(`Unsupported splat proxy version ${data?.version}`);
+  }
+  const solid = new Set();
+  let index = 0;
+  for (const delta of data.deltas) {
+    index += delta;
+    solid.add(index);
+  }
+  return { voxelSize: data.voxelSize, origin: data.origin, size: data.size, solid };
+}
+
+/**
+ * Create the collision mesh of a voxel grid
+ * @param {object} grid - Voxel grid from createVoxelGrid()
+ * @param {string} surface - 'voxels' or 'heightfield' (see above)
+ * @returns {THREE.Mesh} - Mesh in the splats' coordinates
+ */
+export function createProxyMesh(grid, surface = SPLAT_PROXY_DEFAULTS.surface) {
+  let geometry;
+  if (surface === 'voxels') {
+    geometry = createVoxelSurface(grid);
+  } else if (surface === 'heightfield') {
+    geometry = createHeightfieldSurface(grid);
+  } else {
+    throw new Error(`Unknown splat proxy surface "${surface}"`);
+  }
+  const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial());
+  mesh.name = 'splat proxy';
+  return mesh;
+}
+
+/**
+ * Faces between solid and empty voxels, sharing vertices between neighboring faces
+ * @param {object} grid - Voxel grid
+ * @returns {THREE.BufferGeometry}
+ */
+function createVoxelSurface({ voxelSize, origin, size, solid }) {
+  const [nx, ny, nz] = size;
+  const isSolid = (x, y, z) =>
+    x >= 0 && x < nx && y >= 0 && y < ny && z >= 0 && z < nz && solid.has(x + nx * (y + ny * z));
+
+  const positions = [];
+  const indices = [];
+  const vertexIndices = new Map(); // Corner index -> vertex index
+  const vertex = (x, y, z) => {
+    const key = x + (nx + 1) * (y + (ny + 1) * z);
+    if (!vertexIndices.has(key)) {
+      vertexIndices.set(key, positions.length / 3);
+      positions.push((origin[0] + x) * voxelSize, (origin[1] + y) * voxelSize, (origin[2] + z) * voxelSize);
+    }
+    return vertexIndices.get(key);
+  };
+
+  solid.forEach((index) => {
+    const x = index % nx;
+    const y = Math.floor(index / nx) % ny;
+    const z = Math.floor(index / (nx * ny));
+    for (const { direction, corners } of VOXEL_FACES) {
+      if (isSolid(x + direction[0], y + direction[1], z + direction[2])) continue;
+      const [a, b, c, d] = corners.map(([cx, cy, cz]) => vertex(x + cx, y + cy, z + cz));
+      indices.push(a, b, c, a, c, d);
+    }
+  });
+
+  return createIndexedGeometry(positions, indices);
+}
+
+/**
+ * Surface through the tops of the highest solid voxel of each column, with a quad between
+ * every four neighboring columns
+ * @param {object} grid - Voxel grid
+ * @returns {THREE.BufferGeometry}
+ */
+function createHeightfieldSurface({ voxelSize, origin, size, solid }) {
+  const [nx, ny] = size;
+  const tops = new Map(); // Column (x + nx * z) -> highest solid y
+  solid.forEach((index) => {
+    const column = index % nx + nx * Math.floor(index / (nx * ny));
+    const y = Math.floor(index / nx) % ny;
+    tops.set(column, Math.max(tops.get(column) ?? -1, y));
+  });
+
+  const positions = [];
+  const vertexIndices = new Map(); // Column -> vertex index
+  tops.forEach((y, column) => {
+    vertexIndices.set(column, positions.length / 3);
+    positions.push(
+      (origin[0] + column % nx + 0.5) * voxelSize,
+      (origin[1] + y + 1) * voxelSize,
+      (origin[2] + Math.floor(column / nx) + 0.5) * voxelSize
+    );
+  });
+
+  const indices = [];
+  vertexIndices.forEach((a, column) => {
+    if (column % nx === nx - 1) return; // Last column along x
+    const b = vertexIndices.get(column + nx);
+    const c = vertexIndices.get(column + nx + 1);
+    const d = vertexIndices.get(column + 1);
+    if (b !== undefined && c !== undefined && d !== undefined) {
+      indices.push(a, b, c, a, c, d);
+    }
+  });
+
+  return createIndexedGeometry(positions, indices);
+}
+
+function createIndexedGeometry(positions, indices) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  return geometry;
+}
+
+/**
+ * Read the centers and opacities of the splats in an SPZ file (versions 1 to 3)
+ * @param {ArrayBuffer|Uint8Array} bytes - SPZ file, gzipped or not
+ * @returns {Promise<{count: number, forEachSplat: function}>} - Number of splats, and a
+ *   function that calls its argument with (x, y, z, opacity) for every splat (as used by
+ *   createVoxelGrid)
+ */
+export async function readSpzSplats(bytes) {
+  let data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  if (data[0] === 0x1f && data[1] === 0x8b) {
+    const stream = new Response(data).body.pipeThrough(new DecompressionStream('gzip'));
+    data = new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (data.byteLength < 16 || view.getUint32(0, true) !== SPZ_MAGIC) {
+    throw new Error('Not an SPZ file');
+  }
+  const version = view.getUint32(4, true);
+  if (version < 1 || version > 3) {
+    throw new Error(`Unsupported SPZ version ${version}`);
+  }
+  const count = view.getUint32(8, true);
+  const fractionalBits = data[13];
+
+  // Header, then positions (float16 in version 1, 24-bit fixed point since), then alphas
+  const positionsOffset = 16;
+  const positionBytes = version === 1 ? 6 : 9;
+  const alphasOffset = positionsOffset + count * positionBytes;
+  if (data.byteLength < alphasOffset + count) {
+    throw new Error('Truncated SPZ file');
+  }
+
+  const scale = 1 / (1 << fractionalBits);
+  const readCoordinate = (offset, axis) => {
+    if (version === 1) {
+      return THREE.DataUtils.fromHalfFloat(view.getUint16(offset + axis * 2, true));
+    }
+    const byte = offset + axis * 3;
+    let value = data[byte] | (data[byte + 1] << 8) | (data[byte + 2] << 16);
+    if (value & 0x800000) value |= ~0xffffff; // Sign-extend the 24-bit value
+    return value * scale;
+  };
+
+  return {
+    count,
+    forEachSplat: (callback) => {
+      for (let i = 0; i < count; i++) {
+        const offset = positionsOffset + i * positionBytes;
+        callback(readCoordinate(offset, 0), readCoordinate(offset, 1), readCoordinate(offset, 2), data[alphasOffset + i] / 255);
+      }
+    },
+  };
+}
+
+/**
+ * Fetch a prebuilt voxel grid
+ * @param {string} url - Grid URL
+ * @returns {Promise<object|null>} - Voxel grid, or null if there is none
+ */
+async function fetchVoxelGrid(url) {
+  try {
+    const response = await fetch(url);
+    return response.ok ? decodeVoxelGrid(await response.json()) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build a voxel grid from a splat file in splat-proxy-worker.js
+ * @param {string} url - SPZ file URL
+ * @param {object} options - SPLAT_PROXY_DEFAULTS overrides
+ * @returns {Promise<object>} - Voxel grid
+ */
+function buildVoxelGridInWorker(url, options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./splat-proxy-worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      worker.terminate();
+      if (data.error) {
+        reject(new Error(`Failed to build the splat proxy: ${data.error}`));
+      } else {
+        resolve(decodeVoxelGrid(data.grid));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(`Failed to build the splat proxy: ${event.message || 'worker error'}`));
+    };
+    worker.postMessage({ url, options });
+  });
+}
+
+/**
+ * Load or build the collision proxy of a scene from its splats
+ * Uses the prebuilt voxel grid if there is one, then a grid cached by an earlier visit, and
+ * otherwise waits for the splats to load and builds the grid from the splat file in a
+ * worker (then caches it).
+ * @param {object} sceneConfig - SCENE_CONFIG (sceneSpzFileName, splatProxy)
+ * @param {function} checkSceneAssets - Scene asset resolver
+ * @param {Promise<SplatMesh>} splatsLoaded - Resolves with the scene's splats once loaded
+ * @returns {Promise<THREE.Mesh>} - Collision mesh in the splats' coordinates
+ */
+export async function loadSplatProxy(sceneConfig, checkSceneAssets, splatsLoaded) {
+  const options = { ...SPLAT_PROXY_DEFAULTS, ...sceneConfig.splatProxy };
+  const fileName = getSplatProxyFileName(sceneConfig);
+
+  let grid = await fetchVoxelGrid(await checkSceneAssets(fileName));
+  if (grid) {
+    console.log(`- Using prebuilt splat proxy ${fileName}`);
+  }
+
+  // Grids built in the browser are cached under the splat URL and the options they used
+  const splatURL = new URL(await checkSceneAssets(sceneConfig.sceneSpzFileName), window.location.href);
+  const cacheURL = new URL(splatURL);
+  cacheURL.searchParams.set('splatProxy', `${GRID_VERSION}-${options.voxelSize}-${options.minOpacity}-${options.minSplatsPerVoxel}`);
+
+  if (!grid) {
+    const cached = await getCachedAsset(cacheURL.href);
+    if (cached) {
+      grid = decodeVoxelGrid(JSON.parse(new TextDecoder().decode(cached)));
+      console.log('- Using cached splat proxy');
+    }
+  }
+
+  if (!grid) {
+    // Once the splats are loaded their file is cached, so the worker doesn't download it again
+    await splatsLoaded;
+    const start = performance.now();
+    grid = await buildVoxelGridInWorker(splatURL.href, options);
+    console.log(`- Built splat proxy from the splats in ${((performance.now() - start) / 1000).toFixed(1)}s (${grid.solid.size} voxels)`);
+    const encoded = new TextEncoder().encode(JSON.stringify(encodeVoxelGrid(grid)));
+    await putCachedAsset(cacheURL.href, encoded.buffer, 'application/json');
+  }
+
+  if (grid.solid.size === 0) {
+    throw new Error('The splats have no solid voxels for a collision proxy (lower splatProxy.minOpacity or minSplatsPerVoxel)');
+  }
+  return createProxyMesh(grid, options.surface);
+}
@@ -0,0 +1,120 @@
+import { describe, it, expect, vi } from 'vitest';
+import { gzipSync } from 'node:zlib';
+import * as THREE from 'three';
+import { setupHeadlessTests, createSimulation } from './headless-fixtures.js';
+import { addDynamicObject } from './collisions.js';
+import { readSpzSplats, createVoxelGrid, encodeVoxelGrid, decodeVoxelGrid, createProxyMesh, getSplatProxyFileName } from './splat-proxy.js';
+
+// Splats of a 10 x 10m floor (centers at y = 0.1), a 2m wall at x = 2.1 and faint haze above,
+// spaced 5cm apart and off the 20cm voxel boundaries
+function createSplats() {
+  const splats = [];
+  const at = (index) => -5 + (index + 0.5) * 0.05;
+  for (let i = 0; i < 200; i++) {
+    for (let k = 0; k < 200; k++) {
+      splats.push([at(i), 0.1, at(k), 0.9]);
+      if ((i + k) % 20 === 0) splats.push([at(i), 3, at(k), 0.05]);
+    }
+  }
+  for (let j = 0; j < 36; j++) {
+    for (let k = 0; k < 200; k++) {
+      splats.push([2.1, 0.2 + (j + 0.5) * 0.05, at(k), 0.9]);
+    }
+  }
+  return splats;
+}
+
+// Gzipped SPZ (version 2) with the given splat centers and opacities
+function encodeSpz(splats, fractionalBits = 12) {
+  const count = splats.length;
+  const data = new Uint8Array(16 + count * (9 + 1 + 3 + 3 + 3));
+  const view = new DataView(data.buffer);
+  view.setUint32(0, 0x5053474e, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, count, true);
+  data[13] = fractionalBits;
+  splats.forEach(([x, y, z, opacity], i) => {
+    [x, y, z].forEach((value, axis) => {
+      const fixed = Math.round(value * (1 << fractionalBits)) & 0xffffff;
+      data.set([fixed & 0xff, (fixed >> 8) & 0xff, fixed >> 16], 16 + i * 9 + axis * 3);
+    });
+    data[16 + count * 9 + i] = Math.round(opacity * 255);
+  });
+  return gzipSync(data);
+}
+
+describe('splat proxy', () => {
+  let simulation = null;
+  setupHeadlessTests();
+  const splats = createSplats();
+
+  it('reads splat centers from SPZ files into a voxel grid that survives encoding', async () => {
+    const spz = await readSpzSplats(encodeSpz(splats));
+    expect(spz.count).toBe(splats.length);
+
+    const grid = createVoxelGrid(spz.forEachSplat);
+    expect(grid.origin).toEqual([-25, 0, -25]); // The haze is too faint
+    expect(grid.size).toEqual([50, 10, 50]);
+
+    const decoded = decodeVoxelGrid(JSON.parse(JSON.stringify(encodeVoxelGrid(grid))));
+    expect(decoded).toEqual(grid);
+    expect(() => decodeVoxelGrid({ version: 0 })).toThrow('Unsupported splat proxy version');
+    expect(getSplatProxyFileName({ sceneSpzFileName: 'worldship-lod.spz' })).toBe('worldship-lod-proxy.json');
+  });
+
+  it('builds the voxel grid from the splat file in the worker', async () => {
+    const spz = encodeSpz(splats);
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) =>
+      url === 'scene.spz' ? new Response(spz) : new Response(null, { status: 404 })
+    );
+    const postMessage = vi.spyOn(self, 'postMessage').mockImplementation(() => {});
+    await import('./splat-proxy-worker.js');
+
+    await self.onmessage({ data: { url: 'scene.spz', options: { voxelSize: 0.5 } } });
+    await self.onmessage({ data: { url: 'missing.spz', options: {} } });
+    self.onmessage = null;
+
+    const expected = createVoxelGrid((await readSpzSplats(spz)).forEachSplat, { voxelSize: 0.5 });
+    expect(postMessage.mock.calls.map(([message]) => message)).toEqual([
+      { grid: encodeVoxelGrid(expected) },
+      { error: 'HTTP status 404 for missing.spz' },
+    ]);
+  });
+
+  it('collides with the voxel surface: balls land on the floor and stop at the wall', async () => {
+    const grid = createVoxelGrid((callback) => splats.forEach((splat) => callback(...splat)));
+    simulation = await createSimulation({
+      collisionMesh: createProxyMesh(grid, 'voxels'),
+      subsystems: [{
+        name: 'balls',
+        requires: ['collisions'],
+        init: ({ sparkScene }) => {
+          addDynamicObject(sparkScene, new THREE.Mesh(), 'dropped', 0.2, new THREE.Vector3(-2, 2, 0));
+          addDynamicObject(sparkScene, new THREE.Mesh(), 'rolled', 0.2, new THREE.Vector3(0, 0.5, 2));
+        },
+      }],
+    });
+    simulation.sparkScene.dynamicObjects.get('rolled').body.setLinvel({ x: 6, y: 0, z: 0 }, true);
+    let farthest = 0;
+    for (let frame = 0; frame < 180; frame++) {
+      simulation.step();
+      farthest = Math.max(farthest, simulation.getObjectPosition('rolled').x);
+    }
+
+    expect(simulation.getObjectPosition('dropped').y).toBeCloseTo(0.4, 1); // Floor top at 0.2
+    expect(farthest).toBeGreaterThan(1.7); // Bounced off the wall face at x = 2
+    expect(farthest).toBeLessThan(1.85);
+  });
+
+  it('builds a heightfield over the highest voxel of each column', () => {
+    const floor = splats.filter(([x, y]) => y < 0.2 && x > 0);
+    const grid = createVoxelGrid((callback) => floor.forEach((splat) => callback(...splat)));
+    const mesh = createProxyMesh(grid, 'heightfield');
+    mesh.geometry.computeBoundingBox();
+
+    expect(mesh.geometry.attributes.position.count).toBe(25 * 50);
+    expect(mesh.geometry.index.count).toBe(24 * 49 * 6);
+    expect(mesh.geometry.boundingBox.max.y).toBeCloseTo(0.2);
+    expect(() => createProxyMesh(grid, 'marching cubes')).toThrow('Unknown splat proxy surface');
+  });
+});
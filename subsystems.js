@@ -0,0 +1,192 @@
+// Subsystem Registry
+// Systems (audio, physics, HUD, ...) register themselves here instead of being wired
+// by hand in the scene loader. The registry initializes them in dependency order,
+// skips the ones that are disabled for the scene, runs their per-frame updates and
+// disposes them in reverse order.
+//
+// A subsystem is a plain object:
+// {
+//   name: 'objects',                        // Unique name
+//   requires: ['collisions'],               // Subsystems that must be initialized first (optional)
+//   enabled: (context) => boolean,          // Whether to run for this scene (optional, default: true)
+//   optional: true,                         // The scene still loads if init fails (optional, default: false)
+//   init: async (context) => {},            // Called once when the scene loads (optional)
+//   update: (context, deltaTime, time) => {}, // Called every frame, deltaTime in seconds (optional)
+//   dispose: async (context) => {},         // Called when the scene unloads (optional)
+// }
+//
+// The context is shared by all subsystems of a scene:
+// { sceneName, sparkScene, sceneConfig, config, checkSceneAssets, splatsLoaded, subsystems, failedSubsystems }
+// where sceneConfig is the scene's SCENE_CONFIG and config is its whole config.js module.
+// splatsLoaded resolves with the splat mesh once downloaded (splats load alongside init).
+// failedSubsystems lists the optional subsystems whose init failed: [{ name, error }]
+
+const registeredSubsystems = new Map();
+
+/**
+ * Register a subsystem. Registering a name twice replaces the earlier subsystem.
+ * @param {object} subsystem - The subsystem (see top of file)
+ */
+export function registerSubsystem(subsystem) {
+  if (!subsystem || !subsystem.name) {
+    throw new Error("Subsystem must have a name");
+  }
+  registeredSubsystems.set(subsystem.name, subsystem);
+}
+
+/**
+ * Unregister a subsystem
+ * @param {string} name - Name of the subsystem
+ */
+export function unregisterSubsystem(name) {
+  registeredSubsystems.delete(name);
+}
+
+/**
+ * Get all registered subsystems
+ * @returns {Map<string, object>} - Map of subsystem name to subsystem
+ */
+export function getRegisteredSubsystems() {
+  return registeredSubsystems;
+}
+
+/**
+ * Order subsystems so each comes after the subsystems it requires.
+ * Subsystems without a dependency between them keep their registration order.
+ * @param {object[]} subsystems - Subsystems to sort
+ * @returns {object[]} - Sorted subsystems
+ */
+export function sortSubsystems(subsystems) {
+  const byName = new Map(subsystems.map((subsystem) => [subsystem.name, subsystem]));
+  const sorted = [];
+  const state = new Map(); // name -> 'visiting' | 'done'
+
+  function visit(subsystem, path) {
+    const status = state.get(subsystem.name);
+    if (status === 'done') return;
+    if (status === 'visiting') {
+      throw new Error(`Subsystem dependency cycle: ${[...path, subsystem.name].join(' -> ')}`);
+    }
+
+    state.set(subsystem.name, 'visiting');
+    for (const dependency of subsystem.requires || []) {
+      if (!byName.has(dependency)) {
+        throw new Error(`Subsystem "${subsystem.name}" requires unknown subsystem "${dependency}"`);
+      }
+      visit(byName.get(dependency), [...path, subsystem.name]);
+    }
+    state.set(subsystem.name, 'done');
+    sorted.push(subsystem);
+  }
+
+  subsystems.forEach((subsystem) => visit(subsystem, []));
+  return sorted;
+}
+
+/**
+ * Initialize all enabled subsystems. Each subsystem starts as soon as the subsystems it
+ * requires are initialized, so independent subsystems (and their asset downloads) run in parallel.
+ * A subsystem is skipped if it is disabled or if any subsystem it requires was skipped.
+ * An optional subsystem whose init fails is disposed, recorded in context.failedSubsystems and
+ * treated as skipped; any other failure rejects.
+ * The initialized subsystems are stored in context.subsystems, in dependency order, also
+ * when an init fails (so they can still be disposed).
+ * @param {object} context - Subsystem context (see top of file)
+ * @param {object[]} subsystems - Subsystems to initialize (default: all registered subsystems)
+ * @returns {Promise<object[]>} - The initialized subsystems
+ */
+export async function initializeSubsystems(context, subsystems = [...registeredSubsystems.values()]) {
+  const sorted = sortSubsystems(subsystems);
+  const pending = new Map(); // name -> Promise<boolean>, true once initialized
+  const initialized = new Set();
+  context.subsystems = [];
+  context.failedSubsystems = [];
+
+  async function initialize(subsystem) {
+    const enabled = subsystem.enabled ? subsystem.enabled(context) : true;
+    if (!enabled) {
+      console.log(`- Subsystem "${subsystem.name}" disabled for this scene`);
+      return false;
+    }
+
+    const requires = subsystem.requires || [];
+    const ready = await Promise.all(requires.map((dependency) => pending.get(dependency)));
+    const missing = requires.filter((dependency, index) => !ready[index]);
+    if (missing.length > 0) {
+      console.log(`- Subsystem "${subsystem.name}" skipped (requires ${missing.join(', ')})`);
+      return false;
+    }
+
+    try {
+      if (subsystem.init) {
+        await subsystem.init(context);
+      }
+    } catch (error) {
+      if (!subsystem.optional) {
+        throw new Error(`Subsystem "${subsystem.name}" failed: ${error.message}`, { cause: error });
+      }
+      console.warn(`- Subsystem "${subsystem.name}" failed, continuing without it:`, error);
+      context.failedSubsystems.push({ name: subsystem.name, error });
+      await disposeSubsystem(subsystem, context);
+      return false;
+    }
+    initialized.add(subsystem.name);
+    return true;
+  }
+
+  // Sorted order guarantees dependencies are in the map before their dependents look them up
+  for (const subsystem of sorted) {
+    pending.set(subsystem.name, initialize(subsystem));
+  }
+  const results = await Promise.allSettled(pending.values());
+
+  context.subsystems = sorted.filter((subsystem) => initialized.has(subsystem.name));
+  const failure = results.find((result) => result.status === 'rejected');
+  if (failure) {
+    throw failure.reason;
+  }
+
+  console.log(`✓ Initialized ${context.subsystems.length} subsystem(s): ${context.subsystems.map((s) => s.name).join(', ')}`);
+  return context.subsystems;
+}
+
+/**
+ * Run the per-frame update of every initialized subsystem
+ * @param {object} context - Subsystem context
+ * @param {number} deltaTime - Time since the last frame in seconds
+ * @param {number} time - Current time in milliseconds
+ */
+export function updateSubsystems(context, deltaTime, time) {
+  for (const subsystem of context.subsystems || []) {
+    if (subsystem.update) {
+      subsystem.update(context, deltaTime, time);
+    }
+  }
+}
+
+/**
+ * Dispose initialized subsystems in reverse initialization order.
+ * A failing dispose is logged and does not stop the others.
+ * @param {object} context - Subsystem context
+ */
+export async function disposeSubsystems(context) {
+  const subsystems = [...(context.subsystems || [])].reverse();
+  for (const subsystem of subsystems) {
+    await disposeSubsystem(subsystem, context);
+  }
+  context.subsystems = [];
+}
+
+/**
+ * Dispose one subsystem, logging instead of throwing on failure
+ * @param {object} subsystem - The subsystem
+ * @param {object} context - Subsystem context
+ */
+async function disposeSubsystem(subsystem, context) {
+  if (!subsystem.dispose) return;
+  try {
+    await subsystem.dispose(context);
+  } catch (error) {
+    console.error(`Failed to dispose subsystem "${subsystem.name}":`, error);
+  }
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { registerSubsystem, unregisterSubsystem, initializeSubsystems } from './subsystems.js';
+
+// Subsystem whose init waits until release() is called, recording when it starts and ends
+function deferredSubsystem(name, log, options = {}) {
+  let release;
+  const released = new Promise((resolve) => { release = resolve; });
+  return {
+    subsystem: {
+      name,
+      ...options,
+      init: async () => {
+        log.push(`start ${name}`);
+        await released;
+        if (options.fail) throw new Error(`${name} failed`);
+        log.push(`done ${name}`);
+      },
+    },
+    release,
+  };
+}
+
+describe('initializeSubsystems', () => {
+  const names = [];
+  const register = (subsystem) => {
+    names.push(subsystem.name);
+    registerSubsystem(subsystem);
+  };
+
+  afterEach(() => {
+    names.splice(0).forEach(unregisterSubsystem);
+  });
+
+  it('starts independent subsystems in parallel and dependents after their dependencies', async () => {
+    const log = [];
+    const audio = deferredSubsystem('audio', log);
+    const collisions = deferredSubsystem('collisions', log);
+    const objects = deferredSubsystem('objects', log, { requires: ['collisions'] });
+    [audio, collisions, objects].forEach(({ subsystem }) => register(subsystem));
+
+    const context = {};
+    const initialized = initializeSubsystems(context);
+    await Promise.resolve();
+    expect(log).toEqual(['start audio', 'start collisions']);
+
+    collisions.release();
+    await new Promise((resolve) => setTimeout(resolve));
+    expect(log).toEqual(['start audio', 'start collisions', 'done collisions', 'start objects']);
+
+    objects.release();
+    audio.release();
+    await initialized;
+    expect(context.subsystems.map((subsystem) => subsystem.name)).toEqual(['audio', 'collisions', 'objects']);
+  });
+
+  it('keeps the initialized subsystems when another one fails', async () => {
+    const log = [];
+    const audio = deferredSubsystem('audio', log);
+    const lighting = deferredSubsystem('lighting', log, { fail: true });
+    [audio, lighting].forEach(({ subsystem }) => register(subsystem));
+
+    const context = {};
+    const initialized = initializeSubsystems(context);
+    audio.release();
+    lighting.release();
+
+    await expect(initialized).rejects.toThrow('lighting failed');
+    expect(context.subsystems.map((subsystem) => subsystem.name)).toEqual(['audio']);
+  });
+
+  it('continues without an optional subsystem that fails, skipping its dependents', async () => {
+    const log = [];
+    const collisions = deferredSubsystem('collisions', log, { optional: true, fail: true });
+    const objects = deferredSubsystem('objects', log, { requires: ['collisions'] });
+    const hud = deferredSubsystem('hud', log);
+    [collisions, objects, hud].forEach(({ subsystem }) => register(subsystem));
+
+    const context = {};
+    const initialized = initializeSubsystems(context);
+    collisions.release();
+    hud.release();
+    await initialized;
+
+    expect(context.subsystems.map((subsystem) => subsystem.name)).toEqual(['hud']);
+    expect(context.failedSubsystems.map(({ name, error }) => `${name}: ${error.message}`)).toEqual(['collisions: collisions failed']);
+    expect(log).not.toContain('start objects');
+  });
+});
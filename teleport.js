@@ -0,0 +1,321 @@
+// VR Teleport
+// Teleport locomotion for VR, for players who get sick from smooth locomotion. Hold the
+// trigger (or pinch with a tracked hand, or push the thumbstick forward) to aim a parabolic
+// arc from the controller or hand ray, release to teleport to the reticle. The view fades
+// out and back in around the jump (see fade.js).
+//
+// Targets are validated by raycasts against the Rapier collision world: the surface must be
+// walkable (not steeper than maxSlopeAngle) with headroom above it. Scenes without a physics
+// world land on the floor plane at the player's height.
+//
+// Scenes opt in with CONTROLS_CONFIG.vrLocomotion = 'teleport' (the default is 'smooth'), which
+// also turns off the thumbstick movement of SparkControls. Options (CONTROLS_CONFIG.teleport)
+// override TELEPORT_DEFAULTS.
+
+import * as THREE from "three";
+import * as RAPIER from "@dimforge/rapier3d-compat";
+import { fadeThrough } from "./fade.js";
+import { isPhysicsEnabled, teleportCharacter, getCharacterFrameHeight } from "./character-physics.js";
+import { getHandStates } from "./throw-hand.js";
+import { emit, EVENTS } from "./events.js";
+
+export const TELEPORT_DEFAULTS = {
+  arcSpeed: 7,          // Launch speed of the arc in m/s (sets the range)
+  gravity: 9.81,        // Downward acceleration bending the arc in m/s²
+  arcStep: 0.03,        // Seconds of flight per arc segment
+  maxArcSteps: 60,      // Segments before the arc gives up
+  maxSlopeAngle: 45,    // Steepest walkable surface in degrees
+  headroom: 1.8,        // Free space needed above the target in meters
+  fadeDuration: 0.15,   // Seconds for each half of the fade
+};
+
+const THUMBSTICK_AIM = -0.6;    // Thumbstick pushed forward this far starts aiming
+const THUMBSTICK_RELEASE = -0.3; // and released back past this teleports
+const VALID_COLOR = 0x4facfe;
+const INVALID_COLOR = 0xff6b6b;
+const UP = new THREE.Vector3(0, 1, 0);
+
+let sparkSceneRef = null;
+let teleportOptions = { ...TELEPORT_DEFAULTS };
+let controllers = []; // { controller, inputSource, selecting, stickAiming, cancelled, listeners }
+let aimingController = null;
+let currentTarget = null; // Last arc result while aiming
+let arcLine = null;
+let reticle = null;
+
+/**
+ * Find where a segment first hits the collision world (dynamic objects are ignored)
+ * Without a physics world the segment is intersected with a horizontal floor plane instead.
+ * @param {RAPIER.World|null} physicsWorld
+ * @param {THREE.Vector3} from
+ * @param {THREE.Vector3} to
+ * @param {number|undefined} floorHeight - Floor plane height used without a physics world
+ * @returns {{point: THREE.Vector3, normal: THREE.Vector3}|null}
+ */
+function castSegment(physicsWorld, from, to, floorHeight) {
+  const direction = to.clone().sub(from);
+  const length = direction.length();
+  if (length === 0) return null;
+  direction.divideScalar(length);
+
+  if (!physicsWorld) {
+    if (floorHeight === undefined || from.y < floorHeight || to.y >= floorHeight) return null;
+    const fraction = (from.y - floorHeight) / (from.y - to.y);
+    return { point: from.clone().lerp(to, fraction), normal: UP.clone() };
+  }
+
+  const ray = new RAPIER.Ray(from, direction);
+  const hit = physicsWorld.castRayAndGetNormal(ray, length, true, RAPIER.QueryFilterFlags.EXCLUDE_DYNAMIC);
+  if (!hit) return null;
+
+  const normal = new THREE.Vector3(hit.normal.x, hit.normal.y, hit.normal.z);
+  if (normal.dot(direction) > 0) {
+    normal.negate(); // Collision meshes are triangle soups: use the side the arc came from
+  }
+  return { point: from.clone().addScaledVector(direction, hit.toi), normal };
+}
+
+/**
+ * Trace a teleport arc and validate where it lands
+ * @param {RAPIER.World|null} physicsWorld - Collision world (null: land on the floor plane)
+ * @param {THREE.Vector3} origin - Start of the arc (controller or hand ray origin), world space
+ * @param {THREE.Vector3} direction - Aim direction, world space
+ * @param {object} options - TELEPORT_DEFAULTS overrides, plus floorHeight for scenes without a physics world
+ * @returns {object} - { points, hit: { point, normal } | null, valid, reason }, reason is
+ *   null for a valid target, otherwise 'no surface', 'too steep' or 'no headroom'
+ */
+export function computeTeleportArc(physicsWorld, origin, direction, options = {}) {
+  const { arcSpeed, gravity, arcStep, maxArcSteps, maxSlopeAngle, headroom, floorHeight } = { ...TELEPORT_DEFAULTS, ...options };
+
+  const points = [origin.clone()];
+  const position = origin.clone();
+  const velocity = direction.clone().normalize().multiplyScalar(arcSpeed);
+
+  for (let step = 0; step < maxArcSteps; step++) {
+    const next = position.clone().addScaledVector(velocity, arcStep);
+    velocity.y -= gravity * arcStep;
+
+    const hit = castSegment(physicsWorld, position, next, floorHeight);
+    if (hit) {
+      points.push(hit.point);
+
+      // Walls and steep slopes are not walkable
+      if (hit.normal.y < Math.cos(THREE.MathUtils.degToRad(maxSlopeAngle))) {
+        return { points, hit, valid: false, reason: 'too steep' };
+      }
+
+      // Something above the target would be inside the player's head
+      if (physicsWorld) {
+        const ceiling = castSegment(physicsWorld, hit.point.clone().addScaledVector(UP, 0.05), hit.point.clone().addScaledVector(UP, headroom));
+        if (ceiling) {
+          return { points, hit, valid: false, reason: 'no headroom' };
+        }
+      }
+      return { points, hit, valid: true, reason: null };
+    }
+
+    points.push(next);
+    position.copy(next);
+  }
+  return { points, hit: null, valid: false, reason: 'no surface' };
+}
+
+/**
+ * Move the player so their head is above a target on the floor
+ * In VR the localFrame is the floor origin of the tracking space and the camera is the head
+ * inside it (this is what the localFrame compensation in startAnimationLoop keeps), so the
+ * head's horizontal offset is subtracted to land the head, not the frame origin, on the target.
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {THREE.Vector3} point - Target on the floor, world space
+ * @returns {THREE.Vector3} - The new localFrame position
+ */
+export function teleportPlayer(sparkScene, point) {
+  const { localFrame, camera } = sparkScene;
+  const headOffset = camera.position.clone().applyQuaternion(localFrame.quaternion);
+  const position = new THREE.Vector3(point.x - headOffset.x, point.y, point.z - headOffset.z);
+
+  // Walk mode keeps the localFrame at the character's eye height (minus the calibrated head height)
+  if (isPhysicsEnabled()) {
+    position.y += getCharacterFrameHeight();
+  }
+  localFrame.position.copy(position);
+  teleportCharacter(position);
+  return position;
+}
+
+/**
+ * Create the arc line and the landing reticle
+ * @param {THREE.Scene} scene
+ */
+function createTeleportVisuals(scene) {
+  const arcGeometry = new THREE.BufferGeometry();
+  arcGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((teleportOptions.maxArcSteps + 1) * 3), 3));
+  arcLine = new THREE.Line(arcGeometry, new THREE.LineBasicMaterial({ color: VALID_COLOR }));
+  arcLine.name = 'teleport-arc';
+  arcLine.frustumCulled = false;
+  arcLine.visible = false;
+  scene.add(arcLine);
+
+  const reticleGeometry = new THREE.RingGeometry(0.2, 0.26, 32).rotateX(-Math.PI / 2);
+  reticle = new THREE.Mesh(reticleGeometry, new THREE.MeshBasicMaterial({ color: VALID_COLOR, side: THREE.DoubleSide }));
+  reticle.name = 'teleport-reticle';
+  reticle.visible = false;
+  scene.add(reticle);
+}
+
+/**
+ * Show an arc result
+ * @param {object|null} arc - Result of computeTeleportArc, or null to hide the arc
+ */
+function showArc(arc) {
+  if (!arcLine) return;
+  arcLine.visible = Boolean(arc);
+  reticle.visible = Boolean(arc?.hit);
+  if (!arc) return;
+
+  const color = arc.valid ? VALID_COLOR : INVALID_COLOR;
+  const positions = arcLine.geometry.attributes.position;
+  arc.points.forEach((point, index) => positions.setXYZ(index, point.x, point.y, point.z));
+  positions.needsUpdate = true;
+  arcLine.geometry.setDrawRange(0, arc.points.length);
+  arcLine.material.color.setHex(color);
+
+  if (arc.hit) {
+    reticle.position.copy(arc.hit.point).addScaledVector(arc.hit.normal, 0.02); // Above the surface
+    reticle.quaternion.setFromUnitVectors(UP, arc.hit.normal);
+    reticle.material.color.setHex(color);
+  }
+}
+
+/**
+ * Whether a controller's input asks to aim this frame
+ * @param {object} entry - Controller entry
+ * @returns {boolean}
+ */
+function wantsToAim(entry) {
+  const { inputSource } = entry;
+  if (!inputSource) return false;
+
+  // A tracked hand pinching to grab a ball is not aiming
+  if (inputSource.hand && getHandStates()[inputSource.handedness]?.grabbedObject) {
+    entry.cancelled = true;
+  }
+
+  // xr-standard gamepads have the thumbstick on axes 2 and 3 (forward is negative)
+  const stickY = inputSource.gamepad?.axes[3] ?? 0;
+  if (stickY < THUMBSTICK_AIM) entry.stickAiming = true;
+  else if (stickY > THUMBSTICK_RELEASE) entry.stickAiming = false;
+
+  return (entry.selecting || entry.stickAiming) && !entry.cancelled;
+}
+
+/**
+ * Initialize teleport locomotion for VR
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {object} controlsConfig - CONTROLS_CONFIG of the scene (vrLocomotion, teleport)
+ */
+export function initializeTeleport(sparkScene, controlsConfig = {}) {
+  if (controlsConfig.vrLocomotion !== 'teleport') return;
+
+  sparkSceneRef = sparkScene;
+  teleportOptions = { ...TELEPORT_DEFAULTS, ...controlsConfig.teleport };
+
+  // Teleport replaces the smooth thumbstick movement
+  sparkScene.controls.fpsMovement.xr = null;
+
+  // Target ray spaces of both controllers (or tracked hands), in tracking space like the camera
+  for (let index = 0; index < 2; index++) {
+    const controller = sparkScene.renderer.xr.getController(index);
+    const entry = { controller, inputSource: null, selecting: false, stickAiming: false, cancelled: false };
+    entry.listeners = {
+      connected: (event) => { entry.inputSource = event.data; },
+      disconnected: () => {
+        entry.inputSource = null;
+        entry.selecting = false;
+        entry.stickAiming = false;
+      },
+      selectstart: () => {
+        entry.selecting = true;
+        entry.cancelled = false;
+      },
+      selectend: () => { entry.selecting = false; },
+    };
+    for (const [type, listener] of Object.entries(entry.listeners)) {
+      controller.addEventListener(type, listener);
+    }
+    sparkScene.localFrame.add(controller);
+    controllers.push(entry);
+  }
+
+  createTeleportVisuals(sparkScene.scene);
+  console.log("- Teleport locomotion initialized (aim with the trigger, a pinch or the thumbstick)");
+}
+
+/**
+ * Update the arc while aiming and teleport when the aim is released
+ * @param {SparkScene} sparkScene - The spark scene
+ */
+export function updateTeleport(sparkScene) {
+  if (!sparkSceneRef) return;
+  if (!sparkScene.renderer?.xr.isPresenting) {
+    aimingController = null;
+    showArc(null);
+    return;
+  }
+
+  // Only one hand aims at a time
+  if (aimingController && !wantsToAim(aimingController)) {
+    const released = aimingController;
+    aimingController = null;
+    showArc(null);
+    if (currentTarget?.valid && !released.cancelled) {
+      const point = currentTarget.hit.point.clone();
+      const hand = released.inputSource?.handedness;
+      fadeThrough(() => {
+        const position = teleportPlayer(sparkScene, point);
+        console.log(`- Teleported to (${point.x.toFixed(2)}, ${point.y.toFixed(2)}, ${point.z.toFixed(2)})`);
+        emit(EVENTS.PLAYER_TELEPORTED, { position, hand });
+      }, { fadeOut: teleportOptions.fadeDuration, fadeIn: teleportOptions.fadeDuration });
+    }
+    currentTarget = null;
+  }
+  if (!aimingController) {
+    aimingController = controllers.find(wantsToAim) || null;
+  }
+  if (!aimingController) return;
+
+  const { controller } = aimingController;
+  const origin = controller.getWorldPosition(new THREE.Vector3());
+  const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(controller.getWorldQuaternion(new THREE.Quaternion()));
+  currentTarget = computeTeleportArc(sparkScene.physicsWorld, origin, direction, {
+    ...teleportOptions,
+    floorHeight: sparkScene.localFrame.position.y,
+  });
+  showArc(currentTarget);
+}
+
+/**
+ * Remove the controllers, arc and reticle
+ */
+export function disposeTeleport() {
+  for (const { controller, listeners } of controllers) {
+    for (const [type, listener] of Object.entries(listeners)) {
+      controller.removeEventListener(type, listener);
+    }
+    controller.removeFromParent();
+  }
+  for (const object of [arcLine, reticle]) {
+    if (object) {
+      object.removeFromParent();
+      object.geometry.dispose();
+      object.material.dispose();
+    }
+  }
+  controllers = [];
+  aimingController = null;
+  currentTarget = null;
+  arcLine = null;
+  reticle = null;
+  sparkSceneRef = null;
+  teleportOptions = { ...TELEPORT_DEFAULTS };
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { setupHeadlessTests, createSimulation, createFloor } from './headless-fixtures.js';
+import { computeTeleportArc, teleportPlayer } from './teleport.js';
+
+// Floor with a low shelf over part of it and a steep ramp
+function createRoom() {
+  const room = new THREE.Group();
+  const floor = createFloor(20);
+  const shelf = new THREE.Mesh(new THREE.BoxGeometry(4, 0.2, 4));
+  shelf.position.set(6, 1.3, -4);
+  const ramp = new THREE.Mesh(new THREE.BoxGeometry(4, 0.2, 4));
+  ramp.position.set(-6, 1, -4);
+  ramp.rotation.z = THREE.MathUtils.degToRad(60);
+  room.add(floor, shelf, ramp);
+  return room;
+}
+
+const down = new THREE.Vector3(0, -1, 0);
+
+describe('teleport', () => {
+  let simulation = null;
+  setupHeadlessTests();
+
+  beforeEach(async () => {
+    simulation = await createSimulation({ collisionMesh: createRoom() });
+    simulation.step(); // Fills the query pipeline used by the raycasts
+  });
+
+  it('lands a forward arc on the floor', () => {
+    const arc = computeTeleportArc(simulation.sparkScene.physicsWorld, new THREE.Vector3(0, 1.5, 0), new THREE.Vector3(0, 0.3, -1));
+
+    expect(arc).toMatchObject({ valid: true, reason: null });
+    expect(arc.hit.point.y).toBeCloseTo(0);
+    expect(arc.hit.point.z).toBeLessThan(-4);
+    expect(arc.points.length).toBeGreaterThan(2);
+  });
+
+  it('rejects steep surfaces, low ceilings and arcs that land nowhere', () => {
+    const { physicsWorld } = simulation.sparkScene;
+
+    expect(computeTeleportArc(physicsWorld, new THREE.Vector3(-6, 3, -4), down).reason).toBe('too steep');
+    expect(computeTeleportArc(physicsWorld, new THREE.Vector3(6, 1, -4), down).reason).toBe('no headroom');
+    expect(computeTeleportArc(physicsWorld, new THREE.Vector3(0, 1.5, 0), new THREE.Vector3(0, 1, 0), { maxArcSteps: 5 }))
+      .toMatchObject({ valid: false, hit: null, reason: 'no surface' });
+  });
+
+  it('lands on the floor plane without a physics world', () => {
+    const arc = computeTeleportArc(null, new THREE.Vector3(0, 1.5, 0), new THREE.Vector3(0, 0, -1), { floorHeight: 0 });
+
+    expect(arc.valid).toBe(true);
+    expect(arc.hit.point.y).toBeCloseTo(0);
+  });
+
+  it('puts the head, not the tracking origin, above the target', () => {
+    const { sparkScene } = simulation;
+    sparkScene.camera.position.set(0.5, 1.6, -0.2); // Head away from the center of the play area
+
+    const position = teleportPlayer(sparkScene, new THREE.Vector3(3, 0, -5));
+
+    expect(position.toArray()).toEqual([2.5, 0, -4.8]);
+    expect(sparkScene.camera.getWorldPosition(new THREE.Vector3()).toArray()).toEqual([3, 1.6, -5]);
+  });
+});
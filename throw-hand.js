@@ -1,11 +1,15 @@
 import * as THREE from "three";
 import * as RAPIER from "@dimforge/rapier3d-compat";
+import { emit, EVENTS } from "./events.js";
+import { getTrackedHands, sessionRandom, isReplaying, recordPolledInput, getReplayedInput } from "./session-recorder.js";
 
 // Grab configuration
 const GRAB_DISTANCE = 0.15; // Distance from hand to grab a ball
 const PINCH_THRESHOLD = 0.04; // Distance between thumb and index to trigger pinch
 const VELOCITY_HISTORY_SIZE = 5; // Number of frames to average for throw velocity
 const THROW_MULTIPLIER = 2.0; // Multiply velocity for stronger throws
+const SQUEEZE_BUTTON = 1; // Grip button of xr-standard gamepads
+const POSITION_PRECISION = 10000; // Controller positions are rounded to 0.1mm so live play and replay agree
 
 // State for each hand
 const handStates = {
@@ -27,6 +31,7 @@ const handStates = {
 
 let sparkSceneRef = null;
 let lastTime = 0;
+let controllerGrips = []; // { grip, inputSource, listeners } of both XR controllers
 
 /**
  * Initialize throw hand tracking
@@ -34,7 +39,69 @@ let lastTime = 0;
  */
 export function initializeThrowHands(sparkScene) {
   sparkSceneRef = sparkScene;
-  console.log("- Throw hands initialized");
+
+  // Grip spaces of both controllers, in tracking space like the hand joints
+  const xr = sparkScene.renderer?.xr;
+  for (let index = 0; xr && index < 2; index++) {
+    const grip = xr.getControllerGrip(index);
+    const entry = { grip, inputSource: null };
+    entry.listeners = {
+      connected: (event) => { entry.inputSource = event.data; },
+      disconnected: () => { entry.inputSource = null; },
+    };
+    for (const [type, listener] of Object.entries(entry.listeners)) {
+      grip.addEventListener(type, listener);
+    }
+    sparkScene.localFrame.add(grip);
+    controllerGrips.push(entry);
+  }
+  console.log("- Throw hands initialized (pinch with a tracked hand or squeeze a controller's grip)");
+}
+
+/**
+ * Get the controller grips the per-frame updates should use: the replayed ones while
+ * replaying, otherwise the XR controllers (not tracked hands) while in VR. Live controller
+ * state is recorded with the session.
+ * @param {SparkScene} sparkScene - The spark scene
+ * @returns {{left: object, right: object}|null} - Per hand { position: [x, y, z] in the
+ *   local frame, squeezing } or null, or null if there are no controllers
+ */
+function getTrackedControllers(sparkScene) {
+  if (isReplaying()) {
+    const controllers = getReplayedInput('controllers');
+    return controllers?.left || controllers?.right ? controllers : null;
+  }
+  if (!sparkScene.renderer?.xr.isPresenting) return null;
+
+  const controllers = { left: null, right: null };
+  for (const { grip, inputSource } of controllerGrips) {
+    if (!inputSource || inputSource.hand || !inputSource.gamepad || !(inputSource.handedness in controllers)) continue;
+    controllers[inputSource.handedness] = {
+      position: grip.position.toArray().map((value) => Math.round(value * POSITION_PRECISION) / POSITION_PRECISION),
+      squeezing: Boolean(inputSource.gamepad.buttons[SQUEEZE_BUTTON]?.pressed),
+    };
+  }
+  recordPolledInput({ type: 'controllers', ...controllers });
+  return controllers.left || controllers.right ? controllers : null;
+}
+
+/**
+ * Get where a hand or controller grabs and whether it is grabbing. A tracked hand pinches,
+ * a controller squeezes its grip button.
+ * @param {object} hand - Hand joint data from xrHands, or null
+ * @param {object} controller - Controller grip state (see getTrackedControllers), or null
+ * @returns {{position: THREE.Vector3, grabbing: boolean}|null} - Position in the local
+ *   frame, or null if neither is tracked
+ */
+function getGrabInput(hand, controller) {
+  const pinchPos = getPinchPosition(hand);
+  if (pinchPos) {
+    return { position: pinchPos, grabbing: isPinching(hand) };
+  }
+  if (controller) {
+    return { position: new THREE.Vector3().fromArray(controller.position), grabbing: controller.squeezing };
+  }
+  return null;
 }
 
 /**
@@ -81,7 +148,7 @@ function findNearestGrabbable(sparkScene, position) {
   let nearestDistance = GRAB_DISTANCE;
   
   sparkScene.dynamicObjects.forEach((obj, name) => {
-    if (!obj.mesh || !obj.body) return;
+    if (!obj.mesh || !obj.body || obj.bodyType !== 'dynamic') return;
     
     // Skip if already grabbed by other hand
     if (handStates.left.grabbedObject?.name === name || 
@@ -122,6 +189,7 @@ function grabObject(handName, target) {
   state.velocityHistory = [];
   
   console.log(`- Grabbed "${target.name}" with ${handName} hand`);
+  emit(EVENTS.OBJECT_GRABBED, { name: target.name, hand: handName });
 }
 
 /**
@@ -148,14 +216,15 @@ function releaseObject(handName) {
   // Apply throw velocity
   body.setLinvel({ x: avgVelocity.x, y: avgVelocity.y, z: avgVelocity.z }, true);
   
-  // Add some spin for realism
+  // Add some spin for realism (seeded while recording or replaying a session)
   body.setAngvel({ 
-    x: (Math.random() - 0.5) * 5, 
-    y: (Math.random() - 0.5) * 5, 
-    z: (Math.random() - 0.5) * 5 
+    x: (sessionRandom() - 0.5) * 5, 
+    y: (sessionRandom() - 0.5) * 5, 
+    z: (sessionRandom() - 0.5) * 5 
   }, true);
   
   console.log(`- Released "${state.grabbedObject.name}" with velocity [${avgVelocity.x.toFixed(2)}, ${avgVelocity.y.toFixed(2)}, ${avgVelocity.z.toFixed(2)}]`);
+  emit(EVENTS.OBJECT_THROWN, { name: state.grabbedObject.name, velocity: avgVelocity.clone(), source: 'hand' });
   
   state.grabbedObject = null;
   state.velocityHistory = [];
@@ -167,7 +236,11 @@ function releaseObject(handName) {
  * @param {number} time - Current time in milliseconds
  */
 export function updateThrowHands(sparkScene, time) {
-  if (!sparkScene.renderer.xr.isPresenting || !sparkScene.xrHands) return;
+  // Tracked XR hands and controllers, or the recorded ones while a session replays.
+  // Each side can use either, e.g. a tracked left hand and a right controller
+  const hands = getTrackedHands(sparkScene);
+  const controllers = getTrackedControllers(sparkScene);
+  if (!hands && !controllers) return;
   
   const deltaTime = (time - lastTime) / 1000; // Convert to seconds
   lastTime = time;
@@ -177,17 +250,14 @@ export function updateThrowHands(sparkScene, time) {
   
   // Process each hand
   for (const handName of ['left', 'right']) {
-    const hand = sparkScene.xrHands.hands[handName];
     const state = handStates[handName];
     
-    if (!hand) continue;
-    
-    // Get current pinch position
-    const pinchPos = getPinchPosition(hand);
-    if (!pinchPos) continue;
+    // Get current pinch (or grip) position
+    const grabInput = getGrabInput(hands?.[handName], controllers?.[handName]);
+    if (!grabInput) continue;
     
     // Transform pinch position from local frame to world space
-    const worldPinchPos = pinchPos.clone();
+    const worldPinchPos = grabInput.position.clone();
     sparkScene.localFrame.localToWorld(worldPinchPos);
     
     // Calculate velocity
@@ -205,8 +275,8 @@ export function updateThrowHands(sparkScene, time) {
     state.lastPosition.copy(worldPinchPos);
     state.pinchPosition.copy(worldPinchPos);
     
-    // Check pinch state
-    const currentlyPinching = isPinching(hand);
+    // Check pinch state (a squeezed grip counts as a pinch)
+    const currentlyPinching = grabInput.grabbing;
     
     // Pinch started
     if (currentlyPinching && !state.isPinching) {
@@ -260,3 +330,24 @@ export function getHandStates() {
   return handStates;
 }
 
+/**
+ * Drop any grabbed objects and reset hand tracking state
+ */
+export function disposeThrowHands() {
+  for (const state of Object.values(handStates)) {
+    state.isPinching = false;
+    state.grabbedObject = null;
+    state.velocityHistory = [];
+    state.lastPosition.set(0, 0, 0);
+    state.pinchPosition.set(0, 0, 0);
+  }
+  for (const { grip, listeners } of controllerGrips) {
+    for (const [type, listener] of Object.entries(listeners)) {
+      grip.removeEventListener(type, listener);
+    }
+    grip.removeFromParent();
+  }
+  controllerGrips = [];
+  sparkSceneRef = null;
+  lastTime = 0;
+}
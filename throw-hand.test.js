@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { setupHeadlessTests, createSimulation, createFloor } from './headless-fixtures.js';
+import { addDynamicObject } from './collisions.js';
+import { startRecording, stopRecording, encodeRecording, decodeRecording } from './session-recorder.js';
+import { initializeThrowHands, updateThrowHands, disposeThrowHands, getHandStates } from './throw-hand.js';
+import { EVENTS } from './events.js';
+
+// Headset with a tracked left hand and a controller in the right hand
+function createXR() {
+  const grips = [new THREE.Group(), new THREE.Group()];
+  const controller = { handedness: 'right', gamepad: { buttons: [{ pressed: false }, { pressed: false }] } };
+  const pinch = new THREE.Vector3(-0.4, 0.3, -0.5);
+  const leftHand = { t3: { position: pinch.clone() }, i4: { position: pinch.clone().add(new THREE.Vector3(0.1, 0, 0)) } };
+  return { grips, controller, leftHand };
+}
+
+// Two balls on a floor: one at the left hand, one at the right controller
+function createBallScene(xr = null) {
+  const floor = createFloor();
+  return createSimulation({
+    collisionMesh: floor,
+    subsystems: [{
+      name: 'throwHands',
+      requires: ['collisions'],
+      init: ({ sparkScene }) => {
+        addDynamicObject(sparkScene, new THREE.Mesh(), 'left ball', 0.2, new THREE.Vector3(-0.35, 0.2, -0.5));
+        addDynamicObject(sparkScene, new THREE.Mesh(), 'right ball', 0.2, new THREE.Vector3(0.4, 0.2, -0.5));
+        if (xr) {
+          sparkScene.renderer = { xr: { isPresenting: true, getControllerGrip: (index) => xr.grips[index] } };
+          sparkScene.xrHands = { hands: { left: xr.leftHand, right: null } };
+        }
+        initializeThrowHands(sparkScene);
+      },
+      update: ({ sparkScene }, deltaTime, time) => updateThrowHands(sparkScene, time),
+      dispose: () => disposeThrowHands(),
+    }],
+  });
+}
+
+describe('throw hands', () => {
+  let simulation = null;
+  setupHeadlessTests();
+
+  it('grabs with a tracked hand and a controller grip at the same time, and throws with the controller', async () => {
+    const xr = createXR();
+    simulation = await createBallScene(xr);
+    simulation.run(0.5); // Let the balls settle
+    xr.grips[1].dispatchEvent({ type: 'connected', data: xr.controller });
+    xr.grips[1].position.set(0.4, 0.2, -0.5);
+
+    // Pinch with the left hand, squeeze the right grip
+    xr.leftHand.i4.position.copy(xr.leftHand.t3.position);
+    xr.controller.gamepad.buttons[1].pressed = true;
+    simulation.run(0.1);
+
+    expect(simulation.eventsOf(EVENTS.OBJECT_GRABBED)).toEqual([
+      { name: 'left ball', hand: 'left' },
+      { name: 'right ball', hand: 'right' },
+    ]);
+
+    // Swing the controller forward and let go
+    for (let frame = 0; frame < 10; frame++) {
+      xr.grips[1].position.z -= 0.05;
+      simulation.step();
+    }
+    xr.controller.gamepad.buttons[1].pressed = false;
+    simulation.step();
+
+    const [thrown] = simulation.eventsOf(EVENTS.OBJECT_THROWN);
+    expect(thrown).toMatchObject({ name: 'right ball', source: 'hand' });
+    expect(thrown.velocity.z).toBeLessThan(-2);
+    expect(getHandStates().left.grabbedObject?.name).toBe('left ball');
+  });
+
+  it('replays a controller throw without a headset', async () => {
+    const xr = createXR();
+    simulation = await createBallScene(xr);
+    xr.grips[1].dispatchEvent({ type: 'connected', data: xr.controller });
+    xr.grips[1].position.set(0.4, 0.2, -0.5);
+    startRecording('headless');
+    simulation.run(0.5);
+    xr.controller.gamepad.buttons[1].pressed = true;
+    for (let frame = 0; frame < 10; frame++) {
+      xr.grips[1].position.y += 0.05;
+      simulation.step();
+    }
+    xr.controller.gamepad.buttons[1].pressed = false;
+    simulation.run(0.5);
+    const recording = stopRecording();
+    const recordedPosition = simulation.getObjectPosition('right ball');
+    await simulation.dispose();
+
+    simulation = await createBallScene();
+    const result = simulation.replay(await decodeRecording(await encodeRecording(recording)));
+
+    expect(recording.actions.map(({ type, name }) => [type, name])).toEqual([['grab', 'right ball'], ['throw', 'right ball']]);
+    expect(result.matches).toBe(true);
+    expect(simulation.getObjectPosition('right ball')).toEqual(recordedPosition);
+  });
+});
@@ -0,0 +1,264 @@
+// VR Turning
+// Rotation for seated VR users: snap turn (fixed angle steps) or smooth turn (degrees per
+// second), with the right thumbstick or a hand gesture. The gesture is a pinch of thumb and
+// middle finger (the index pinch grabs and teleports): the left hand turns left, the right
+// hand turns right, once per pinch in snap mode and while pinching in smooth mode.
+//
+// The player turns around their head, not the tracking origin, so the view does not swing
+// sideways. The turn mode is a per-user comfort preference kept in localStorage; the scene's
+// CONTROLS_CONFIG.turning sets the defaults.
+
+import * as THREE from "three";
+import { getTrackedHands, isReplaying, recordPolledInput, getReplayedInput } from "./session-recorder.js";
+import { offsetCharacter } from "./character-physics.js";
+
+const PREFERENCES_STORAGE_KEY = 'spark-turn-preferences';
+export const TURN_MODES = ['snap', 'smooth', 'off'];
+
+export const TURNING_DEFAULTS = {
+  mode: 'snap',       // 'snap', 'smooth' or 'off'
+  snapAngle: 30,      // Degrees per snap turn
+  smoothSpeed: 90,    // Degrees per second of smooth turning
+};
+
+const STICK_SNAP = 0.7;      // Thumbstick pushed this far sideways snaps once
+const STICK_REARM = 0.3;     // and has to come back past this before the next snap
+const STICK_DEADZONE = 0.2;  // Smooth turning ignores small deflections
+const GESTURE_PINCH = 0.03;  // Thumb to middle finger distance of the turn gesture (meters)
+const UP = new THREE.Vector3(0, 1, 0);
+
+let sparkSceneRef = null;
+let configDefaults = { ...TURNING_DEFAULTS };
+let preferences = { ...TURNING_DEFAULTS };
+let stickArmed = true;
+const gesturePinching = { left: false, right: false };
+let turnButton = null;
+let turnCount = 0;          // Numbers the recorded turns, so two equal turns in a row are both recorded
+let replayedTurn = null;    // Last turn applied by a replay
+
+function loadPreferences() {
+  try {
+    return JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function storePreferences(stored) {
+  try {
+    localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(stored));
+  } catch (error) {
+    console.warn('Failed to save turn preferences:', error);
+  }
+}
+
+/**
+ * Get the turn settings in effect: the user's preferences over the scene's defaults
+ * @returns {object} - { mode, snapAngle, smoothSpeed }
+ */
+export function getTurnPreferences() {
+  return { ...preferences };
+}
+
+/**
+ * Change the user's turn preferences and keep them for the next visits
+ * @param {object} changes - Any of { mode, snapAngle, smoothSpeed }
+ * @returns {object} - The turn settings in effect
+ */
+export function setTurnPreferences(changes) {
+  if (changes.mode !== undefined && !TURN_MODES.includes(changes.mode)) {
+    throw new Error(`Unknown turn mode "${changes.mode}" (expected ${TURN_MODES.join(', ')})`);
+  }
+  const stored = { ...loadPreferences(), ...changes };
+  storePreferences(stored);
+  preferences = { ...configDefaults, ...stored };
+  syncTurnButton();
+  console.log(`- Turning: ${describeTurnMode()}`);
+  return getTurnPreferences();
+}
+
+/**
+ * Switch to the next turn mode (snap, smooth, off)
+ */
+export function cycleTurnMode() {
+  const next = TURN_MODES[(TURN_MODES.indexOf(preferences.mode) + 1) % TURN_MODES.length];
+  setTurnPreferences({ mode: next });
+}
+
+/**
+ * Describe the turn mode for the console and the button label
+ * @returns {string}
+ */
+function describeTurnMode() {
+  if (preferences.mode === 'snap') return `snap turn (${preferences.snapAngle}°)`;
+  if (preferences.mode === 'smooth') return `smooth turn (${preferences.smoothSpeed}°/s)`;
+  return 'turning off';
+}
+
+/**
+ * Rotate the player around the vertical axis through their head
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {number} degrees - Positive turns left, negative turns right
+ */
+export function turnPlayer(sparkScene, degrees) {
+  const { localFrame, camera } = sparkScene;
+  const head = camera.getWorldPosition(new THREE.Vector3());
+  const rotation = new THREE.Quaternion().setFromAxisAngle(UP, THREE.MathUtils.degToRad(degrees));
+
+  // Orbit the frame around the head so the head stays in place
+  const previousPosition = localFrame.position.clone();
+  localFrame.position.sub(head).applyQuaternion(rotation).add(head);
+  localFrame.quaternion.premultiply(rotation);
+  localFrame.updateMatrixWorld(true);
+
+  // In walk mode the frame follows the character body every frame, so the body moves along.
+  // A replay restores the localFrame pose but not the body, so the offset is recorded too
+  const offset = localFrame.position.clone().sub(previousPosition);
+  offsetCharacter(offset);
+  recordPolledInput({ type: 'turnOffset', turn: ++turnCount, offset: offset.toArray() });
+}
+
+/**
+ * Move the character body along with a recorded turn (see turnPlayer)
+ */
+function replayTurnOffset() {
+  const turn = getReplayedInput('turnOffset');
+  if (!turn || turn === replayedTurn) return;
+  replayedTurn = turn;
+  offsetCharacter(new THREE.Vector3().fromArray(turn.offset));
+}
+
+/**
+ * Read the right thumbstick's sideways deflection
+ * @param {XRSession} session
+ * @returns {number} - -1 (left) to 1 (right), 0 without a thumbstick
+ */
+function getStickX(session) {
+  for (const inputSource of session.inputSources) {
+    // xr-standard gamepads have the thumbstick on axes 2 and 3
+    if (inputSource.handedness === 'right' && inputSource.gamepad) {
+      return inputSource.gamepad.axes[2] ?? 0;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Turn direction from the hand gesture: -1 while only the left hand does it, 1 for the
+ * right hand, 0 otherwise. started is true on the frame the gesture begins.
+ * @param {object|null} hands - Tracked hands (see getTrackedHands)
+ * @returns {{direction: number, started: boolean}}
+ */
+function getGestureTurn(hands) {
+  let direction = 0;
+  let started = false;
+  for (const [handName, sign] of [['left', -1], ['right', 1]]) {
+    const hand = hands?.[handName];
+    const pinching = Boolean(hand?.t3 && hand?.m4) && hand.t3.position.distanceTo(hand.m4.position) < GESTURE_PINCH;
+    if (pinching) {
+      direction += sign;
+      started ||= !gesturePinching[handName];
+    }
+    gesturePinching[handName] = pinching;
+  }
+  return { direction, started };
+}
+
+/**
+ * Turn the player from thumbstick and gesture input
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {number} deltaTime - Time since last frame in seconds
+ */
+export function updateTurning(sparkScene, deltaTime) {
+  if (!sparkSceneRef) return;
+  // A replay's recorded localFrame pose already contains the turns; only the body follows
+  if (isReplaying()) {
+    replayTurnOffset();
+    return;
+  }
+  if (preferences.mode === 'off') return;
+
+  const session = sparkScene.renderer?.xr.isPresenting ? sparkScene.renderer.xr.getSession() : null;
+  if (!session) return;
+
+  const stickX = getStickX(session);
+  const gesture = getGestureTurn(getTrackedHands(sparkScene));
+
+  if (preferences.mode === 'snap') {
+    let direction = 0;
+    if (stickArmed && Math.abs(stickX) > STICK_SNAP) {
+      direction = Math.sign(stickX);
+      stickArmed = false;
+    } else if (Math.abs(stickX) < STICK_REARM) {
+      stickArmed = true;
+    }
+    if (!direction && gesture.started) {
+      direction = gesture.direction;
+    }
+    if (direction) {
+      turnPlayer(sparkScene, -direction * preferences.snapAngle);
+    }
+  } else {
+    const stick = Math.abs(stickX) > STICK_DEADZONE ? stickX : 0;
+    const direction = THREE.MathUtils.clamp(stick + gesture.direction, -1, 1);
+    if (direction) {
+      turnPlayer(sparkScene, -direction * preferences.smoothSpeed * deltaTime);
+    }
+  }
+}
+
+/**
+ * Sync turn mode button icon
+ */
+function syncTurnButton() {
+  if (!turnButton) return;
+
+  turnButton.innerHTML = preferences.mode === 'off'
+    ? '<i data-lucide="circle-off"></i>'
+    : `<i data-lucide="${preferences.mode === 'snap' ? 'rotate-cw-square' : 'rotate-cw'}"></i>`;
+  turnButton.setAttribute("aria-label", `VR ${describeTurnMode()} (click to change)`);
+  turnButton.title = `VR ${describeTurnMode()}`;
+
+  // Re-initialize icons
+  if (window.lucide) {
+    window.lucide.createIcons();
+  }
+}
+
+/**
+ * Initialize VR turning
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {object} controlsConfig - CONTROLS_CONFIG of the scene (turning: scene defaults)
+ */
+export function initializeTurning(sparkScene, controlsConfig = {}) {
+  sparkSceneRef = sparkScene;
+  configDefaults = { ...TURNING_DEFAULTS, ...controlsConfig.turning };
+  preferences = { ...configDefaults, ...loadPreferences() };
+  if (!TURN_MODES.includes(preferences.mode)) {
+    preferences.mode = configDefaults.mode;
+  }
+
+  const button = document.getElementById("turn-mode");
+  if (button) {
+    button.addEventListener("click", cycleTurnMode);
+    turnButton = button;
+    syncTurnButton();
+  }
+  console.log(`- VR ${describeTurnMode()} (right thumbstick or thumb-middle finger pinch)`);
+}
+
+/**
+ * Remove the turn mode button handler. Preferences stay in localStorage.
+ */
+export function disposeTurning() {
+  if (turnButton) {
+    turnButton.removeEventListener("click", cycleTurnMode);
+    turnButton.innerHTML = "";
+    turnButton = null;
+  }
+  sparkSceneRef = null;
+  replayedTurn = null;
+  stickArmed = true;
+  gesturePinching.left = false;
+  gesturePinching.right = false;
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { createHeadlessScene, disposeHeadlessScene } from './headless.js';
+import { setupHeadlessTests, createSimulation, createFloor, characterPhysicsSubsystem } from './headless-fixtures.js';
+import { togglePhysics } from './character-physics.js';
+import { initializeTurning, turnPlayer, getTurnPreferences, setTurnPreferences, disposeTurning } from './turning.js';
+
+describe('turning', () => {
+  let sparkScene = null;
+  setupHeadlessTests();
+
+  beforeEach(() => {
+    localStorage.clear();
+    sparkScene = createHeadlessScene();
+  });
+
+  afterEach(() => {
+    disposeTurning();
+    disposeHeadlessScene(sparkScene);
+  });
+
+  it('turns around the head instead of the tracking origin', () => {
+    sparkScene.localFrame.position.set(2, 0, 3);
+    sparkScene.camera.position.set(0.5, 1.6, 0); // Head away from the center of the play area
+    const head = sparkScene.camera.getWorldPosition(new THREE.Vector3());
+
+    turnPlayer(sparkScene, 90);
+
+    const turnedHead = sparkScene.camera.getWorldPosition(new THREE.Vector3());
+    expect(turnedHead.distanceTo(head)).toBeCloseTo(0);
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(sparkScene.camera.getWorldQuaternion(new THREE.Quaternion()));
+    expect(forward.x).toBeCloseTo(-1); // Turned left
+  });
+
+  it('turns around the head in walk mode, moving the character body along', async () => {
+    const simulation = await createSimulation({ collisionMesh: createFloor(), playerPosition: [0, 2, 0], subsystems: [characterPhysicsSubsystem] });
+    simulation.step(); // Fills the query pipeline used by the character controller
+    togglePhysics();
+    simulation.sparkScene.camera.position.set(0.5, 0, 0); // Head away from the center of the play area
+    simulation.run(0.5);
+    const head = simulation.sparkScene.camera.getWorldPosition(new THREE.Vector3());
+
+    // Smooth turning: a little every frame, with physics steps in between
+    for (let frame = 0; frame < 30; frame++) {
+      turnPlayer(simulation.sparkScene, 3);
+      simulation.step();
+    }
+    simulation.run(0.5);
+
+    const turnedHead = simulation.sparkScene.camera.getWorldPosition(new THREE.Vector3());
+    expect(turnedHead.distanceTo(head)).toBeLessThan(0.01);
+  });
+
+  it('keeps the player preference over the scene defaults', () => {
+    initializeTurning(sparkScene, { turning: { mode: 'snap', snapAngle: 45 } });
+    setTurnPreferences({ mode: 'smooth' });
+    disposeTurning();
+
+    initializeTurning(sparkScene, { turning: { mode: 'snap', snapAngle: 45, smoothSpeed: 60 } });
+
+    expect(getTurnPreferences()).toEqual({ mode: 'smooth', snapAngle: 45, smoothSpeed: 60 });
+    expect(() => setTurnPreferences({ mode: 'spin' })).toThrow('Unknown turn mode "spin"');
+  });
+});
@@ -0,0 +1,303 @@
+// Viewpoints
+// Named camera bookmarks of a scene. Authored viewpoints come from SCENE_CONFIG.viewpoints:
+//
+//   viewpoints: [
+//     { name: 'Bedroom', position: { x: -2, y: 7, z: -6.13 }, yaw: 0, pitch: 0 },
+//   ]
+//
+// position is the localFrame position (what the HUD shows as X/Y/Z), yaw and pitch are in
+// degrees (yaw 0 looks down -Z and positive yaw turns left, positive pitch looks up).
+// "Save current view" (B key or the viewpoints menu) bookmarks the current position and
+// orientation in localStorage for the scene and logs it as a config entry to paste.
+// Number keys 1-9 and the menu jump between viewpoints. A jump fades to black, moves the
+// player while the view is black and fades back in (see fade.js). In walk mode the
+// character body is moved along.
+
+import * as THREE from "three";
+import { fadeThrough } from "./fade.js";
+import { teleportCharacter } from "./character-physics.js";
+import { emit, EVENTS } from "./events.js";
+
+const STORAGE_KEY_PREFIX = 'spark-viewpoints:';
+const SAVE_VIEW_KEY = 'KeyB';
+const HOTKEY_COUNT = 9; // Digit1 ... Digit9
+
+let sparkSceneRef = null;
+let storageKey = null;
+let authoredViewpoints = [];
+let savedViewpoints = [];
+let viewpointKeyHandler = null;
+let viewpointsToggleButton = null;
+let menuVisible = false;
+
+/**
+ * Convert a config or storage entry to a viewpoint
+ * @param {object} entry - { name, position: { x, y, z }, yaw, pitch }
+ * @param {boolean} saved - Whether the viewpoint was saved in the browser
+ * @returns {object} - { name, position: THREE.Vector3, yaw, pitch, saved }
+ */
+function toViewpoint(entry, saved) {
+  return {
+    name: entry.name,
+    position: new THREE.Vector3(entry.position.x, entry.position.y, entry.position.z),
+    yaw: entry.yaw ?? 0,
+    pitch: entry.pitch ?? 0,
+    saved,
+  };
+}
+
+/**
+ * Convert a viewpoint to the SCENE_CONFIG.viewpoints format (rounded like the HUD)
+ * @param {object} viewpoint
+ * @returns {object}
+ */
+function toConfigEntry(viewpoint) {
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    name: viewpoint.name,
+    position: { x: round(viewpoint.position.x), y: round(viewpoint.position.y), z: round(viewpoint.position.z) },
+    yaw: round(viewpoint.yaw),
+    pitch: round(viewpoint.pitch),
+  };
+}
+
+function loadSavedViewpoints() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(storageKey)) || [];
+    return entries.map((entry) => toViewpoint(entry, true));
+  } catch (error) {
+    return [];
+  }
+}
+
+function storeSavedViewpoints() {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(savedViewpoints.map(toConfigEntry)));
+  } catch (error) {
+    console.warn('Failed to save viewpoints:', error);
+  }
+}
+
+/**
+ * Get the scene's viewpoints: authored ones first, then saved ones
+ * The hotkeys 1-9 jump to the first nine.
+ * @returns {object[]} - { name, position: THREE.Vector3, yaw, pitch, saved }
+ */
+export function getViewpoints() {
+  return [...authoredViewpoints, ...savedViewpoints];
+}
+
+/**
+ * Get the player position (the HUD X/Y/Z) and view direction
+ * @param {SparkScene} sparkScene - The spark scene
+ * @returns {object} - { position: THREE.Vector3, yaw, pitch } with angles in degrees
+ */
+export function getPlayerView(sparkScene) {
+  const view = new THREE.Euler().setFromQuaternion(
+    sparkScene.camera.getWorldQuaternion(new THREE.Quaternion()),
+    'YXZ'
+  );
+  return {
+    position: sparkScene.localFrame.position.clone(),
+    yaw: THREE.MathUtils.radToDeg(view.y),
+    pitch: THREE.MathUtils.radToDeg(view.x),
+  };
+}
+
+/**
+ * Move and turn the player right away (in walk mode the character body moves along)
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {object} view - { position, yaw, pitch } as returned by getPlayerView, angles in degrees
+ */
+export function setPlayerView(sparkScene, { position, yaw = 0, pitch = 0 }) {
+  const { localFrame, camera } = sparkScene;
+  localFrame.position.copy(position);
+
+  // The camera is the headset pose in VR: turn the frame so the head ends up facing the
+  // yaw, and leave pitch to the head
+  const headYaw = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ').y;
+  const presenting = sparkScene.renderer?.xr.isPresenting;
+  localFrame.quaternion.setFromEuler(new THREE.Euler(
+    presenting ? 0 : THREE.MathUtils.degToRad(pitch),
+    THREE.MathUtils.degToRad(yaw) - headYaw,
+    0,
+    'YXZ'
+  ));
+
+  teleportCharacter(localFrame.position);
+}
+
+/**
+ * Jump to a viewpoint: fade out, move and turn the player, fade in
+ * @param {number|string} indexOrName - Index in getViewpoints() or viewpoint name
+ * @returns {boolean} - false if there is no such viewpoint
+ */
+export function jumpToViewpoint(indexOrName) {
+  const viewpoints = getViewpoints();
+  const viewpoint = typeof indexOrName === 'number'
+    ? viewpoints[indexOrName]
+    : viewpoints.find(({ name }) => name === indexOrName);
+  if (!viewpoint || !sparkSceneRef) return false;
+
+  const sparkScene = sparkSceneRef;
+  fadeThrough(() => {
+    setPlayerView(sparkScene, viewpoint);
+    console.log(`- Jumped to viewpoint "${viewpoint.name}"`);
+    emit(EVENTS.VIEWPOINT_JUMPED, { name: viewpoint.name, position: viewpoint.position.clone() });
+  });
+  return true;
+}
+
+/**
+ * Bookmark the current position (the HUD X/Y/Z) and view direction
+ * The viewpoint is kept in localStorage for this scene and logged as a SCENE_CONFIG entry.
+ * @param {string} name - Viewpoint name (default: 'Saved view <n>')
+ * @returns {object|null} - The new viewpoint, or null if no scene is loaded
+ */
+export function saveCurrentView(name = `Saved view ${savedViewpoints.length + 1}`) {
+  if (!sparkSceneRef) return null;
+
+  const viewpoint = toViewpoint(toConfigEntry({ name, ...getPlayerView(sparkSceneRef) }), true);
+  savedViewpoints.push(viewpoint);
+  storeSavedViewpoints();
+  syncViewpointsMenu();
+  console.log(`- Saved viewpoint (add to SCENE_CONFIG.viewpoints): ${JSON.stringify(toConfigEntry(viewpoint))}`);
+  return viewpoint;
+}
+
+/**
+ * Delete a viewpoint saved in the browser (authored viewpoints stay)
+ * @param {string} name - Viewpoint name
+ */
+export function removeSavedViewpoint(name) {
+  savedViewpoints = savedViewpoints.filter((viewpoint) => viewpoint.name !== name);
+  storeSavedViewpoints();
+  syncViewpointsMenu();
+}
+
+/**
+ * Show or hide the viewpoints menu
+ */
+export function toggleViewpointsMenu() {
+  menuVisible = !menuVisible;
+  syncViewpointsMenu();
+}
+
+/**
+ * Rebuild the viewpoints menu: one entry per viewpoint and a save button
+ */
+function syncViewpointsMenu() {
+  const menu = document.getElementById("viewpoints-menu");
+  if (!menu) return;
+
+  menu.hidden = !menuVisible || !sparkSceneRef;
+  menu.replaceChildren();
+
+  getViewpoints().forEach((viewpoint, index) => {
+    const item = document.createElement("div");
+    item.className = "viewpoint-item";
+
+    const jumpButton = document.createElement("button");
+    jumpButton.type = "button";
+    jumpButton.id = `viewpoint-${index + 1}`;
+    jumpButton.dataset.recordedClick = ""; // Replayed by session-recorder.js
+    jumpButton.textContent = index < HOTKEY_COUNT ? `${index + 1}  ${viewpoint.name}` : viewpoint.name;
+    jumpButton.addEventListener("click", () => jumpToViewpoint(index));
+    item.appendChild(jumpButton);
+
+    if (viewpoint.saved) {
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "viewpoint-remove";
+      removeButton.textContent = "×";
+      removeButton.setAttribute("aria-label", `Remove ${viewpoint.name}`);
+      removeButton.addEventListener("click", () => removeSavedViewpoint(viewpoint.name));
+      item.appendChild(removeButton);
+    }
+    menu.appendChild(item);
+  });
+
+  const saveButton = document.createElement("button");
+  saveButton.type = "button";
+  saveButton.className = "viewpoint-save";
+  saveButton.textContent = "B  Save current view";
+  saveButton.addEventListener("click", () => saveCurrentView());
+  menu.appendChild(saveButton);
+}
+
+/**
+ * Sync viewpoints toggle button icon
+ */
+function syncViewpointsToggle() {
+  const button = document.getElementById("viewpoints-toggle");
+  if (!button) return;
+
+  button.innerHTML = '<i data-lucide="bookmark"></i>';
+  button.setAttribute("aria-label", menuVisible ? "Hide viewpoints" : "Show viewpoints");
+
+  // Re-initialize icons
+  if (window.lucide) {
+    window.lucide.createIcons();
+  }
+}
+
+function onViewpointsToggleClick() {
+  toggleViewpointsMenu();
+  syncViewpointsToggle();
+}
+
+/**
+ * Initialize the scene's viewpoints, hotkeys and menu
+ * @param {SparkScene} sparkScene - The spark scene
+ * @param {string} sceneName - Scene name (saved viewpoints are kept per scene)
+ * @param {object} sceneConfig - Scene configuration with optional viewpoints
+ */
+export function initializeViewpoints(sparkScene, sceneName, sceneConfig) {
+  sparkSceneRef = sparkScene;
+  storageKey = `${STORAGE_KEY_PREFIX}${sceneName}`;
+  authoredViewpoints = (sceneConfig.viewpoints || []).map((entry) => toViewpoint(entry, false));
+  savedViewpoints = loadSavedViewpoints();
+
+  viewpointKeyHandler = (event) => {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    // Press 1-9 to jump to a viewpoint
+    const digit = /^Digit([1-9])$/.exec(event.code);
+    if (digit) {
+      jumpToViewpoint(Number(digit[1]) - 1);
+    }
+    // Press 'b' to bookmark the current view
+    if (event.code === SAVE_VIEW_KEY && !event.repeat) {
+      saveCurrentView();
+    }
+  };
+  window.addEventListener('keydown', viewpointKeyHandler);
+
+  const button = document.getElementById("viewpoints-toggle");
+  if (button) {
+    button.addEventListener("click", onViewpointsToggleClick);
+    viewpointsToggleButton = button;
+    syncViewpointsToggle();
+  }
+  syncViewpointsMenu();
+
+  console.log(`- ${authoredViewpoints.length + savedViewpoints.length} viewpoint(s) (keys 1-${HOTKEY_COUNT}, B to save the current view)`);
+}
+
+/**
+ * Remove the hotkeys and menu handlers. Saved viewpoints stay in localStorage.
+ */
+export function disposeViewpoints() {
+  if (viewpointKeyHandler) {
+    window.removeEventListener('keydown', viewpointKeyHandler);
+    viewpointKeyHandler = null;
+  }
+  if (viewpointsToggleButton) {
+    viewpointsToggleButton.removeEventListener("click", onViewpointsToggleClick);
+    viewpointsToggleButton = null;
+  }
+  sparkSceneRef = null;
+  storageKey = null;
+  authoredViewpoints = [];
+  savedViewpoints = [];
+  syncViewpointsMenu(); // Hides the menu
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { setupHeadlessTests, createSimulation } from './headless-fixtures.js';
+import { initializeFade, updateFade, isFading, disposeFade } from './fade.js';
+import { initializeViewpoints, jumpToViewpoint, saveCurrentView, getViewpoints, disposeViewpoints } from './viewpoints.js';
+import { EVENTS } from './events.js';
+
+const sceneConfig = {
+  viewpoints: [
+    { name: 'Bedroom', position: { x: -2, y: 7, z: -6 } },
+    { name: 'Kitchen', position: { x: -37, y: 7.5, z: 8 }, yaw: 90, pitch: -10 },
+  ],
+};
+
+function createViewpointScene() {
+  return createSimulation({
+    sceneName: 'viewpoints-test',
+    sceneConfig,
+    subsystems: [
+      {
+        name: 'fade',
+        init: ({ sparkScene }) => initializeFade(sparkScene),
+        update: (context, deltaTime) => updateFade(deltaTime),
+        dispose: () => disposeFade(),
+      },
+      {
+        name: 'viewpoints',
+        requires: ['fade'],
+        init: ({ sparkScene, sceneName }) => initializeViewpoints(sparkScene, sceneName, sceneConfig),
+        dispose: () => disposeViewpoints(),
+      },
+    ],
+  });
+}
+
+describe('viewpoints', () => {
+  let simulation = null;
+  setupHeadlessTests();
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('fades out before moving the player to a viewpoint', async () => {
+    simulation = await createViewpointScene();
+
+    window.dispatchEvent(new KeyboardEvent('keydown', { key: '2', code: 'Digit2' }));
+    simulation.run(0.1);
+    expect(simulation.playerPosition.toArray()).toEqual([0, 0, 0]);
+
+    simulation.run(0.2);
+    expect(simulation.playerPosition.toArray()).toEqual([-37, 7.5, 8]);
+    expect(simulation.eventsOf(EVENTS.VIEWPOINT_JUMPED)).toHaveLength(1);
+    expect(isFading()).toBe(true);
+
+    simulation.run(0.3);
+    expect(isFading()).toBe(false);
+    const view = new THREE.Euler().setFromQuaternion(simulation.sparkScene.localFrame.quaternion, 'YXZ');
+    expect(THREE.MathUtils.radToDeg(view.y)).toBeCloseTo(90);
+    expect(THREE.MathUtils.radToDeg(view.x)).toBeCloseTo(-10);
+    expect(jumpToViewpoint('Attic')).toBe(false);
+  });
+
+  it('keeps saved views for the next visit of the scene', async () => {
+    simulation = await createViewpointScene();
+    simulation.setPlayerPosition([1.234, 2, 3]);
+    simulation.sparkScene.localFrame.rotation.set(0, THREE.MathUtils.degToRad(45), 0);
+    saveCurrentView();
+    await simulation.dispose();
+
+    simulation = await createViewpointScene();
+
+    expect(getViewpoints().map(({ name }) => name)).toEqual(['Bedroom', 'Kitchen', 'Saved view 1']);
+    expect(getViewpoints()[2]).toMatchObject({ position: { x: 1.23, y: 2, z: 3 }, yaw: 45, pitch: 0, saved: true });
+  });
+});
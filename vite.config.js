@@ -1,5 +1,12 @@
 import { defineConfig } from 'vite';
 
+// The app loads three.js and Spark from CDNs. Tests run in Node instead, where three.js
+// resolves to the npm package (see headless.js) and Spark is not available.
+const cdnAliases = process.env.VITEST ? {} : {
+  'three': 'https://cdnjs.cloudflare.com/ajax/libs/three.js/0.179.0/three.module.js',
+  '@sparkjsdev/spark': 'https://sparkjs.dev/releases/spark/experimental/lod/spark.module.min.js'
+};
+
 export default defineConfig({
   server: {
     port: 3000,
@@ -8,11 +15,12 @@ export default defineConfig({
   build: {
     target: 'es2022' // Support top-level await
   },
+  // Module workers, so they can import three.js from the CDN like the app (see splat-proxy-worker.js)
+  worker: {
+    format: 'es'
+  },
   resolve: {
-    alias: {
-      'three': 'https://cdnjs.cloudflare.com/ajax/libs/three.js/0.179.0/three.module.js',
-      '@sparkjsdev/spark': 'https://sparkjs.dev/releases/spark/experimental/lod/spark.module.min.js'
-    }
+    alias: cdnAliases
   },
   // Exclude CDN imports from optimization
   optimizeDeps: {
@@ -23,4 +31,3 @@ export default defineConfig({
     environment: 'jsdom'
   }
 });
-